@@ -0,0 +1,32 @@
+CREATE EXTENSION IF NOT EXISTS vector;
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "message_history" (
+	"id" bigserial PRIMARY KEY NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"payload" jsonb
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "WebpageEmbedding" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"websiteId" integer NOT NULL,
+	"url" text NOT NULL,
+	"content" text NOT NULL,
+	"embedding" vector(1536) NOT NULL,
+	"createdAt" timestamp with time zone DEFAULT now() NOT NULL,
+	"updatedAt" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "Website" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"name" varchar(255) NOT NULL,
+	"description" text NOT NULL,
+	"keywords" text NOT NULL
+);
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "WebpageEmbedding" ADD CONSTRAINT "WebpageEmbedding_websiteId_Website_id_fk" FOREIGN KEY ("websiteId") REFERENCES "public"."Website"("id") ON DELETE no action ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "WebpageEmbedding_websiteId_idx" ON "WebpageEmbedding" USING btree ("websiteId");
\ No newline at end of file
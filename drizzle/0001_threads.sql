@@ -0,0 +1,15 @@
+CREATE TABLE IF NOT EXISTS "threads" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"title" text DEFAULT 'New thread' NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "message_history" ADD COLUMN "thread_id" uuid;--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "message_history" ADD CONSTRAINT "message_history_thread_id_threads_id_fk" FOREIGN KEY ("thread_id") REFERENCES "public"."threads"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "message_history_thread_id_idx" ON "message_history" USING btree ("thread_id");
\ No newline at end of file
@@ -0,0 +1,4 @@
+ALTER TABLE "message_history" ADD COLUMN "user_id" uuid;--> statement-breakpoint
+ALTER TABLE "threads" ADD COLUMN "user_id" uuid;--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "message_history_user_id_idx" ON "message_history" USING btree ("user_id");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "threads_user_id_idx" ON "threads" USING btree ("user_id");
\ No newline at end of file
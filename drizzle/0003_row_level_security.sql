@@ -0,0 +1,26 @@
+-- Supabase Auth ownership: the browser (anon key + user JWT) only sees its own
+-- threads and messages. /api/backend writes with the service role key, which
+-- bypasses these policies.
+DO $$ BEGIN
+ ALTER TABLE "threads" ADD CONSTRAINT "threads_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "auth"."users"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "message_history" ADD CONSTRAINT "message_history_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "auth"."users"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+ALTER TABLE "threads" ENABLE ROW LEVEL SECURITY;--> statement-breakpoint
+ALTER TABLE "message_history" ENABLE ROW LEVEL SECURITY;--> statement-breakpoint
+CREATE POLICY "threads_select_own" ON "threads" FOR SELECT TO authenticated USING (auth.uid() = "user_id");--> statement-breakpoint
+CREATE POLICY "threads_insert_own" ON "threads" FOR INSERT TO authenticated WITH CHECK (auth.uid() = "user_id");--> statement-breakpoint
+CREATE POLICY "threads_update_own" ON "threads" FOR UPDATE TO authenticated USING (auth.uid() = "user_id") WITH CHECK (auth.uid() = "user_id");--> statement-breakpoint
+CREATE POLICY "threads_delete_own" ON "threads" FOR DELETE TO authenticated USING (auth.uid() = "user_id");--> statement-breakpoint
+CREATE POLICY "message_history_select_own" ON "message_history" FOR SELECT TO authenticated USING (auth.uid() = "user_id");--> statement-breakpoint
+CREATE POLICY "message_history_delete_own" ON "message_history" FOR DELETE TO authenticated USING (auth.uid() = "user_id");--> statement-breakpoint
+-- The knowledge base is read server-side through POSTGRES_URL only
+ALTER TABLE "Website" ENABLE ROW LEVEL SECURITY;--> statement-breakpoint
+ALTER TABLE "WebpageEmbedding" ENABLE ROW LEVEL SECURITY;
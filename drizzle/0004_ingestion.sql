@@ -0,0 +1,44 @@
+CREATE TABLE IF NOT EXISTS "IngestionJob" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"websiteId" integer NOT NULL,
+	"seedUrl" text,
+	"sitemapUrl" text,
+	"status" varchar(32) DEFAULT 'pending' NOT NULL,
+	"pagesDiscovered" integer DEFAULT 0 NOT NULL,
+	"pagesProcessed" integer DEFAULT 0 NOT NULL,
+	"pagesFailed" integer DEFAULT 0 NOT NULL,
+	"chunksEmbedded" integer DEFAULT 0 NOT NULL,
+	"error" text,
+	"createdAt" timestamp with time zone DEFAULT now() NOT NULL,
+	"updatedAt" timestamp with time zone DEFAULT now() NOT NULL,
+	"finishedAt" timestamp with time zone
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "IngestionPage" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"jobId" integer NOT NULL,
+	"url" text NOT NULL,
+	"status" varchar(32) NOT NULL,
+	"chunkCount" integer DEFAULT 0 NOT NULL,
+	"error" text,
+	"createdAt" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "Website" ADD COLUMN "url" text;--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "IngestionJob" ADD CONSTRAINT "IngestionJob_websiteId_Website_id_fk" FOREIGN KEY ("websiteId") REFERENCES "public"."Website"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "IngestionPage" ADD CONSTRAINT "IngestionPage_jobId_IngestionJob_id_fk" FOREIGN KEY ("jobId") REFERENCES "public"."IngestionJob"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "IngestionJob_websiteId_idx" ON "IngestionJob" USING btree ("websiteId");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "IngestionPage_jobId_idx" ON "IngestionPage" USING btree ("jobId");--> statement-breakpoint
+-- Ingestion state is read server-side through POSTGRES_URL only
+ALTER TABLE "IngestionJob" ENABLE ROW LEVEL SECURITY;--> statement-breakpoint
+ALTER TABLE "IngestionPage" ENABLE ROW LEVEL SECURITY;
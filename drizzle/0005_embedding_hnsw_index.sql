@@ -0,0 +1 @@
+CREATE INDEX IF NOT EXISTS "WebpageEmbedding_embedding_hnsw_idx" ON "WebpageEmbedding" USING hnsw ("embedding" vector_cosine_ops);
\ No newline at end of file
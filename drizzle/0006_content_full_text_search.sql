@@ -0,0 +1,2 @@
+ALTER TABLE "WebpageEmbedding" ADD COLUMN "contentTsv" "tsvector" GENERATED ALWAYS AS (to_tsvector('english', "content")) STORED;--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "WebpageEmbedding_contentTsv_gin_idx" ON "WebpageEmbedding" USING gin ("contentTsv");
\ No newline at end of file
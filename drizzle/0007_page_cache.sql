@@ -0,0 +1,39 @@
+CREATE TABLE IF NOT EXISTS "PageCache" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"url" text NOT NULL,
+	"content" text NOT NULL,
+	"etag" text,
+	"lastModified" text,
+	"chunkConfig" varchar(255) NOT NULL,
+	"hitCount" integer DEFAULT 0 NOT NULL,
+	"fetchedAt" timestamp with time zone DEFAULT now() NOT NULL,
+	"expiresAt" timestamp with time zone NOT NULL,
+	CONSTRAINT "PageCache_url_unique" UNIQUE("url")
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "PageCacheChunk" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"pageId" integer NOT NULL,
+	"chunkIndex" integer NOT NULL,
+	"content" text NOT NULL,
+	"embedding" vector(1536) NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "PageCacheStat" (
+	"day" date PRIMARY KEY NOT NULL,
+	"hits" integer DEFAULT 0 NOT NULL,
+	"misses" integer DEFAULT 0 NOT NULL,
+	"revalidations" integer DEFAULT 0 NOT NULL
+);
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "PageCacheChunk" ADD CONSTRAINT "PageCacheChunk_pageId_PageCache_id_fk" FOREIGN KEY ("pageId") REFERENCES "public"."PageCache"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "PageCacheChunk_pageId_chunkIndex_idx" ON "PageCacheChunk" USING btree ("pageId","chunkIndex");--> statement-breakpoint
+-- The page cache is read server-side through POSTGRES_URL only
+ALTER TABLE "PageCache" ENABLE ROW LEVEL SECURITY;--> statement-breakpoint
+ALTER TABLE "PageCacheChunk" ENABLE ROW LEVEL SECURITY;--> statement-breakpoint
+ALTER TABLE "PageCacheStat" ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,2 @@
+ALTER TABLE "PageCacheChunk" ADD COLUMN "metadata" jsonb;--> statement-breakpoint
+ALTER TABLE "WebpageEmbedding" ADD COLUMN "metadata" jsonb;
\ No newline at end of file
@@ -0,0 +1,10 @@
+CREATE TABLE IF NOT EXISTS "DomainRule" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"domain" text NOT NULL,
+	"rule" varchar(16) NOT NULL,
+	"note" text,
+	"createdAt" timestamp with time zone DEFAULT now() NOT NULL,
+	CONSTRAINT "DomainRule_domain_unique" UNIQUE("domain")
+);--> statement-breakpoint
+-- Domain rules are managed through the admin API only
+ALTER TABLE "DomainRule" ENABLE ROW LEVEL SECURITY;
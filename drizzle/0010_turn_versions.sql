@@ -0,0 +1,40 @@
+CREATE TABLE IF NOT EXISTS "turns" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"thread_id" uuid NOT NULL,
+	"user_id" uuid,
+	"active_version" integer DEFAULT 1 NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "message_history" ADD COLUMN "turn_id" uuid;--> statement-breakpoint
+ALTER TABLE "message_history" ADD COLUMN "version" integer DEFAULT 1 NOT NULL;--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "turns" ADD CONSTRAINT "turns_thread_id_threads_id_fk" FOREIGN KEY ("thread_id") REFERENCES "public"."threads"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "turns_thread_id_idx" ON "turns" USING btree ("thread_id");--> statement-breakpoint
+-- Existing threads: every Query row starts a turn (version 1) that owns the
+-- rows written after it
+UPDATE "message_history" SET "turn_id" = gen_random_uuid() WHERE "thread_id" IS NOT NULL AND "payload"->>'type' = 'Query';--> statement-breakpoint
+INSERT INTO "turns" ("id", "thread_id", "user_id", "created_at") SELECT "turn_id", "thread_id", "user_id", "created_at" FROM "message_history" WHERE "turn_id" IS NOT NULL;--> statement-breakpoint
+UPDATE "message_history" AS "row" SET "turn_id" = (SELECT "query"."turn_id" FROM "message_history" AS "query" WHERE "query"."thread_id" = "row"."thread_id" AND "query"."turn_id" IS NOT NULL AND "query"."id" < "row"."id" ORDER BY "query"."id" DESC LIMIT 1) WHERE "row"."thread_id" IS NOT NULL AND "row"."turn_id" IS NULL;--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "message_history" ADD CONSTRAINT "message_history_turn_id_turns_id_fk" FOREIGN KEY ("turn_id") REFERENCES "public"."turns"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "message_history_turn_id_idx" ON "message_history" USING btree ("turn_id");--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "turns" ADD CONSTRAINT "turns_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "auth"."users"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+-- The browser reads its own turns and switches their active version. An
+-- updated turn stays in one of the user's threads.
+ALTER TABLE "turns" ENABLE ROW LEVEL SECURITY;--> statement-breakpoint
+CREATE POLICY "turns_select_own" ON "turns" FOR SELECT TO authenticated USING (auth.uid() = "user_id");--> statement-breakpoint
+CREATE POLICY "turns_update_own" ON "turns" FOR UPDATE TO authenticated USING (auth.uid() = "user_id") WITH CHECK (auth.uid() = "user_id" AND EXISTS (SELECT 1 FROM "threads" WHERE "threads"."id" = "turns"."thread_id" AND "threads"."user_id" = auth.uid()));
@@ -0,0 +1,18 @@
+CREATE TABLE IF NOT EXISTS "thread_shares" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"thread_id" uuid NOT NULL,
+	"user_id" uuid,
+	"title" text NOT NULL,
+	"rows" jsonb NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "thread_shares" ADD CONSTRAINT "thread_shares_thread_id_threads_id_fk" FOREIGN KEY ("thread_id") REFERENCES "public"."threads"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "thread_shares_thread_id_idx" ON "thread_shares" USING btree ("thread_id");--> statement-breakpoint
+-- Snapshots are created and served by the API only, whoever holds the link
+ALTER TABLE "thread_shares" ENABLE ROW LEVEL SECURITY;
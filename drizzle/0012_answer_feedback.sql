@@ -0,0 +1,35 @@
+CREATE TABLE IF NOT EXISTS "answer_feedback" (
+	"id" bigserial PRIMARY KEY NOT NULL,
+	"user_id" uuid,
+	"thread_id" uuid NOT NULL,
+	"turn_id" uuid NOT NULL,
+	"version" integer NOT NULL,
+	"rating" varchar(8),
+	"comment" text,
+	"irrelevant_sources" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"query" text,
+	"embedding_source" varchar(32),
+	"chunks" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"model" varchar(255),
+	"answer" text,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL,
+	"updated_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "answer_feedback" ADD CONSTRAINT "answer_feedback_thread_id_threads_id_fk" FOREIGN KEY ("thread_id") REFERENCES "public"."threads"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "answer_feedback" ADD CONSTRAINT "answer_feedback_turn_id_turns_id_fk" FOREIGN KEY ("turn_id") REFERENCES "public"."turns"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE UNIQUE INDEX IF NOT EXISTS "answer_feedback_turn_version_user_idx" ON "answer_feedback" USING btree ("turn_id","version","user_id");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "answer_feedback_created_at_idx" ON "answer_feedback" USING btree ("created_at");--> statement-breakpoint
+-- The browser reads its own feedback, /api/feedback writes it
+ALTER TABLE "answer_feedback" ENABLE ROW LEVEL SECURITY;--> statement-breakpoint
+CREATE POLICY "answer_feedback_select_own" ON "answer_feedback" FOR SELECT TO authenticated USING (auth.uid() = "user_id");
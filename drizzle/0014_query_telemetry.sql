@@ -0,0 +1,37 @@
+CREATE TABLE IF NOT EXISTS "query_telemetry" (
+	"id" bigserial PRIMARY KEY NOT NULL,
+	"user_id" uuid,
+	"thread_id" uuid,
+	"turn_id" uuid,
+	"version" integer,
+	"embedding_source" varchar(32),
+	"status" varchar(16) NOT NULL,
+	"duration_ms" integer NOT NULL,
+	"stages" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"usage" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"prompt_tokens" integer DEFAULT 0 NOT NULL,
+	"completion_tokens" integer DEFAULT 0 NOT NULL,
+	"total_tokens" integer DEFAULT 0 NOT NULL,
+	"cost_usd" double precision,
+	"pages_fetched" integer DEFAULT 0 NOT NULL,
+	"pages_failed" integer DEFAULT 0 NOT NULL,
+	"errors" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"created_at" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "query_telemetry" ADD CONSTRAINT "query_telemetry_thread_id_threads_id_fk" FOREIGN KEY ("thread_id") REFERENCES "public"."threads"("id") ON DELETE set null ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "query_telemetry" ADD CONSTRAINT "query_telemetry_turn_id_turns_id_fk" FOREIGN KEY ("turn_id") REFERENCES "public"."turns"("id") ON DELETE set null ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "query_telemetry_created_at_idx" ON "query_telemetry" USING btree ("created_at");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "query_telemetry_user_id_idx" ON "query_telemetry" USING btree ("user_id");--> statement-breakpoint
+-- Only the server writes telemetry and admins read it through /api/usage
+ALTER TABLE "query_telemetry" ENABLE ROW LEVEL SECURITY;
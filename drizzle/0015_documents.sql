@@ -0,0 +1,47 @@
+CREATE TABLE IF NOT EXISTS "Collection" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"name" varchar(255) NOT NULL,
+	"description" text DEFAULT '' NOT NULL,
+	"ownerId" uuid NOT NULL,
+	"team" varchar(255),
+	"createdAt" timestamp with time zone DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE IF NOT EXISTS "Document" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"collectionId" integer NOT NULL,
+	"uploadedBy" uuid NOT NULL,
+	"fileName" text NOT NULL,
+	"contentType" varchar(255) NOT NULL,
+	"size" integer NOT NULL,
+	"data" "bytea" NOT NULL,
+	"title" text,
+	"status" varchar(32) DEFAULT 'pending' NOT NULL,
+	"chunkCount" integer DEFAULT 0 NOT NULL,
+	"error" text,
+	"createdAt" timestamp with time zone DEFAULT now() NOT NULL,
+	"indexedAt" timestamp with time zone
+);
+--> statement-breakpoint
+ALTER TABLE "WebpageEmbedding" ALTER COLUMN "websiteId" DROP NOT NULL;--> statement-breakpoint
+ALTER TABLE "WebpageEmbedding" ADD COLUMN "documentId" integer;--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "Document" ADD CONSTRAINT "Document_collectionId_Collection_id_fk" FOREIGN KEY ("collectionId") REFERENCES "public"."Collection"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "Collection_ownerId_idx" ON "Collection" USING btree ("ownerId");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "Collection_team_idx" ON "Collection" USING btree ("team");--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "Document_collectionId_idx" ON "Document" USING btree ("collectionId");--> statement-breakpoint
+DO $$ BEGIN
+ ALTER TABLE "WebpageEmbedding" ADD CONSTRAINT "WebpageEmbedding_documentId_Document_id_fk" FOREIGN KEY ("documentId") REFERENCES "public"."Document"("id") ON DELETE cascade ON UPDATE no action;
+EXCEPTION
+ WHEN duplicate_object THEN null;
+END $$;
+--> statement-breakpoint
+CREATE INDEX IF NOT EXISTS "WebpageEmbedding_documentId_idx" ON "WebpageEmbedding" USING btree ("documentId");--> statement-breakpoint
+-- Uploaded files are read and written by the server only, through
+-- /api/collections and /api/documents
+ALTER TABLE "Collection" ENABLE ROW LEVEL SECURITY;--> statement-breakpoint
+ALTER TABLE "Document" ENABLE ROW LEVEL SECURITY;
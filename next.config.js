@@ -1,5 +1,9 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  experimental: {
+    // pdf-parse loads pdf.js at runtime and cannot be bundled
+    serverComponentsExternalPackages: ['pdf-parse'],
+  },
   webpack: (config, { isServer }) => {
     if (!isServer) {
       // Prevent bundling of 'undici' on the client-side
@@ -0,0 +1,88 @@
+// Offline evaluation of database-mode retrieval, see "Evaluation" in README.md
+//
+//   npm run eval -- --golden eval/golden.json [--configs eval/configs.json]
+//     [--embedder fake|configured] [--judge none|overlap|llm|./judge.js]
+//   npm run eval -- --compare
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { drizzle } from 'drizzle-orm/postgres-js';
+import postgres from 'postgres';
+import {
+  formatRuns,
+  loadRuns,
+  parseGoldenSet,
+  runEvaluation,
+  saveRun,
+} from '@/lib/eval';
+import { loadJudge } from '@/lib/eval/judges';
+import { createEvalEmbedder } from '@/lib/eval/seed';
+
+const { values: args } = parseArgs({
+  options: {
+    golden: { type: 'string', default: 'eval/golden.json' },
+    configs: { type: 'string' },
+    embedder: { type: 'string', default: 'fake' },
+    judge: { type: 'string', default: 'none' },
+    results: { type: 'string', default: 'eval/results' },
+    compare: { type: 'boolean', default: false },
+  },
+});
+
+const readJson = async (file) => JSON.parse(await readFile(file, 'utf8'));
+
+async function main() {
+  if (args.compare) {
+    console.log(formatRuns(await loadRuns(args.results)));
+    return;
+  }
+
+  // Never the application database: seeding replaces the corpus' rows
+  const url = process.env.EVAL_POSTGRES_URL;
+  if (!url) throw new Error('Set EVAL_POSTGRES_URL to a local Postgres');
+
+  const golden = parseGoldenSet(
+    await readJson(args.golden),
+    path.dirname(args.golden)
+  );
+  const configs = args.configs ? await readJson(args.configs) : [{}];
+  const embedder = createEvalEmbedder(args.embedder);
+  const judge = await loadJudge(args.judge);
+
+  const client = postgres(url, { max: 1 });
+  const database = drizzle(client);
+  const runs = [];
+  try {
+    for (const config of configs) {
+      const run = await runEvaluation({
+        golden,
+        config,
+        database,
+        embedder,
+        judge,
+        judgeName: args.judge,
+        onQuestion: ({ id, recall, reciprocalRank }) =>
+          console.log(
+            `  ${id}: recall ${recall.toFixed(2)}, rr ${reciprocalRank.toFixed(
+              2
+            )}`
+          ),
+      });
+      console.log(
+        `${run.name}: ${run.corpus.chunks} chunks from ${
+          run.corpus.pages
+        } pages, saved to ${await saveRun(run, args.results)}`
+      );
+      runs.push(run);
+    }
+  } finally {
+    await client.end();
+  }
+
+  console.log(`\n${formatRuns(runs)}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,178 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { ThumbsDown, Prohibit } from '@phosphor-icons/react';
+import { createClient } from '@supabase/supabase-js';
+
+// Browser Supabase client, for the admin's session
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.NEXT_PUBLIC_SUPABASE_API_KEY
+);
+
+// Rows fetched per page
+const PAGE_SIZE = 50;
+
+// Negative feedback review page: answers rated down or with sources flagged
+// as not relevant, with the chunks retrieved for them and their scores
+export default function FeedbackPage() {
+  const [session, setSession] = useState(null);
+  const [authLoaded, setAuthLoaded] = useState(false);
+  const [embeddingSource, setEmbeddingSource] = useState('database');
+  const [feedback, setFeedback] = useState([]);
+  const [offset, setOffset] = useState(0);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setAuthLoaded(true);
+    });
+  }, []);
+
+  // Fetch a page of negative feedback for the chosen mode
+  useEffect(() => {
+    if (!session) return;
+
+    const params = new URLSearchParams({
+      limit: String(PAGE_SIZE),
+      offset: String(offset),
+    });
+    if (embeddingSource) params.set('embeddingSource', embeddingSource);
+
+    fetch(`/api/feedback?${params}`, {
+      headers: { Authorization: `Bearer ${session.access_token}` },
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        setError(data.error || null);
+        setFeedback(data.feedback || []);
+      })
+      .catch((err) => setError(err.message));
+  }, [session, embeddingSource, offset]);
+
+  if (!authLoaded) return null;
+  if (!session) {
+    return <div className="p-8">Sign in on the home page first.</div>;
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto p-6 space-y-4">
+      <div className="flex items-center">
+        <h1 className="flex-1 text-3xl font-bold">Negative feedback</h1>
+        <select
+          value={embeddingSource}
+          onChange={(e) => {
+            setOffset(0);
+            setEmbeddingSource(e.target.value);
+          }}
+          className="p-1 border rounded focus:outline-none focus:border-blue-500"
+        >
+          <option value="database">Knowledge bases</option>
+          <option value="internet">Internet</option>
+          <option value="">All modes</option>
+        </select>
+      </div>
+      {error && <div className="text-red-600">{error}</div>}
+      {!error && feedback.length === 0 && (
+        <div className="text-gray-500">No negative feedback.</div>
+      )}
+      {feedback.map((entry) => (
+        <FeedbackEntry key={entry.id} entry={entry} />
+      ))}
+      <div className="flex justify-between">
+        <button
+          onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+          disabled={offset === 0}
+          className="px-3 py-1 border rounded hover:bg-gray-100 disabled:opacity-30"
+        >
+          Newer
+        </button>
+        <button
+          onClick={() => setOffset(offset + PAGE_SIZE)}
+          disabled={feedback.length < PAGE_SIZE}
+          className="px-3 py-1 border rounded hover:bg-gray-100 disabled:opacity-30"
+        >
+          Older
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// One feedback record: the query, the rating and comment, the retrieved
+// chunks with their cosine similarity, and the answer
+function FeedbackEntry({ entry }) {
+  return (
+    <div className="p-4 bg-white rounded shadow space-y-2">
+      <div className="flex items-center text-sm text-gray-500 space-x-3">
+        <span>{new Date(entry.createdAt).toLocaleString()}</span>
+        <span>{entry.embeddingSource || 'unknown mode'}</span>
+        <span>{entry.model || 'unknown model'}</span>
+        {entry.rating === 'down' && (
+          <span className="flex items-center text-red-600">
+            <ThumbsDown size={16} />
+            <span className="px-1">Bad answer</span>
+          </span>
+        )}
+      </div>
+      <div className="text-xl font-bold">{entry.query}</div>
+      {entry.comment && <div className="italic">“{entry.comment}”</div>}
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="w-10">#</th>
+            <th>Source and chunk</th>
+            <th className="w-24 text-right">Cosine</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entry.chunks.map((chunk) => (
+            <tr
+              key={chunk.number}
+              className={`align-top border-t ${
+                chunk.notRelevant ? 'bg-red-50' : ''
+              }`}
+            >
+              <td className="py-1">
+                {chunk.notRelevant ? (
+                  <span
+                    className="flex items-center text-red-600"
+                    title="Flagged as not relevant"
+                  >
+                    <Prohibit size={14} />
+                    {chunk.number}
+                  </span>
+                ) : (
+                  chunk.number
+                )}
+              </td>
+              <td className="py-1">
+                <a href={chunk.link} className="text-blue-600 hover:underline">
+                  {chunk.title || chunk.link}
+                </a>
+                {chunk.status && (
+                  <span className="ml-2 text-xs text-amber-600">
+                    {chunk.status}
+                  </span>
+                )}
+                <div className="text-gray-700">{chunk.content}</div>
+              </td>
+              <td className="py-1 text-right font-mono">
+                {typeof chunk.cosineSimilarity === 'number'
+                  ? chunk.cosineSimilarity.toFixed(3)
+                  : '-'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <details>
+        <summary className="cursor-pointer text-sm text-gray-500">
+          Answer
+        </summary>
+        <div className="whitespace-pre-wrap text-sm mt-1">{entry.answer}</div>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { createClient } from '@supabase/supabase-js';
+
+// Browser Supabase client, for the admin's session
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.NEXT_PUBLIC_SUPABASE_API_KEY
+);
+
+const PERIODS = [7, 30, 90];
+
+const formatNumber = (value) => (value ?? 0).toLocaleString();
+const formatCost = (value) =>
+  value === null || value === undefined ? '–' : `$${value.toFixed(4)}`;
+const formatMs = (value) =>
+  value === null || value === undefined ? '–' : `${formatNumber(value)} ms`;
+
+// Columns of the per day, per user and per embedding source tables
+const TOTAL_COLUMNS = [
+  ['Questions', (row) => formatNumber(row.questions)],
+  ['Prompt tokens', (row) => formatNumber(row.promptTokens)],
+  ['Completion tokens', (row) => formatNumber(row.completionTokens)],
+  ['Cost', (row) => formatCost(row.costUsd)],
+  ['Avg. time', (row) => formatMs(row.avgDurationMs)],
+  ['Pages read', (row) => formatNumber(row.pagesFetched)],
+  ['Pages failed', (row) => formatNumber(row.pagesFailed)],
+  ['Failed', (row) => formatNumber(row.failed)],
+  ['With errors', (row) => formatNumber(row.withErrors)],
+];
+
+// Usage page: questions, tokens, estimated cost, time and pages per day, user
+// and embedding source, time per pipeline stage and cost per model
+export default function UsagePage() {
+  const [session, setSession] = useState(null);
+  const [authLoaded, setAuthLoaded] = useState(false);
+  const [days, setDays] = useState(30);
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setAuthLoaded(true);
+    });
+  }, []);
+
+  // Fetch the aggregates of the chosen period
+  useEffect(() => {
+    if (!session) return;
+
+    fetch(`/api/usage?days=${days}`, {
+      headers: { Authorization: `Bearer ${session.access_token}` },
+    })
+      .then((res) => res.json())
+      .then((data) => {
+        setError(data.error || null);
+        setUsage(data.error ? null : data);
+      })
+      .catch((err) => setError(err.message));
+  }, [session, days]);
+
+  if (!authLoaded) return null;
+  if (!session) {
+    return <div className="p-8">Sign in on the home page first.</div>;
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto p-6 space-y-6">
+      <div className="flex items-center">
+        <h1 className="flex-1 text-3xl font-bold">Usage</h1>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="p-1 border rounded focus:outline-none focus:border-blue-500"
+        >
+          {PERIODS.map((period) => (
+            <option key={period} value={period}>
+              Last {period} days
+            </option>
+          ))}
+        </select>
+      </div>
+      {error && <div className="text-red-600">{error}</div>}
+      {usage && (
+        <>
+          <UsageTable
+            title="Per day (UTC)"
+            rows={usage.days}
+            keyColumn={['Day', (row) => row.day]}
+            columns={TOTAL_COLUMNS}
+          />
+          <UsageTable
+            title="Per user"
+            rows={usage.users}
+            keyColumn={['User', (row) => row.email || row.userId || 'Unknown']}
+            columns={TOTAL_COLUMNS}
+          />
+          <UsageTable
+            title="Per embedding source"
+            rows={usage.embeddingSources}
+            keyColumn={['Source', (row) => row.embeddingSource || 'Unknown']}
+            columns={TOTAL_COLUMNS}
+          />
+          <UsageTable
+            title="Per stage"
+            rows={usage.stages}
+            keyColumn={['Stage', (row) => row.name]}
+            columns={[
+              ['Runs', (row) => formatNumber(row.count)],
+              ['Avg. time', (row) => formatMs(row.avgMs)],
+              ['p95 time', (row) => formatMs(row.p95Ms)],
+              ['Errors', (row) => formatNumber(row.errors)],
+            ]}
+          />
+          <UsageTable
+            title="Per model"
+            rows={usage.models}
+            keyColumn={['Model', (row) => row.model]}
+            columns={[
+              ['Calls', (row) => formatNumber(row.calls)],
+              ['Prompt tokens', (row) => formatNumber(row.promptTokens)],
+              [
+                'Completion tokens',
+                (row) => formatNumber(row.completionTokens),
+              ],
+              ['Cost', (row) => formatCost(row.costUsd)],
+            ]}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+// Table of aggregates, one row per day, user, source, stage or model
+function UsageTable({ title, rows, keyColumn, columns }) {
+  const [keyTitle, keyValue] = keyColumn;
+
+  return (
+    <div className="p-4 bg-white rounded shadow space-y-2">
+      <h2 className="text-xl font-bold">{title}</h2>
+      {rows.length === 0 ? (
+        <div className="text-gray-500">No questions in this period.</div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1">{keyTitle}</th>
+              {columns.map(([columnTitle]) => (
+                <th key={columnTitle} className="py-1 text-right">
+                  {columnTitle}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={keyValue(row)} className="border-t">
+                <td className="py-1">{keyValue(row)}</td>
+                {columns.map(([columnTitle, value]) => (
+                  <td key={columnTitle} className="py-1 text-right">
+                    {value(row)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
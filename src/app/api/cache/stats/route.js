@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { count, desc, sum } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { pageCache, pageCacheStats } from '@/db/schema';
+import { authenticateRequest, isAdmin } from '@/lib/auth';
+
+// Number of days of counters returned
+const DAYS = 30;
+
+// Define GET function reporting page cache hits, misses and revalidations
+export async function GET(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (!isAdmin(user)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const [[totals], [pages], days] = await Promise.all([
+      db
+        .select({
+          hits: sum(pageCacheStats.hits).mapWith(Number),
+          misses: sum(pageCacheStats.misses).mapWith(Number),
+          revalidations: sum(pageCacheStats.revalidations).mapWith(Number),
+        })
+        .from(pageCacheStats),
+      db.select({ count: count() }).from(pageCache),
+      db
+        .select()
+        .from(pageCacheStats)
+        .orderBy(desc(pageCacheStats.day))
+        .limit(DAYS),
+    ]);
+
+    return NextResponse.json({
+      pages: pages.count,
+      totals: {
+        hits: totals.hits || 0,
+        misses: totals.misses || 0,
+        revalidations: totals.revalidations || 0,
+      },
+      days,
+    });
+  } catch (error) {
+    console.error('Error fetching page cache stats:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while fetching page cache stats' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,108 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import {
+  findUserCollection,
+  parseUpload,
+  startIndexing,
+} from '@/lib/documents';
+import { createDbDocumentStore } from '@/lib/documents/store';
+
+// Define GET function listing the documents of a collection
+export async function GET(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const store = createDbDocumentStore();
+    const collectionId = parseInt(params.collectionId, 10);
+    const collection = await findUserCollection(user, collectionId, store);
+    if (!collection) {
+      return NextResponse.json(
+        { error: 'Collection not found' },
+        { status: 404 }
+      );
+    }
+
+    const documents = await store.listDocuments(collectionId);
+    return NextResponse.json({
+      collection,
+      documents: documents.map((document) => ({
+        ...document,
+        canManage:
+          document.uploadedBy === user.id || collection.ownerId === user.id,
+      })),
+    });
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while listing documents' },
+      { status: 500 }
+    );
+  }
+}
+
+// Define POST function uploading a file (multipart field `file`) to a
+// collection and indexing it in the background
+export async function POST(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const store = createDbDocumentStore();
+    const collectionId = parseInt(params.collectionId, 10);
+    const collection = await findUserCollection(user, collectionId, store);
+    if (!collection) {
+      return NextResponse.json(
+        { error: 'Collection not found' },
+        { status: 404 }
+      );
+    }
+
+    const form = await req.formData().catch(() => null);
+    const file = form?.get('file');
+    if (!file || typeof file === 'string') {
+      return NextResponse.json(
+        { error: 'A file is required' },
+        { status: 400 }
+      );
+    }
+
+    const upload = parseUpload({
+      fileName: file.name || 'document',
+      contentType: file.type || '',
+      data: Buffer.from(await file.arrayBuffer()),
+    });
+    if (upload.error) {
+      return NextResponse.json({ error: upload.error }, { status: 400 });
+    }
+
+    const document = await store.createDocument({
+      ...upload,
+      collectionId,
+      uploadedBy: user.id,
+      size: upload.data.length,
+    });
+    await startIndexing(document.id, { store });
+
+    return NextResponse.json(
+      { document: { ...document, canManage: true } },
+      { status: 202 }
+    );
+  } catch (error) {
+    console.error('Error uploading document:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while uploading the document' },
+      { status: 500 }
+    );
+  }
+}
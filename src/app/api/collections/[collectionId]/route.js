@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import { findUserCollection } from '@/lib/documents';
+import { createDbDocumentStore } from '@/lib/documents/store';
+
+// Define DELETE function deleting a collection with its documents
+export async function DELETE(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const store = createDbDocumentStore();
+    const collectionId = parseInt(params.collectionId, 10);
+    const collection = await findUserCollection(user, collectionId, store);
+    if (!collection) {
+      return NextResponse.json(
+        { error: 'Collection not found' },
+        { status: 404 }
+      );
+    }
+    // Team members can add documents but only the owner deletes the
+    // collection
+    if (collection.ownerId !== user.id) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    await store.deleteCollection(collectionId);
+    return NextResponse.json({ deleted: collectionId });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while deleting the collection' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import { listUserCollections, userTeam } from '@/lib/documents';
+import { createDbDocumentStore } from '@/lib/documents/store';
+
+// Define GET function listing the collections the user owns or shares with
+// their team
+export async function GET(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const collections = await listUserCollections(user);
+    return NextResponse.json({
+      collections: collections.map((collection) => ({
+        ...collection,
+        isOwner: collection.ownerId === user.id,
+      })),
+      team: await userTeam(user),
+    });
+  } catch (error) {
+    console.error('Error listing collections:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while listing collections' },
+      { status: 500 }
+    );
+  }
+}
+
+// Define POST function creating a collection, private or shared with the
+// user's team
+export async function POST(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const { name, description = '', shared = false } = await req.json();
+    if (!name?.trim()) {
+      return NextResponse.json(
+        { error: 'A name is required' },
+        { status: 400 }
+      );
+    }
+
+    const team = shared ? await userTeam(user) : null;
+    if (shared && !team) {
+      return NextResponse.json(
+        { error: 'Your account does not belong to a team' },
+        { status: 400 }
+      );
+    }
+
+    const collection = await createDbDocumentStore().createCollection({
+      name: name.trim(),
+      description,
+      ownerId: user.id,
+      team,
+    });
+
+    return NextResponse.json({ collection }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while creating the collection' },
+      { status: 500 }
+    );
+  }
+}
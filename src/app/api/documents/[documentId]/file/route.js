@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import { findUserDocument } from '@/lib/documents';
+import { createDbDocumentStore } from '@/lib/documents/store';
+
+// Define GET function downloading the uploaded file of a document
+export async function GET(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const store = createDbDocumentStore();
+    const documentId = parseInt(params.documentId, 10);
+    if (!(await findUserDocument(user, documentId, store))) {
+      return NextResponse.json(
+        { error: 'Document not found' },
+        { status: 404 }
+      );
+    }
+
+    const file = await store.readDocumentFile(documentId);
+    return new Response(file.data, {
+      headers: {
+        'Content-Type': file.contentType || 'application/octet-stream',
+        'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(
+          file.fileName
+        )}`,
+        // Uploaded files are shown as they are, never run as HTML
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': 'sandbox',
+      },
+    });
+  } catch (error) {
+    console.error('Error downloading document:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while downloading the document' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import { findUserDocument, startIndexing } from '@/lib/documents';
+import { createDbDocumentStore } from '@/lib/documents/store';
+
+// Define POST function extracting, chunking and embedding a document again,
+// e.g. after a failure or an extractor change
+export async function POST(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const store = createDbDocumentStore();
+    const documentId = parseInt(params.documentId, 10);
+    const found = await findUserDocument(user, documentId, store);
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Document not found' },
+        { status: 404 }
+      );
+    }
+    if (!found.canManage) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    await startIndexing(documentId, { store });
+    return NextResponse.json(
+      { document: { ...found.document, status: 'pending', error: null } },
+      { status: 202 }
+    );
+  } catch (error) {
+    console.error('Error reindexing document:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while reindexing the document' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import { findUserDocument } from '@/lib/documents';
+import { createDbDocumentStore } from '@/lib/documents/store';
+
+// Define GET function returning a document and its indexing status
+export async function GET(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const found = await findUserDocument(user, parseInt(params.documentId, 10));
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Document not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      document: { ...found.document, canManage: found.canManage },
+      collection: found.collection,
+    });
+  } catch (error) {
+    console.error('Error reading document:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while reading the document' },
+      { status: 500 }
+    );
+  }
+}
+
+// Define DELETE function deleting a document and its chunks
+export async function DELETE(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const store = createDbDocumentStore();
+    const documentId = parseInt(params.documentId, 10);
+    const found = await findUserDocument(user, documentId, store);
+    if (!found) {
+      return NextResponse.json(
+        { error: 'Document not found' },
+        { status: 404 }
+      );
+    }
+    if (!found.canManage) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    await store.deleteDocument(documentId);
+    return NextResponse.json({ deleted: documentId });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while deleting the document' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { eq } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { domainRules } from '@/db/schema';
+import { authenticateRequest, isAdmin } from '@/lib/auth';
+import { sharedDomainRules } from '@/lib/fetching/domains';
+
+// Define DELETE function removing a domain rule
+export async function DELETE(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (!isAdmin(user)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const [removed] = await db
+      .delete(domainRules)
+      .where(eq(domainRules.id, parseInt(params.ruleId, 10)))
+      .returning();
+    if (!removed) {
+      return NextResponse.json({ error: 'Rule not found' }, { status: 404 });
+    }
+    sharedDomainRules.invalidate();
+
+    return NextResponse.json({ rule: removed });
+  } catch (error) {
+    console.error('Error deleting domain rule:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while deleting the domain rule' },
+      { status: 500 }
+    );
+  }
+}
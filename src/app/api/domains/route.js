@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server';
+import { asc } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { domainRules } from '@/db/schema';
+import { authenticateRequest, isAdmin } from '@/lib/auth';
+import { normalizeDomain, sharedDomainRules } from '@/lib/fetching/domains';
+
+const RULES = ['allow', 'deny'];
+
+// Define GET function listing the domain allow/deny rules
+export async function GET(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (!isAdmin(user)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const rules = await db
+      .select()
+      .from(domainRules)
+      .orderBy(asc(domainRules.domain));
+
+    return NextResponse.json({ rules });
+  } catch (error) {
+    console.error('Error listing domain rules:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while listing domain rules' },
+      { status: 500 }
+    );
+  }
+}
+
+// Define POST function to add a domain rule, or change the rule of a domain
+export async function POST(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (!isAdmin(user)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { domain: input, rule, note = null } = await req.json();
+    const domain = normalizeDomain(input);
+    if (!domain || !RULES.includes(rule)) {
+      return NextResponse.json(
+        { error: 'A domain and a rule (allow or deny) are required' },
+        { status: 400 }
+      );
+    }
+
+    const [saved] = await db
+      .insert(domainRules)
+      .values({ domain, rule, note })
+      .onConflictDoUpdate({
+        target: domainRules.domain,
+        set: { rule, note },
+      })
+      .returning();
+    sharedDomainRules.invalidate();
+
+    return NextResponse.json({ rule: saved }, { status: 201 });
+  } catch (error) {
+    console.error('Error saving domain rule:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while saving the domain rule' },
+      { status: 500 }
+    );
+  }
+}
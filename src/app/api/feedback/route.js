@@ -0,0 +1,147 @@
+import { NextResponse } from 'next/server';
+import { and, desc, eq, or, sql } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { answerFeedback } from '@/db/schema';
+import { getSupabase } from '@/lib/supabase';
+import { authenticateRequest, isAdmin } from '@/lib/auth';
+import { parseFeedback, snapshotAnswer } from '@/lib/feedback';
+
+// Define GET function listing negative feedback (thumbs down or flagged
+// sources), newest first, optionally for one ?embeddingSource
+export async function GET(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (!isAdmin(user)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const embeddingSource = searchParams.get('embeddingSource');
+    const limit = Math.min(
+      Math.max(parseInt(searchParams.get('limit') || '50', 10) || 50, 1),
+      200
+    );
+    const offset = Math.max(parseInt(searchParams.get('offset'), 10) || 0, 0);
+
+    const feedback = await db
+      .select()
+      .from(answerFeedback)
+      .where(
+        and(
+          or(
+            eq(answerFeedback.rating, 'down'),
+            sql`jsonb_array_length(${answerFeedback.irrelevantSources}) > 0`
+          ),
+          embeddingSource
+            ? eq(answerFeedback.embeddingSource, embeddingSource)
+            : undefined
+        )
+      )
+      .orderBy(desc(answerFeedback.createdAt))
+      .limit(limit)
+      .offset(offset);
+
+    return NextResponse.json({ feedback });
+  } catch (error) {
+    console.error('Error listing feedback:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while listing feedback' },
+      { status: 500 }
+    );
+  }
+}
+
+// Define POST function saving the caller's feedback on one answer, the
+// version `version` of the turn `turnId`. Sending it again replaces it.
+export async function POST(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const { threadId, turnId, version, ...fields } = await req.json();
+    if (!threadId || !turnId || !Number.isInteger(version)) {
+      return NextResponse.json(
+        { error: 'threadId, turnId and version are required' },
+        { status: 400 }
+      );
+    }
+    const feedback = parseFeedback(fields);
+    if (feedback.error) {
+      return NextResponse.json({ error: feedback.error }, { status: 400 });
+    }
+
+    const { data: thread, error: threadError } = await getSupabase()
+      .from('threads')
+      .select('id')
+      .eq('id', threadId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+    if (threadError) throw threadError;
+    if (!thread) {
+      return NextResponse.json({ error: 'Thread not found' }, { status: 404 });
+    }
+
+    // Copy what the answer was built from, as it is stored now
+    const { data: rows, error: rowsError } = await getSupabase()
+      .from('message_history')
+      .select('payload')
+      .eq('thread_id', threadId)
+      .eq('turn_id', turnId)
+      .eq('version', version)
+      .order('id', { ascending: true });
+    if (rowsError) throw rowsError;
+
+    const snapshot = snapshotAnswer(
+      rows.map((row) => row.payload),
+      feedback.irrelevantSources
+    );
+    if (!snapshot) {
+      return NextResponse.json({ error: 'Answer not found' }, { status: 404 });
+    }
+
+    const { data, error } = await getSupabase()
+      .from('answer_feedback')
+      .upsert(
+        {
+          user_id: user.id,
+          thread_id: threadId,
+          turn_id: turnId,
+          version,
+          rating: feedback.rating,
+          comment: feedback.comment,
+          irrelevant_sources: feedback.irrelevantSources.filter(
+            (number) => number <= snapshot.chunks.length
+          ),
+          query: snapshot.query,
+          embedding_source: snapshot.embeddingSource,
+          chunks: snapshot.chunks,
+          model: snapshot.model,
+          answer: snapshot.answer,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: 'turn_id,version,user_id' }
+      )
+      .select('turn_id, version, rating, comment, irrelevant_sources')
+      .single();
+    if (error) throw error;
+
+    return NextResponse.json({ feedback: data });
+  } catch (error) {
+    console.error('Error saving feedback:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while saving feedback' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,15 @@
+import { NextResponse } from 'next/server';
+import { listFocusModes } from '@/lib/focus';
+
+// Define GET function listing the focus modes of the search box, built-in
+// ones first, then those of the focus modes file
+export async function GET() {
+  const modes = await listFocusModes();
+  return NextResponse.json({
+    modes: modes.map(({ id, label, description }) => ({
+      id,
+      label,
+      description,
+    })),
+  });
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { asc, eq } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { ingestionJobs, ingestionPages } from '@/db/schema';
+import { authenticateRequest, isAdmin } from '@/lib/auth';
+
+// Define GET function reporting an ingestion job's progress and page outcomes
+export async function GET(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (!isAdmin(user)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const jobId = parseInt(params.jobId, 10);
+    if (!Number.isInteger(jobId)) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+    const [job] = await db
+      .select()
+      .from(ingestionJobs)
+      .where(eq(ingestionJobs.id, jobId));
+    if (!job) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    const pages = await db
+      .select()
+      .from(ingestionPages)
+      .where(eq(ingestionPages.jobId, jobId))
+      .orderBy(asc(ingestionPages.id));
+
+    return NextResponse.json({ job, pages });
+  } catch (error) {
+    console.error('Error fetching ingestion job:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while fetching the ingestion job' },
+      { status: 500 }
+    );
+  }
+}
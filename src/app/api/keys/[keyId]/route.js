@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import { revokeApiKey } from '@/lib/apiKeys';
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Define DELETE function revoking one of the user's API keys
+export async function DELETE(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (user.apiKeyId) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    // Key ids are UUIDs, anything else would fail the query
+    if (
+      !UUID_PATTERN.test(params.keyId) ||
+      !(await revokeApiKey(user.id, params.keyId))
+    ) {
+      return NextResponse.json({ error: 'API key not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ revoked: params.keyId });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while revoking the API key' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import {
+  MAX_API_KEYS_PER_USER,
+  createApiKey,
+  listApiKeys,
+} from '@/lib/apiKeys';
+
+// Longest accepted key name
+const MAX_NAME_LENGTH = 100;
+
+// Define GET function listing the user's API keys
+export async function GET(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    // Keys are managed from a signed-in session, not with another key
+    if (user.apiKeyId) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    return NextResponse.json({ keys: await listApiKeys(user.id) });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while listing API keys' },
+      { status: 500 }
+    );
+  }
+}
+
+// Define POST function issuing an API key. Its secret is in this response
+// only.
+export async function POST(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (user.apiKeyId) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { name } = await req.json();
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+      return NextResponse.json(
+        {
+          error: `A name of at most ${MAX_NAME_LENGTH} characters is required`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const created = await createApiKey(user.id, trimmed);
+    if (!created) {
+      return NextResponse.json(
+        {
+          error: `At most ${MAX_API_KEYS_PER_USER} active API keys are allowed, revoke one first`,
+        },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json(created, { status: 201 });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while creating the API key' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,8 @@
+import { NextResponse } from 'next/server';
+import { listSearchProviders } from '@/lib/search';
+
+// Define GET function listing the configured web search providers, in
+// fallback order
+export async function GET() {
+  return NextResponse.json({ providers: listSearchProviders() });
+}
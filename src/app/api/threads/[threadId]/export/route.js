@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import { getSupabase } from '@/lib/supabase';
+import { authenticateRequest } from '@/lib/auth';
+import { loadThread } from '@/lib/history';
+import {
+  buildTranscript,
+  threadToHtml,
+  threadToJson,
+  threadToMarkdown,
+} from '@/lib/export';
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// File name of an export, after the thread title
+const fileName = (title, extension) =>
+  `${
+    title
+      .replace(/[^\w\s-]/g, '')
+      .trim()
+      .replace(/\s+/g, '-')
+      .slice(0, 60) || 'thread'
+  }.${extension}`;
+
+// Define GET function exporting a thread as ?format=markdown, json or html
+export async function GET(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const format = new URL(req.url).searchParams.get('format') || 'markdown';
+    if (!['markdown', 'json', 'html'].includes(format)) {
+      return NextResponse.json(
+        { error: 'format must be markdown, json or html' },
+        { status: 400 }
+      );
+    }
+
+    // Thread ids are UUIDs, anything else would fail the query
+    if (!UUID_PATTERN.test(params.threadId)) {
+      return NextResponse.json({ error: 'Thread not found' }, { status: 404 });
+    }
+
+    const { data: thread, error } = await getSupabase()
+      .from('threads')
+      .select('*')
+      .eq('id', params.threadId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!thread) {
+      return NextResponse.json({ error: 'Thread not found' }, { status: 404 });
+    }
+
+    const { rows, activeVersions } = await loadThread(thread.id);
+
+    if (format === 'json') {
+      return NextResponse.json(threadToJson(thread, rows, activeVersions), {
+        headers: {
+          'Content-Disposition': `attachment; filename="${fileName(
+            thread.title,
+            'json'
+          )}"`,
+        },
+      });
+    }
+
+    const transcript = buildTranscript(rows, activeVersions);
+    if (format === 'html') {
+      // Shown inline, to be printed or saved as PDF from the browser
+      return new Response(
+        threadToHtml(thread, transcript, {
+          notice: 'Print this page to save it as a PDF.',
+        }),
+        { headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+      );
+    }
+
+    return new Response(threadToMarkdown(thread, transcript), {
+      headers: {
+        'Content-Type': 'text/markdown; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName(
+          thread.title,
+          'md'
+        )}"`,
+      },
+    });
+  } catch (error) {
+    console.error('Error exporting thread:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while exporting the thread' },
+      { status: 500 }
+    );
+  }
+}
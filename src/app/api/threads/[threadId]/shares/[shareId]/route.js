@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { getSupabase } from '@/lib/supabase';
+import { authenticateRequest } from '@/lib/auth';
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Define DELETE function revoking a share link of the user's thread
+export async function DELETE(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    // Share and thread ids are UUIDs, anything else would fail the query
+    if (
+      !UUID_PATTERN.test(params.shareId) ||
+      !UUID_PATTERN.test(params.threadId)
+    ) {
+      return NextResponse.json({ error: 'Share not found' }, { status: 404 });
+    }
+
+    const { data, error } = await getSupabase()
+      .from('thread_shares')
+      .delete()
+      .eq('id', params.shareId)
+      .eq('thread_id', params.threadId)
+      .eq('user_id', user.id)
+      .select('id');
+    if (error) throw error;
+    if (data.length === 0) {
+      return NextResponse.json({ error: 'Share not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ share: data[0] });
+  } catch (error) {
+    console.error('Error revoking share:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while revoking the share link' },
+      { status: 500 }
+    );
+  }
+}
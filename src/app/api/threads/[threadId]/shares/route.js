@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import { getSupabase } from '@/lib/supabase';
+import { authenticateRequest } from '@/lib/auth';
+import { loadThread } from '@/lib/history';
+import { selectVersionRows } from '@/lib/turns';
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Public address of a share snapshot
+const shareUrl = (req, shareId) => new URL(`/share/${shareId}`, req.url).href;
+
+// Find the thread if it belongs to the user. Thread ids are UUIDs, anything
+// else would fail the query.
+async function findOwnedThread(userId, threadId) {
+  if (!UUID_PATTERN.test(threadId)) return null;
+
+  const { data, error } = await getSupabase()
+    .from('threads')
+    .select('*')
+    .eq('id', threadId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data;
+}
+
+// Define GET function listing the share links of a thread
+export async function GET(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (!(await findOwnedThread(user.id, params.threadId))) {
+      return NextResponse.json({ error: 'Thread not found' }, { status: 404 });
+    }
+
+    const { data, error } = await getSupabase()
+      .from('thread_shares')
+      .select('id, title, created_at')
+      .eq('thread_id', params.threadId)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+
+    return NextResponse.json({
+      shares: data.map((share) => ({ ...share, url: shareUrl(req, share.id) })),
+    });
+  } catch (error) {
+    console.error('Error listing shares:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while listing share links' },
+      { status: 500 }
+    );
+  }
+}
+
+// Define POST function sharing a snapshot of the thread as it is now shown
+export async function POST(req, { params }) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    const thread = await findOwnedThread(user.id, params.threadId);
+    if (!thread) {
+      return NextResponse.json({ error: 'Thread not found' }, { status: 404 });
+    }
+
+    // Later turns, edits and deletions do not change the snapshot
+    const { rows, activeVersions } = await loadThread(thread.id);
+    const { data, error } = await getSupabase()
+      .from('thread_shares')
+      .insert([
+        {
+          thread_id: thread.id,
+          user_id: user.id,
+          title: thread.title,
+          rows: selectVersionRows(rows, activeVersions),
+        },
+      ])
+      .select('id, title, created_at')
+      .single();
+    if (error) throw error;
+
+    return NextResponse.json(
+      { share: { ...data, url: shareUrl(req, data.id) } },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error sharing thread:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while sharing the thread' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { getSupabase } from '@/lib/supabase';
+import { authenticateRequest } from '@/lib/auth';
+
+// Define POST function starting a thread, for API key callers that have no
+// Supabase session to insert one with
+export async function POST(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    const { title } = await req.json().catch(() => ({}));
+    const { data, error } = await getSupabase()
+      .from('threads')
+      .insert([
+        {
+          user_id: user.id,
+          ...(typeof title === 'string' && title.trim()
+            ? { title: title.trim() }
+            : {}),
+        },
+      ])
+      .select('*')
+      .single();
+    if (error) throw error;
+
+    return NextResponse.json({ thread: data }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating thread:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while creating the thread' },
+      { status: 500 }
+    );
+  }
+}
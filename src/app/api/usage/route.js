@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { getSupabase } from '@/lib/supabase';
+import { authenticateRequest, isAdmin } from '@/lib/auth';
+import { createDbTelemetryStore } from '@/lib/telemetry';
+
+// Longest period the usage page can cover, in days
+const MAX_DAYS = 365;
+
+// Email of each user id, null for users that no longer exist
+async function findEmails(userIds) {
+  const entries = await Promise.all(
+    userIds.map(async (userId) => {
+      if (!userId) return [userId, null];
+      const { data } = await getSupabase().auth.admin.getUserById(userId);
+      return [userId, data?.user?.email || null];
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+// Define GET function aggregating the telemetry of the last ?days (default 30)
+// per day, user, embedding source, stage and model
+export async function GET(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (!isAdmin(user)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(req.url);
+    const days = Math.min(
+      Math.max(parseInt(searchParams.get('days') || '30', 10) || 30, 1),
+      MAX_DAYS
+    );
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const usage = await createDbTelemetryStore().summarize(since);
+    const emails = await findEmails(usage.users.map(({ userId }) => userId));
+
+    return NextResponse.json({
+      days,
+      ...usage,
+      users: usage.users.map((row) => ({ ...row, email: emails[row.userId] })),
+    });
+  } catch (error) {
+    console.error('Error summarizing usage:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while summarizing usage' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server';
+import { eq } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { websites } from '@/db/schema';
+import { authenticateRequest, isAdmin } from '@/lib/auth';
+import { startIngestion } from '@/lib/ingestion';
+
+// Define POST function to crawl a website from a seed URL or sitemap.xml
+export async function POST(req, { params }) {
+  try {
+    // Only admins manage the knowledge base
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (!isAdmin(user)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const websiteId = parseInt(params.websiteId, 10);
+    if (!Number.isInteger(websiteId)) {
+      return NextResponse.json({ error: 'Website not found' }, { status: 404 });
+    }
+    const [website] = await db
+      .select()
+      .from(websites)
+      .where(eq(websites.id, websiteId));
+    if (!website) {
+      return NextResponse.json({ error: 'Website not found' }, { status: 404 });
+    }
+
+    // Fall back to the registered home page when no seed is given
+    const {
+      seedUrl = website.url,
+      sitemapUrl,
+      maxPages,
+    } = await req.json().catch(() => ({}));
+    if (!seedUrl && !sitemapUrl) {
+      return NextResponse.json(
+        { error: 'A seedUrl or a sitemapUrl is required' },
+        { status: 400 }
+      );
+    }
+
+    const job = await startIngestion({
+      websiteId,
+      seedUrl,
+      sitemapUrl,
+      maxPages,
+    });
+
+    return NextResponse.json({ job }, { status: 202 });
+  } catch (error) {
+    console.error('Error starting ingestion:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while starting the ingestion' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import { asc, countDistinct, eq } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { webpageEmbeddings, websites } from '@/db/schema';
+import { authenticateRequest, isAdmin } from '@/lib/auth';
+
+// Define GET function listing the websites available as knowledge bases
+export async function GET(req) {
+  try {
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+
+    // Count indexed pages, not chunks, per website
+    const rows = await db
+      .select({
+        id: websites.id,
+        name: websites.name,
+        description: websites.description,
+        url: websites.url,
+        pageCount: countDistinct(webpageEmbeddings.url),
+      })
+      .from(websites)
+      .leftJoin(webpageEmbeddings, eq(webpageEmbeddings.websiteId, websites.id))
+      .groupBy(websites.id)
+      .orderBy(asc(websites.name));
+
+    return NextResponse.json({ websites: rows });
+  } catch (error) {
+    console.error('Error listing websites:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while listing websites' },
+      { status: 500 }
+    );
+  }
+}
+
+// Define POST function to register a website for ingestion
+export async function POST(req) {
+  try {
+    // Only admins manage the knowledge base
+    const user = await authenticateRequest(req);
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    if (!isAdmin(user)) {
+      return NextResponse.json({ error: 'Forbidden' }, { status: 403 });
+    }
+
+    const { name, description = '', keywords = '', url } = await req.json();
+    if (!name) {
+      return NextResponse.json(
+        { error: 'A name is required' },
+        { status: 400 }
+      );
+    }
+
+    const [website] = await db
+      .insert(websites)
+      .values({ name, description, keywords, url })
+      .returning();
+
+    return NextResponse.json({ website }, { status: 201 });
+  } catch (error) {
+    console.error('Error registering website:', error);
+    return NextResponse.json(
+      { error: 'An error occurred while registering the website' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,94 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { createClient } from '@supabase/supabase-js';
+
+// Browser Supabase client, for the user's session
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.NEXT_PUBLIC_SUPABASE_API_KEY
+);
+
+// Document page, the link of the source tiles of uploaded documents. The file
+// needs the session's token, so it is fetched and shown from a blob URL: PDFs
+// in the browser's viewer at the page of the link (#page=N), Markdown and
+// text as they are.
+export default function DocumentPage({ params }) {
+  const [authLoaded, setAuthLoaded] = useState(false);
+  const [session, setSession] = useState(null);
+  const [document, setDocument] = useState(null);
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setAuthLoaded(true);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!session) return undefined;
+    const headers = { Authorization: `Bearer ${session.access_token}` };
+    let url = null;
+
+    fetch(`/api/documents/${params.documentId}`, { headers })
+      .then((res) => res.json())
+      .then(async (data) => {
+        if (data.error) throw new Error(data.error);
+        setDocument(data.document);
+
+        const res = await fetch(`/api/documents/${params.documentId}/file`, {
+          headers,
+        });
+        if (!res.ok) throw new Error('The file could not be downloaded');
+        const blob = await res.blob();
+        url = URL.createObjectURL(blob);
+        setFile({
+          url,
+          text: blob.type.startsWith('text/') ? await blob.text() : null,
+        });
+      })
+      .catch((err) => setError(err.message));
+
+    return () => url && URL.revokeObjectURL(url);
+  }, [session, params.documentId]);
+
+  if (!authLoaded) return null;
+  if (!session) {
+    return <div className="p-8">Sign in on the home page first.</div>;
+  }
+  if (error) return <div className="p-8 text-red-600">{error}</div>;
+  if (!document) return null;
+
+  return (
+    <div className="flex flex-col h-screen p-4 space-y-2">
+      <div className="flex items-center space-x-3">
+        <h1 className="flex-1 text-xl font-bold truncate">
+          {document.title || document.fileName}
+        </h1>
+        {file && (
+          <a
+            href={file.url}
+            download={document.fileName}
+            className="px-3 py-1 border rounded hover:bg-gray-100"
+          >
+            Download {document.fileName}
+          </a>
+        )}
+      </div>
+      {file &&
+        (file.text !== null ? (
+          <pre className="flex-1 overflow-auto p-4 bg-white rounded shadow whitespace-pre-wrap">
+            {file.text}
+          </pre>
+        ) : (
+          <iframe
+            title={document.fileName}
+            src={`${file.url}${window.location.hash}`}
+            className="flex-1 w-full bg-white rounded shadow"
+          />
+        ))}
+    </div>
+  );
+}
@@ -0,0 +1,301 @@
+'use client';
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { createClient } from '@supabase/supabase-js';
+
+// Browser Supabase client, for the user's session
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.NEXT_PUBLIC_SUPABASE_API_KEY
+);
+
+// Time between two refreshes of documents that are being indexed
+const POLL_INTERVAL_MS = 3000;
+
+const formatSize = (bytes) =>
+  bytes < 1024 * 1024
+    ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+    : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// Documents page: create private or team collections, upload PDF, Markdown
+// and text files to them, and index again or delete the uploaded documents
+export default function DocumentsPage() {
+  const [session, setSession] = useState(null);
+  const [authLoaded, setAuthLoaded] = useState(false);
+  const [collections, setCollections] = useState([]);
+  const [team, setTeam] = useState(null);
+  const [collectionId, setCollectionId] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setAuthLoaded(true);
+    });
+  }, []);
+
+  // Call a collections or documents endpoint with the session's token
+  const request = useCallback(
+    (path, options = {}) =>
+      fetch(path, {
+        ...options,
+        headers: {
+          ...(typeof options.body === 'string' && {
+            'Content-Type': 'application/json',
+          }),
+          Authorization: `Bearer ${session.access_token}`,
+        },
+      }).then((res) => res.json()),
+    [session]
+  );
+
+  const loadCollections = useCallback(() => {
+    request('/api/collections')
+      .then((data) => {
+        setError(data.error || null);
+        setCollections(data.collections || []);
+        setTeam(data.team || null);
+      })
+      .catch((err) => setError(err.message));
+  }, [request]);
+
+  const loadDocuments = useCallback(() => {
+    request(`/api/collections/${collectionId}/documents`)
+      .then((data) => {
+        setError(data.error || null);
+        setDocuments(data.documents || []);
+      })
+      .catch((err) => setError(err.message));
+  }, [request, collectionId]);
+
+  useEffect(() => {
+    if (session) loadCollections();
+  }, [session, loadCollections]);
+
+  useEffect(() => {
+    if (collectionId) loadDocuments();
+    else setDocuments([]);
+  }, [collectionId, loadDocuments]);
+
+  // Refresh the list until every document is indexed or failed
+  const indexing = documents.some((document) =>
+    ['pending', 'indexing'].includes(document.status)
+  );
+  useEffect(() => {
+    if (!indexing) return undefined;
+    const timer = setInterval(loadDocuments, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [indexing, loadDocuments]);
+
+  const createCollection = async (e) => {
+    e.preventDefault();
+    const data = await request('/api/collections', {
+      method: 'POST',
+      body: JSON.stringify({ name, shared }),
+    });
+    setError(data.error || null);
+    if (data.collection) {
+      setName('');
+      setShared(false);
+      setCollectionId(data.collection.id);
+      loadCollections();
+    }
+  };
+
+  const deleteCollection = async (collection) => {
+    if (!window.confirm(`Delete ${collection.name} and its documents?`)) {
+      return;
+    }
+    const data = await request(`/api/collections/${collection.id}`, {
+      method: 'DELETE',
+    });
+    setError(data.error || null);
+    if (collection.id === collectionId) setCollectionId(null);
+    loadCollections();
+  };
+
+  // Upload the chosen files one after the other
+  const uploadFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    setUploading(true);
+    for (const file of files) {
+      const body = new FormData();
+      body.append('file', file);
+      const data = await request(`/api/collections/${collectionId}/documents`, {
+        method: 'POST',
+        body,
+      }).catch((err) => ({ error: err.message }));
+      setError(data.error ? `${file.name}: ${data.error}` : null);
+    }
+    setUploading(false);
+    loadDocuments();
+    loadCollections();
+  };
+
+  const reindexDocument = async (documentId) => {
+    const data = await request(`/api/documents/${documentId}/reindex`, {
+      method: 'POST',
+    });
+    setError(data.error || null);
+    loadDocuments();
+  };
+
+  const deleteDocument = async (document) => {
+    if (!window.confirm(`Delete ${document.fileName}?`)) return;
+    const data = await request(`/api/documents/${document.id}`, {
+      method: 'DELETE',
+    });
+    setError(data.error || null);
+    loadDocuments();
+    loadCollections();
+  };
+
+  if (!authLoaded) return null;
+  if (!session) {
+    return <div className="p-8">Sign in on the home page first.</div>;
+  }
+
+  const collection = collections.find(({ id }) => id === collectionId);
+
+  return (
+    <div className="max-w-3xl mx-auto p-6 space-y-4">
+      <h1 className="text-3xl font-bold">Documents</h1>
+      <p className="text-gray-600">
+        Upload PDF, Markdown and text files to a collection, then pick the
+        collection next to the websites in database mode to ask questions about
+        them.
+      </p>
+      <form onSubmit={createCollection} className="flex items-center space-x-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Collection name, e.g. Runbooks"
+          className="flex-1 p-1 border rounded focus:outline-none focus:border-blue-500"
+        />
+        {team && (
+          <label className="flex items-center space-x-1 text-sm">
+            <input
+              type="checkbox"
+              checked={shared}
+              onChange={(e) => setShared(e.target.checked)}
+            />
+            <span>Share with {team}</span>
+          </label>
+        )}
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="px-3 py-1 border rounded hover:bg-gray-100 disabled:opacity-30"
+        >
+          Create collection
+        </button>
+      </form>
+      {error && <div className="text-red-600">{error}</div>}
+      {collections.length === 0 && (
+        <div className="text-gray-500">No collections yet.</div>
+      )}
+      <div className="flex flex-wrap gap-2">
+        {collections.map((item) => (
+          <button
+            key={item.id}
+            onClick={() => setCollectionId(item.id)}
+            className={`px-3 py-1 rounded border text-sm ${
+              item.id === collectionId
+                ? 'bg-blue-500 text-white border-blue-500'
+                : 'bg-white hover:bg-gray-100'
+            }`}
+          >
+            {item.name} ({item.documentCount}){item.team && ' · team'}
+          </button>
+        ))}
+      </div>
+      {collection && (
+        <div className="space-y-3">
+          <div className="flex items-center space-x-2">
+            <div className="flex-1 text-sm text-gray-500">
+              {collection.team
+                ? `Shared with ${collection.team}`
+                : 'Private to you'}
+            </div>
+            <label
+              className={`px-3 py-1 border rounded cursor-pointer hover:bg-gray-100 ${
+                uploading ? 'opacity-30 pointer-events-none' : ''
+              }`}
+            >
+              {uploading ? 'Uploading…' : 'Upload files'}
+              <input
+                type="file"
+                multiple
+                accept=".pdf,.md,.markdown,.txt,application/pdf,text/markdown,text/plain"
+                onChange={uploadFiles}
+                className="hidden"
+              />
+            </label>
+            {collection.isOwner && (
+              <button
+                onClick={() => deleteCollection(collection)}
+                className="px-3 py-1 border rounded text-red-600 hover:bg-gray-100"
+              >
+                Delete collection
+              </button>
+            )}
+          </div>
+          {documents.length === 0 && (
+            <div className="text-gray-500">
+              No documents in this collection.
+            </div>
+          )}
+          {documents.map((document) => (
+            <div
+              key={document.id}
+              className="flex items-center p-3 bg-white rounded shadow space-x-3"
+            >
+              <div className="flex-1 min-w-0">
+                <a
+                  href={`/documents/${document.id}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-bold hover:underline"
+                >
+                  {document.title || document.fileName}
+                </a>
+                <div className="text-sm text-gray-500">
+                  {document.fileName} · {formatSize(document.size)} · uploaded{' '}
+                  {new Date(document.createdAt).toLocaleDateString()} ·{' '}
+                  {document.status === 'ready'
+                    ? `${document.chunkCount} chunks`
+                    : document.status}
+                </div>
+                {document.error && (
+                  <div className="text-sm text-red-600">{document.error}</div>
+                )}
+              </div>
+              {document.canManage && (
+                <>
+                  <button
+                    onClick={() => reindexDocument(document.id)}
+                    disabled={['pending', 'indexing'].includes(document.status)}
+                    className="px-3 py-1 border rounded hover:bg-gray-100 disabled:opacity-30"
+                  >
+                    Reindex
+                  </button>
+                  <button
+                    onClick={() => deleteDocument(document)}
+                    className="px-3 py-1 border rounded text-red-600 hover:bg-gray-100"
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+'use client';
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { createClient } from '@supabase/supabase-js';
+
+// Browser Supabase client, for the user's session
+const supabase = createClient(
+  process.env.NEXT_PUBLIC_SUPABASE_URL,
+  process.env.NEXT_PUBLIC_SUPABASE_API_KEY
+);
+
+// API keys page: issue keys for programmatic calls to /api/backend, see when
+// they were last used and revoke them
+export default function KeysPage() {
+  const [session, setSession] = useState(null);
+  const [authLoaded, setAuthLoaded] = useState(false);
+  const [keys, setKeys] = useState([]);
+  const [name, setName] = useState('');
+  const [secret, setSecret] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setAuthLoaded(true);
+    });
+  }, []);
+
+  // Call a keys endpoint with the session's token
+  const request = useCallback(
+    (path, options = {}) =>
+      fetch(path, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session.access_token}`,
+        },
+      }).then((res) => res.json()),
+    [session]
+  );
+
+  const loadKeys = useCallback(() => {
+    request('/api/keys')
+      .then((data) => {
+        setError(data.error || null);
+        setKeys(data.keys || []);
+      })
+      .catch((err) => setError(err.message));
+  }, [request]);
+
+  useEffect(() => {
+    if (session) loadKeys();
+  }, [session, loadKeys]);
+
+  // Issue a key and show its secret once
+  const createKey = async (e) => {
+    e.preventDefault();
+    const data = await request('/api/keys', {
+      method: 'POST',
+      body: JSON.stringify({ name }),
+    });
+    setError(data.error || null);
+    if (data.secret) {
+      setSecret(data.secret);
+      setName('');
+      loadKeys();
+    }
+  };
+
+  const revokeKey = async (keyId) => {
+    const data = await request(`/api/keys/${keyId}`, { method: 'DELETE' });
+    setError(data.error || null);
+    loadKeys();
+  };
+
+  if (!authLoaded) return null;
+  if (!session) {
+    return <div className="p-8">Sign in on the home page first.</div>;
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto p-6 space-y-4">
+      <h1 className="text-3xl font-bold">API keys</h1>
+      <p className="text-gray-600">
+        Send a key as <code>Authorization: Bearer &lt;key&gt;</code> to{' '}
+        <code>/api/threads</code> and <code>/api/backend</code>. Requests made
+        with your keys count towards your daily quotas.
+      </p>
+      <form onSubmit={createKey} className="flex space-x-2">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Key name, e.g. nightly report"
+          className="flex-1 p-1 border rounded focus:outline-none focus:border-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="px-3 py-1 border rounded hover:bg-gray-100 disabled:opacity-30"
+        >
+          Create key
+        </button>
+      </form>
+      {secret && (
+        <div className="p-4 bg-yellow-50 border border-yellow-300 rounded space-y-1">
+          <div>Copy this key now, it will not be shown again:</div>
+          <code className="block break-all">{secret}</code>
+        </div>
+      )}
+      {error && <div className="text-red-600">{error}</div>}
+      {!error && keys.length === 0 && (
+        <div className="text-gray-500">No API keys yet.</div>
+      )}
+      {keys.map((key) => (
+        <div
+          key={key.id}
+          className="flex items-center p-3 bg-white rounded shadow space-x-3"
+        >
+          <div className="flex-1">
+            <div className="font-bold">{key.name}</div>
+            <div className="text-sm text-gray-500">
+              <code>{key.prefix}…</code> · created{' '}
+              {new Date(key.createdAt).toLocaleDateString()} ·{' '}
+              {key.lastUsedAt
+                ? `last used ${new Date(key.lastUsedAt).toLocaleString()}`
+                : 'never used'}
+            </div>
+          </div>
+          {key.revokedAt ? (
+            <span className="text-sm text-gray-500">Revoked</span>
+          ) : (
+            <button
+              onClick={() => revokeKey(key.id)}
+              className="px-3 py-1 border rounded text-red-600 hover:bg-gray-100"
+            >
+              Revoke
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -9,16 +9,87 @@ import {
   Stack,
   GitBranch,
   Trash,
+  Plus,
+  PencilSimple,
+  Check,
+  SignOut,
+  Key,
+  StopCircle,
+  ArrowsClockwise,
+  MagnifyingGlass,
+  CaretLeft,
+  CaretRight,
+  X,
+  DownloadSimple,
+  ShareNetwork,
+  Copy,
+  ThumbsUp,
+  ThumbsDown,
+  Prohibit,
+  Images,
+  PlayCircle,
+  ArrowSquareOut,
+  Files,
 } from '@phosphor-icons/react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { createClient } from '@supabase/supabase-js';
+import {
+  citableNumbers,
+  removeInvalidCitations,
+  replaceCitations,
+} from '@/lib/citations';
+import { selectVersionRows, turnVersions } from '@/lib/turns';
+import { videoEmbedUrl } from '@/lib/media';
 
 // 2. Initialize Supabase client
 const SUPABASE_URL = process.env.NEXT_PUBLIC_SUPABASE_URL;
 const SUPABASE_API_KEY = process.env.NEXT_PUBLIC_SUPABASE_API_KEY;
 const supabase = createClient(SUPABASE_URL, SUPABASE_API_KEY);
 
+// Answers arrive over Server-Sent Events ('sse') or Supabase Realtime
+const ANSWER_TRANSPORT = process.env.NEXT_PUBLIC_ANSWER_TRANSPORT || 'sse';
+
+// Feedback is kept per answer, one version of one turn
+const feedbackKey = (turn) => `${turn.id}:${turn.version}`;
+
+// Rows received over SSE are shown under a temporary id until the turn is saved
+const isStreamRow = (message) => String(message.id).startsWith('stream-');
+
+// Wait before a rate-limited request can be retried, e.g. "3 min"
+function formatRetryAfter(seconds) {
+  if (seconds < 60) return `${seconds} s`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Read a Server-Sent Events response body, calling onEvent(event, data)
+async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      let event = 'message';
+      let data = '';
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event: ')) event = line.slice('event: '.length);
+        if (line.startsWith('data: ')) data += line.slice('data: '.length);
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
 // 3. Home component
 export default function Home() {
   // 4. Initialize states and refs
@@ -26,9 +97,69 @@ export default function Home() {
   const [inputValue, setInputValue] = useState('');
   const [messageHistory, setMessageHistory] = useState([]);
 
+  // Supabase Auth session, null while signed out
+  const [session, setSession] = useState(null);
+  const [authLoaded, setAuthLoaded] = useState(false);
+
+  // Source tile highlighted by a citation click, as `${sourcesId}-${number}`
+  const [highlightedSource, setHighlightedSource] = useState(null);
+
+  // Threads listed in the sidebar and the one currently open
+  const [threads, setThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+
+  // Open thread and thread being streamed over SSE, readable from callbacks
+  const activeThreadIdRef = useRef(null);
+  const streamingThreadIdRef = useRef(null);
+  useEffect(() => {
+    activeThreadIdRef.current = activeThreadId;
+  }, [activeThreadId]);
+
+  // Version of each turn picked with the arrows, by turn id. Turns missing
+  // here show their latest version.
+  const [activeVersions, setActiveVersions] = useState({});
+
+  // The user's feedback on the answers of the open thread, by feedbackKey
+  const [feedback, setFeedback] = useState({});
+
+  // Turn and version of the rows streamed over SSE
+  const streamingTurnRef = useRef(null);
+
+  // Request of the turn being generated, aborted by the Stop button
+  const abortControllerRef = useRef(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  // Rate limit or quota message of the last rejected question
+  const [limitNotice, setLimitNotice] = useState(null);
+
+  // Show why /api/backend answered 429 and when to try again
+  const showLimitNotice = (data) =>
+    setLimitNotice(
+      `${data.error}. Try again in ${formatRetryAfter(data.retryAfter)}.`
+    );
+
   // Add state variable to track the embedding source
   const [embeddingSource, setEmbeddingSource] = useState('internet');
 
+  // Knowledge bases available in database mode, an empty selection means all
+  const [websites, setWebsites] = useState([]);
+  const [selectedWebsiteIds, setSelectedWebsiteIds] = useState([]);
+
+  // Collections of uploaded documents, only searched when chosen
+  const [collections, setCollections] = useState([]);
+  const [selectedCollectionIds, setSelectedCollectionIds] = useState([]);
+
+  // Web search providers in internet mode, an empty choice means the default
+  const [searchProviders, setSearchProviders] = useState([]);
+  const [searchProvider, setSearchProvider] = useState('');
+
+  // Focus modes: the search scope and answer instructions of a question
+  const [focusModes, setFocusModes] = useState([]);
+  const [focusMode, setFocusMode] = useState('all');
+
+  // Whether internet-mode answers come with image and video results
+  const [includeMedia, setIncludeMedia] = useState(true);
+
   // 5. Auto-scroll to last message
   useEffect(() => {
     setTimeout(() => {
@@ -36,8 +167,96 @@ export default function Home() {
     }, 0);
   }, [messageHistory]);
 
-  // 6. Fetch message history from Supabase
+  // Track the signed-in user
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data }) => {
+      setSession(data.session);
+      setAuthLoaded(true);
+    });
+
+    const {
+      data: { subscription },
+    } = supabase.auth.onAuthStateChange((_event, newSession) => {
+      setSession(newSession);
+    });
+
+    return () => subscription.unsubscribe();
+  }, []);
+
+  const userId = session?.user?.id;
+
+  // Fetch the configured web search providers
+  useEffect(() => {
+    fetch('/api/search/providers')
+      .then((res) => res.json())
+      .then((data) => setSearchProviders(data.providers || []))
+      .catch((err) => console.log('Error fetching search providers:', err));
+  }, []);
+
+  // Fetch the built-in and custom focus modes
   useEffect(() => {
+    fetch('/api/focus-modes')
+      .then((res) => res.json())
+      .then((data) => setFocusModes(data.modes || []))
+      .catch((err) => console.log('Error fetching focus modes:', err));
+  }, []);
+
+  // Fetch the websites that can be searched in database mode
+  useEffect(() => {
+    setWebsites([]);
+    if (!session) return;
+
+    fetch('/api/websites', {
+      headers: { Authorization: `Bearer ${session.access_token}` },
+    })
+      .then((res) => res.json())
+      .then((data) => setWebsites(data.websites || []))
+      .catch((err) => console.log('Error fetching websites:', err));
+  }, [userId]);
+
+  // Fetch the user's and their team's document collections
+  useEffect(() => {
+    setCollections([]);
+    setSelectedCollectionIds([]);
+    if (!session) return;
+
+    fetch('/api/collections', {
+      headers: { Authorization: `Bearer ${session.access_token}` },
+    })
+      .then((res) => res.json())
+      .then((data) => setCollections(data.collections || []))
+      .catch((err) => console.log('Error fetching collections:', err));
+  }, [userId]);
+
+  // 6. Fetch the thread list and keep it in sync
+  useEffect(() => {
+    setThreads([]);
+    setActiveThreadId(null);
+    if (!userId) return;
+
+    fetchThreads();
+
+    const channel = supabase
+      .channel('threads_channel')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'threads' },
+        fetchThreads
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [userId]);
+
+  // 7. Fetch message history of the open thread from Supabase
+  useEffect(() => {
+    setMessageHistory([]);
+    setActiveVersions({});
+    setFeedback({});
+    if (!activeThreadId) return;
+
     // Handle new inserts or updates into the table
     const handleRealtimeUpdates = (payload) => {
       if (payload.eventType === 'DELETE') {
@@ -52,51 +271,169 @@ export default function Home() {
         // Ensure payload.new is defined before proceeding
         if (!payload.new || !payload.new.payload) return;
 
-        setMessageHistory((prevMessages) => {
-          const lastMessage = prevMessages[prevMessages.length - 1];
-          const isSameType =
-            lastMessage?.payload?.type === 'GPT' &&
-            payload.new.payload.type === 'GPT';
+        // Rows of a turn streamed over SSE are added when the stream ends
+        if (streamingThreadIdRef.current === activeThreadId) return;
 
-          return isSameType
-            ? [...prevMessages.slice(0, -1), payload.new]
-            : [...prevMessages, payload.new];
-        });
+        // Replace rows that are already shown (streamed answers, sources
+        // updated with their snippets) and append new ones. The rows of a
+        // stopped SSE turn give way to the saved ones.
+        setMessageHistory((prevMessages) =>
+          prevMessages.some((msg) => msg.id === payload.new.id)
+            ? prevMessages.map((msg) =>
+                msg.id === payload.new.id ? payload.new : msg
+              )
+            : [...prevMessages.filter((msg) => !isStreamRow(msg)), payload.new]
+        );
       }
     };
 
-    // Subscribe to Supabase channel for real-time updates
+    // Fetch existing message history of the thread from Supabase
+    const fetchMessageHistory = () =>
+      supabase
+        .from('message_history')
+        .select('*')
+        .eq('thread_id', activeThreadId)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .then(({ data: message_history, error }) =>
+          error
+            ? console.log('error', error)
+            : // Keep the rows of a turn still streaming over SSE
+              setMessageHistory((prevMessages) => [
+                ...message_history,
+                ...prevMessages.filter(isStreamRow),
+              ])
+        );
+
+    // Fetch the version chosen for each turn of the thread
+    supabase
+      .from('turns')
+      .select('id, active_version')
+      .eq('thread_id', activeThreadId)
+      .then(({ data, error }) =>
+        error
+          ? console.log('Error fetching turns:', error)
+          : setActiveVersions(
+              Object.fromEntries(
+                data.map((turn) => [turn.id, turn.active_version])
+              )
+            )
+      );
+
+    // Fetch the feedback already given on the thread's answers
+    supabase
+      .from('answer_feedback')
+      .select('turn_id, version, rating, comment, irrelevant_sources')
+      .eq('thread_id', activeThreadId)
+      .then(({ data, error }) =>
+        error
+          ? console.log('Error fetching feedback:', error)
+          : setFeedback(
+              Object.fromEntries(
+                data.map((entry) => [
+                  feedbackKey({ id: entry.turn_id, version: entry.version }),
+                  entry,
+                ])
+              )
+            )
+      );
+
+    // Subscribe to real-time updates for this thread only, and load the
+    // history once subscribed so rows written in between are not missed
     const channel = supabase
-      .channel('message_history_channel')
+      .channel(`message_history_${activeThreadId}`)
       .on(
         'postgres_changes',
-        { event: '*', schema: 'public', table: 'message_history' },
+        {
+          event: '*',
+          schema: 'public',
+          table: 'message_history',
+          filter: `thread_id=eq.${activeThreadId}`,
+        },
         handleRealtimeUpdates
       )
-      .subscribe();
-
-    // Fetch existing message history from Supabase
-    supabase
-      .from('message_history')
-      .select('*')
-      .order('created_at', { ascending: true })
-      .then(({ data: message_history, error }) =>
-        error ? console.log('error', error) : setMessageHistory(message_history)
-      );
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') fetchMessageHistory();
+      });
 
     // Cleanup function to unsubscribe
     return () => {
       supabase.removeChannel(channel);
     };
-  }, []);
+  }, [activeThreadId]);
+
+  // 8. Function to fetch the thread list, most recently active first
+  const fetchThreads = () =>
+    supabase
+      .from('threads')
+      .select('*')
+      .order('updated_at', { ascending: false })
+      .then(({ data, error }) =>
+        error ? console.log('Error fetching threads:', error) : setThreads(data)
+      );
+
+  // Function to create a thread titled after its first message
+  const createThread = async (title) => {
+    const { data, error } = await supabase
+      .from('threads')
+      .insert([{ title: title.slice(0, 80), user_id: userId }])
+      .select('*')
+      .single();
+
+    if (error) {
+      console.log('Error creating thread:', error);
+      return null;
+    }
+    setThreads((prevThreads) => [data, ...prevThreads]);
+    return data.id;
+  };
+
+  // Function to rename a thread
+  const renameThread = (threadId, title) => {
+    supabase
+      .from('threads')
+      .update({ title })
+      .eq('id', threadId)
+      .then(({ error }) => {
+        if (error) {
+          console.log('Error renaming thread:', error);
+        } else {
+          setThreads((prevThreads) =>
+            prevThreads.map((thread) =>
+              thread.id === threadId ? { ...thread, title } : thread
+            )
+          );
+        }
+      });
+  };
 
-  // Function to clear message history
+  // Function to delete a thread, its messages are removed by the cascade
+  const deleteThread = (threadId) => {
+    supabase
+      .from('threads')
+      .delete()
+      .eq('id', threadId)
+      .then(({ error }) => {
+        if (error) {
+          console.log('Error deleting thread:', error);
+        } else {
+          setThreads((prevThreads) =>
+            prevThreads.filter((thread) => thread.id !== threadId)
+          );
+          if (threadId === activeThreadId) setActiveThreadId(null);
+        }
+      });
+  };
+
+  // 9. Function to clear the message history of the open thread
   const clearMessageHistory = () => {
-    // Delete all messages from the Supabase 'message_history' table
+    if (!activeThreadId) return;
+
+    // Delete the thread's messages from the Supabase 'message_history' table
     supabase
       .from('message_history')
       .delete()
-      .gte('id', 0) // Ensure all records are targeted
+      .eq('thread_id', activeThreadId)
       .then(({ data, error }) => {
         if (error) {
           console.log('Error clearing message history:', error);
@@ -107,53 +444,428 @@ export default function Home() {
       });
   };
 
-  // 10. Function to send a message
-  const sendMessage = (messageToSend) => {
+  // Download the open thread as Markdown or JSON, or open its printable page
+  const exportThread = async (format) => {
+    if (!activeThreadId) return;
+
+    // Open the window now, browsers block pop-ups opened after an await
+    const printWindow = format === 'html' ? window.open('', '_blank') : null;
+    const res = await fetch(
+      `/api/threads/${activeThreadId}/export?format=${format}`,
+      { headers: { Authorization: `Bearer ${session.access_token}` } }
+    );
+    if (!res.ok) {
+      printWindow?.close();
+      console.log('Error exporting thread:', await res.json());
+      return;
+    }
+
+    const url = URL.createObjectURL(await res.blob());
+    if (printWindow) {
+      printWindow.location.href = url;
+    } else {
+      const fileName =
+        res.headers.get('content-disposition')?.match(/filename="(.+)"/)?.[1] ||
+        `thread.${format}`;
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
+
+  // Create a read-only share link to a snapshot of the open thread
+  const shareThread = async () => {
+    if (!activeThreadId) return null;
+
+    const res = await fetch(`/api/threads/${activeThreadId}/shares`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${session.access_token}` },
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      console.log('Error sharing thread:', data);
+      return null;
+    }
+    return data.share;
+  };
+
+  // Revoke a share link, its page stops being served
+  const revokeShare = (share) =>
+    fetch(`/api/threads/${activeThreadId}/shares/${share.id}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${session.access_token}` },
+    }).then((res) => res.ok);
+
+  // 10. Function to send a message, or to re-run the turn `turnId` as a new
+  // version with the same sources or a new search
+  const sendMessage = async (messageToSend, { turnId, reuseSources } = {}) => {
     const message = messageToSend || inputValue;
-    const body = JSON.stringify({ message, embeddingSource }); // Include embeddingSource
-    setInputValue('');
+    if (!message || abortControllerRef.current) return;
+    if (!turnId) setInputValue('');
+
+    // Show the new version of a re-run turn as soon as it arrives
+    if (turnId) {
+      setActiveVersions(({ [turnId]: _, ...others }) => others);
+    }
+
+    // One turn at a time, until it ends or is stopped
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setIsGenerating(true);
+    setLimitNotice(null);
+    const finishTurn = () => {
+      if (abortControllerRef.current !== controller) return;
+      abortControllerRef.current = null;
+      setIsGenerating(false);
+    };
 
-    // 11. POST message to the backend
+    // Start a new thread when none is open
+    let threadId = activeThreadId;
+    if (!threadId) {
+      threadId = await createThread(message);
+      if (!threadId) return finishTurn();
+      activeThreadIdRef.current = threadId;
+      setActiveThreadId(threadId);
+    }
+    const body = JSON.stringify({
+      message,
+      embeddingSource,
+      websiteIds: selectedWebsiteIds,
+      collectionIds: selectedCollectionIds,
+      searchProvider: searchProvider || undefined,
+      focusMode,
+      includeMedia: embeddingSource === 'internet' && includeMedia,
+      threadId,
+      turnId,
+      reuseSources,
+      transport: ANSWER_TRANSPORT,
+    }); // Include embeddingSource and the chosen websites and collections
+
+    // Consume the answer stream directly
+    if (ANSWER_TRANSPORT === 'sse') {
+      streamAnswer(threadId, body, controller.signal).finally(finishTurn);
+      return;
+    }
+
+    // 11. POST message to the backend, the server marks a stopped answer
     fetch('/api/backend', {
       method: 'POST',
       body,
+      signal: controller.signal,
       headers: {
         'Content-Type': 'application/json',
+        Authorization: `Bearer ${session.access_token}`,
+      },
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (res.status === 429) showLimitNotice(data);
+        console.log('data', data);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.log('err', err);
+      })
+      .finally(finishTurn);
+  };
+
+  // Regenerate a turn's answer from its sources, or search again
+  const regenerateTurn = (turnId, query, reuseSources) =>
+    sendMessage(query, { turnId, reuseSources });
+
+  // Ask an edited question as a new version of the turn
+  const editQuery = (turnId, query) => sendMessage(query, { turnId });
+
+  // Switch a turn to another of its versions and remember the choice
+  const selectVersion = (turnId, version) => {
+    setActiveVersions((prevVersions) => ({
+      ...prevVersions,
+      [turnId]: version,
+    }));
+    supabase
+      .from('turns')
+      .update({ active_version: version })
+      .eq('id', turnId)
+      .then(({ error }) => {
+        if (error) console.log('Error selecting version:', error);
+      });
+  };
+
+  // Rate an answer, comment on it or flag its sources. `changes` holds the
+  // fields that change (rating, comment, irrelevant_sources).
+  const sendFeedback = (turn, changes) => {
+    const key = feedbackKey(turn);
+    const current = {
+      rating: null,
+      comment: null,
+      irrelevant_sources: [],
+      ...feedback[key],
+      ...changes,
+    };
+    setFeedback((prevFeedback) => ({ ...prevFeedback, [key]: current }));
+
+    fetch('/api/feedback', {
+      method: 'POST',
+      body: JSON.stringify({
+        threadId: activeThreadId,
+        turnId: turn.id,
+        version: turn.version,
+        rating: current.rating,
+        comment: current.comment,
+        irrelevantSources: current.irrelevant_sources,
+      }),
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${session.access_token}`,
       },
     })
       .then((res) => res.json())
       .then((data) => {
-        console.log('data', data);
+        if (data.error) console.log('Error saving feedback:', data.error);
       })
-      .catch((err) => console.log('err', err));
+      .catch((err) => console.log('Error saving feedback:', err));
   };
 
+  // Cancel the turn being generated: the server stops searching, fetching
+  // and generating, and keeps the partial answer flagged as stopped
+  const stopGeneration = () => abortControllerRef.current?.abort();
+
+  // Highlight and scroll to the source tile a citation points to
+  const highlightSource = (sourcesId, number) => {
+    const key = `${sourcesId}-${number}`;
+    setHighlightedSource(key);
+    document
+      .getElementById(`source-${key}`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setTimeout(
+      () =>
+        setHighlightedSource((current) => (current === key ? null : current)),
+      2000
+    );
+  };
+
+  // Answers cite the closest Sources payload above them
+  let latestSources = null;
+
+  // Apply one SSE event of the turn streamed for threadId
+  const handleStreamEvent = (threadId, event, data) => {
+    if (activeThreadIdRef.current !== threadId) return;
+
+    if (event === 'turn') {
+      streamingTurnRef.current = data;
+    } else if (event === 'payload') {
+      const row = {
+        id: `stream-${data.id}`,
+        payload: data.payload,
+        turn_id: streamingTurnRef.current?.turnId,
+        version: streamingTurnRef.current?.version,
+      };
+      setMessageHistory((prevMessages) =>
+        prevMessages.some((msg) => msg.id === row.id)
+          ? prevMessages.map((msg) => (msg.id === row.id ? row : msg))
+          : [...prevMessages, row]
+      );
+    } else if (event === 'delta') {
+      setMessageHistory((prevMessages) =>
+        prevMessages.map((msg) =>
+          msg.id === `stream-${data.id}`
+            ? {
+                ...msg,
+                payload: {
+                  ...msg.payload,
+                  content: msg.payload.content + data.delta,
+                },
+              }
+            : msg
+        )
+      );
+    } else if (event === 'done') {
+      // Swap the temporary rows for the saved ones
+      setMessageHistory((prevMessages) => [
+        ...prevMessages.filter(
+          (msg) =>
+            !isStreamRow(msg) && !data.rows.some((row) => row.id === msg.id)
+        ),
+        ...data.rows,
+      ]);
+    } else if (event === 'error') {
+      console.log('Stream error:', data.error);
+    }
+  };
+
+  // Flag the streamed answer as stopped until the saved turn replaces it
+  const showStopped = (threadId) => {
+    if (activeThreadIdRef.current !== threadId) return;
+
+    setMessageHistory((prevMessages) =>
+      prevMessages.some((msg) => isStreamRow(msg) && msg.payload.type === 'GPT')
+        ? prevMessages.map((msg) =>
+            isStreamRow(msg) && msg.payload.type === 'GPT'
+              ? { ...msg, payload: { ...msg.payload, stopped: true } }
+              : msg
+          )
+        : [
+            ...prevMessages,
+            {
+              id: 'stream-stopped',
+              payload: { type: 'GPT', content: '', stopped: true },
+              turn_id: streamingTurnRef.current?.turnId,
+              version: streamingTurnRef.current?.version,
+            },
+          ]
+    );
+  };
+
+  // POST the message and read the answer as Server-Sent Events
+  const streamAnswer = async (threadId, body, signal) => {
+    streamingThreadIdRef.current = threadId;
+    try {
+      const res = await fetch('/api/backend', {
+        method: 'POST',
+        body,
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session.access_token}`,
+        },
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        if (res.status === 429) showLimitNotice(data);
+        console.log('err', data);
+        return;
+      }
+      await readEventStream(res.body, (event, data) =>
+        handleStreamEvent(threadId, event, data)
+      );
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        showStopped(threadId);
+      } else {
+        console.log('err', err);
+      }
+    } finally {
+      streamingThreadIdRef.current = null;
+      streamingTurnRef.current = null;
+    }
+  };
+
+  // Ask for credentials before anything else
+  if (!authLoaded) return null;
+  if (!session) return <AuthForm />;
+
+  // Show the chosen version of every turn
+  const versions = turnVersions(messageHistory);
+  const visibleMessages = selectVersionRows(messageHistory, activeVersions);
+
   // 12. Render home component
   return (
     <div className="flex h-screen">
-      {/* Add clear history button */}
-      <div className="fixed top-4 right-4 z-50">
+      {/* Sidebar listing the conversation threads */}
+      <ThreadSidebar
+        threads={threads}
+        activeThreadId={activeThreadId}
+        onSelect={setActiveThreadId}
+        onNew={() => setActiveThreadId(null)}
+        onRename={renameThread}
+        onDelete={deleteThread}
+      />
+      {/* Add export, share, clear history and sign out buttons */}
+      <div className="fixed top-4 right-4 z-50 flex space-x-2">
+        {activeThreadId && (
+          <ThreadActions
+            key={activeThreadId}
+            onExport={exportThread}
+            onShare={shareThread}
+            onRevoke={revokeShare}
+          />
+        )}
         <button
           onClick={clearMessageHistory}
           className="p-2 bg-red-500 text-white rounded hover:bg-red-600 shadow-md"
         >
           <Trash size={25} />
         </button>
+        <a
+          href="/documents"
+          title="Documents"
+          className="p-2 bg-gray-500 text-white rounded hover:bg-gray-600 shadow-md"
+        >
+          <Files size={25} />
+        </a>
+        <a
+          href="/keys"
+          title="API keys"
+          className="p-2 bg-gray-500 text-white rounded hover:bg-gray-600 shadow-md"
+        >
+          <Key size={25} />
+        </a>
+        <button
+          onClick={() => supabase.auth.signOut()}
+          className="p-2 bg-gray-500 text-white rounded hover:bg-gray-600 shadow-md"
+        >
+          <SignOut size={25} />
+        </button>
       </div>
       {/* 13. Create main container with flex and screen height */}
       <div className="flex-grow h-screen flex flex-col mx-auto max-w-4xl">
+        {/* Rate limit or quota reached by the last question */}
+        {limitNotice && (
+          <div className="m-4 p-3 flex items-center bg-yellow-50 border border-yellow-300 rounded">
+            <span className="flex-1">{limitNotice}</span>
+            <button
+              onClick={() => setLimitNotice(null)}
+              className="px-2 text-gray-500 hover:text-gray-800"
+            >
+              ×
+            </button>
+          </div>
+        )}
         {/* Conditional rendering for message history */}
         {messageHistory.length > 0 ? (
           <>
             {/* 14. Map over message history to display each message */}
             <div className="flex-grow overflow-auto">
-              {messageHistory.map((message, index) => (
-                <MessageHandler
-                  key={index}
-                  message={message.payload}
-                  sendMessage={sendMessage}
-                />
-              ))}
+              {visibleMessages.map((message) => {
+                if (message.payload.type === 'Sources') latestSources = message;
+                return (
+                  <MessageHandler
+                    key={message.id}
+                    messageId={message.id}
+                    message={message.payload}
+                    turn={
+                      message.turn_id
+                        ? {
+                            id: message.turn_id,
+                            version: message.version,
+                            versions: versions.get(message.turn_id),
+                          }
+                        : null
+                    }
+                    isGenerating={isGenerating}
+                    feedback={
+                      message.turn_id
+                        ? feedback[
+                            feedbackKey({
+                              id: message.turn_id,
+                              version: message.version,
+                            })
+                          ]
+                        : null
+                    }
+                    onFeedback={sendFeedback}
+                    onRegenerate={regenerateTurn}
+                    onEditQuery={editQuery}
+                    onSelectVersion={selectVersion}
+                    sendMessage={sendMessage}
+                    sources={latestSources?.payload.content}
+                    sourcesId={latestSources?.id}
+                    highlightedSource={highlightedSource}
+                    onCitationClick={highlightSource}
+                  />
+                );
+              })}
               {/* 16. Add a ref for the end of messages to enable auto-scroll */}
               <div ref={messagesEndRef} />
             </div>
@@ -161,30 +873,32 @@ export default function Home() {
         ) : (
           <div className="flex-grow" />
         )}
-        {/* Add the switch above the InputArea */}
-        <div className="flex items-center py-3">
-          {/* Switch component */}
-          <label className="flex items-center space-x-2">
-            <input
-              type="checkbox"
-              checked={embeddingSource === 'database'}
-              onChange={(e) =>
-                setEmbeddingSource(e.target.checked ? 'database' : 'internet')
-              }
-              className="toggle-checkbox"
-            />
-            <span className="toggle-label">
-              {embeddingSource === 'database'
-                ? 'Database Embeddings'
-                : 'Internet Embeddings'}
-            </span>
-          </label>
-        </div>
+        {/* Add the source picker above the InputArea */}
+        <SourcePicker
+          embeddingSource={embeddingSource}
+          setEmbeddingSource={setEmbeddingSource}
+          websites={websites}
+          selectedWebsiteIds={selectedWebsiteIds}
+          setSelectedWebsiteIds={setSelectedWebsiteIds}
+          collections={collections}
+          selectedCollectionIds={selectedCollectionIds}
+          setSelectedCollectionIds={setSelectedCollectionIds}
+          searchProviders={searchProviders}
+          searchProvider={searchProvider}
+          setSearchProvider={setSearchProvider}
+          focusModes={focusModes}
+          focusMode={focusMode}
+          setFocusMode={setFocusMode}
+          includeMedia={includeMedia}
+          setIncludeMedia={setIncludeMedia}
+        />
         {/* 15. Include InputArea for message input and sending */}
         <InputArea
           inputValue={inputValue}
           setInputValue={setInputValue}
           sendMessage={sendMessage}
+          isGenerating={isGenerating}
+          stopGeneration={stopGeneration}
         />
         {messageHistory.length <= 0 && <div className="flex-grow" />}
       </div>
@@ -192,8 +906,438 @@ export default function Home() {
   );
 }
 
+/* Export AuthForm component for Supabase Auth sign-in and sign-up */
+export function AuthForm() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSignUp, setIsSignUp] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setNotice('');
+
+    const { data, error } = isSignUp
+      ? await supabase.auth.signUp({ email, password })
+      : await supabase.auth.signInWithPassword({ email, password });
+
+    if (error) {
+      setNotice(error.message);
+    } else if (isSignUp && !data.session) {
+      setNotice('Check your email to confirm your account.');
+    }
+  };
+
+  return (
+    <div className="flex h-screen items-center justify-center">
+      <form
+        onSubmit={handleSubmit}
+        className="w-80 flex flex-col space-y-3 p-6 bg-white rounded shadow"
+      >
+        <div className="text-2xl font-bold">
+          {isSignUp ? 'Create an account' : 'Sign in'}
+        </div>
+        <input
+          type="email"
+          placeholder="Email"
+          className="p-2 border rounded focus:outline-none focus:border-blue-500"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          className="p-2 border rounded focus:outline-none focus:border-blue-500"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+        <button
+          type="submit"
+          className="bg-blue-500 text-white p-2 rounded hover:bg-blue-600"
+        >
+          {isSignUp ? 'Sign up' : 'Sign in'}
+        </button>
+        {notice && <div className="text-sm text-red-600">{notice}</div>}
+        <button
+          type="button"
+          onClick={() => setIsSignUp(!isSignUp)}
+          className="text-sm text-blue-600 hover:underline"
+        >
+          {isSignUp
+            ? 'Already have an account? Sign in'
+            : 'No account yet? Sign up'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+/* Export ThreadSidebar component */
+export function ThreadSidebar({
+  threads,
+  activeThreadId,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+}) {
+  // Id and draft title of the thread being renamed
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  const startEditing = (thread) => {
+    setEditingId(thread.id);
+    setDraftTitle(thread.title);
+  };
+
+  const commitEditing = () => {
+    const title = draftTitle.trim();
+    if (title) onRename(editingId, title);
+    setEditingId(null);
+  };
+
+  return (
+    <div className="w-64 h-screen flex flex-col border-r bg-gray-50">
+      <button
+        onClick={onNew}
+        className="flex items-center m-2 p-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+      >
+        <Plus size={20} />
+        <span className="px-2">New thread</span>
+      </button>
+      <div className="flex-grow overflow-auto">
+        {threads.map((thread) => (
+          <div
+            key={thread.id}
+            className={`group flex items-center mx-2 my-1 p-2 rounded cursor-pointer ${
+              thread.id === activeThreadId ? 'bg-gray-200' : 'hover:bg-gray-100'
+            }`}
+            onClick={() => onSelect(thread.id)}
+          >
+            {editingId === thread.id ? (
+              <>
+                <input
+                  type="text"
+                  autoFocus
+                  className="flex-1 min-w-0 p-1 border rounded focus:outline-none focus:border-blue-500"
+                  value={draftTitle}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') commitEditing();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                />
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    commitEditing();
+                  }}
+                  className="p-1 text-gray-600 hover:text-blue-600"
+                >
+                  <Check size={16} />
+                </button>
+              </>
+            ) : (
+              <>
+                <span className="flex-1 truncate">{thread.title}</span>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    startEditing(thread);
+                  }}
+                  className="p-1 text-gray-600 hover:text-blue-600 invisible group-hover:visible"
+                >
+                  <PencilSimple size={16} />
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDelete(thread.id);
+                  }}
+                  className="p-1 text-gray-600 hover:text-red-600 invisible group-hover:visible"
+                >
+                  <Trash size={16} />
+                </button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* Export ThreadActions component to export or share the open thread */
+export function ThreadActions({ onExport, onShare, onRevoke }) {
+  const [menuOpen, setMenuOpen] = useState(false);
+
+  // Share link created from this menu, shown until dismissed
+  const [share, setShare] = useState(null);
+
+  const exportAs = (format) => {
+    setMenuOpen(false);
+    onExport(format);
+  };
+
+  const createShare = async () => {
+    setMenuOpen(false);
+    const created = await onShare();
+    if (created) setShare(created);
+  };
+
+  return (
+    <div className="relative flex space-x-2">
+      <button
+        onClick={() => setMenuOpen(!menuOpen)}
+        title="Export"
+        className="p-2 bg-blue-500 text-white rounded hover:bg-blue-600 shadow-md"
+      >
+        <DownloadSimple size={25} />
+      </button>
+      <button
+        onClick={createShare}
+        title="Create a read-only share link"
+        className="p-2 bg-blue-500 text-white rounded hover:bg-blue-600 shadow-md"
+      >
+        <ShareNetwork size={25} />
+      </button>
+      {menuOpen && (
+        <div className="absolute right-12 top-12 w-48 flex flex-col bg-white rounded shadow-lg">
+          <button
+            onClick={() => exportAs('markdown')}
+            className="p-2 text-left hover:bg-gray-100"
+          >
+            Markdown
+          </button>
+          <button
+            onClick={() => exportAs('json')}
+            className="p-2 text-left hover:bg-gray-100"
+          >
+            JSON
+          </button>
+          <button
+            onClick={() => exportAs('html')}
+            className="p-2 text-left hover:bg-gray-100"
+          >
+            Print or save as PDF
+          </button>
+        </div>
+      )}
+      {share && (
+        <div className="absolute right-0 top-12 w-96 p-3 space-y-2 bg-white rounded shadow-lg text-sm">
+          <div className="flex items-center">
+            <span className="flex-1 font-bold">Read-only link</span>
+            <button
+              onClick={() => setShare(null)}
+              className="p-1 text-gray-600 hover:text-gray-900"
+            >
+              <X size={16} />
+            </button>
+          </div>
+          <div className="flex items-center">
+            <input
+              type="text"
+              readOnly
+              value={share.url}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 min-w-0 p-1 border rounded"
+            />
+            <button
+              onClick={() => navigator.clipboard.writeText(share.url)}
+              title="Copy link"
+              className="p-1 text-gray-600 hover:text-blue-600"
+            >
+              <Copy size={20} />
+            </button>
+          </div>
+          <div className="text-xs text-gray-500">
+            Anyone with the link sees the thread as it is now.{' '}
+            <button
+              onClick={() =>
+                onRevoke(share).then((revoked) => revoked && setShare(null))
+              }
+              className="text-red-600 hover:underline"
+            >
+              Revoke link
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* Export SourcePicker component to search the internet or chosen websites
+   and collections */
+export function SourcePicker({
+  embeddingSource,
+  setEmbeddingSource,
+  websites,
+  selectedWebsiteIds,
+  setSelectedWebsiteIds,
+  collections,
+  selectedCollectionIds,
+  setSelectedCollectionIds,
+  searchProviders,
+  searchProvider,
+  setSearchProvider,
+  focusModes,
+  focusMode,
+  setFocusMode,
+  includeMedia,
+  setIncludeMedia,
+}) {
+  const toggleWebsite = (websiteId) =>
+    setSelectedWebsiteIds(
+      selectedWebsiteIds.includes(websiteId)
+        ? selectedWebsiteIds.filter((id) => id !== websiteId)
+        : [...selectedWebsiteIds, websiteId]
+    );
+  const toggleCollection = (collectionId) =>
+    setSelectedCollectionIds(
+      selectedCollectionIds.includes(collectionId)
+        ? selectedCollectionIds.filter((id) => id !== collectionId)
+        : [...selectedCollectionIds, collectionId]
+    );
+  const selectAll = () => {
+    setSelectedWebsiteIds([]);
+    setSelectedCollectionIds([]);
+  };
+
+  return (
+    <div className="py-3 space-y-2">
+      <div className="flex items-center space-x-4">
+        <label className="flex items-center space-x-2">
+          <input
+            type="radio"
+            name="embeddingSource"
+            checked={embeddingSource === 'internet'}
+            onChange={() => setEmbeddingSource('internet')}
+          />
+          <span>Internet</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input
+            type="radio"
+            name="embeddingSource"
+            checked={embeddingSource === 'database'}
+            onChange={() => setEmbeddingSource('database')}
+          />
+          <span>Knowledge bases</span>
+        </label>
+        {focusModes.length > 1 && (
+          <select
+            value={focusMode}
+            onChange={(e) => setFocusMode(e.target.value)}
+            title={
+              focusModes.find((mode) => mode.id === focusMode)?.description
+            }
+            className="p-1 border rounded focus:outline-none focus:border-blue-500"
+          >
+            {focusModes.map((mode) => (
+              <option key={mode.id} value={mode.id} title={mode.description}>
+                {mode.label}
+              </option>
+            ))}
+          </select>
+        )}
+        {embeddingSource === 'internet' && searchProviders.length > 1 && (
+          <select
+            value={searchProvider}
+            onChange={(e) => setSearchProvider(e.target.value)}
+            className="p-1 border rounded focus:outline-none focus:border-blue-500"
+          >
+            <option value="">Default search</option>
+            {searchProviders.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        )}
+        {embeddingSource === 'internet' && (
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={includeMedia}
+              onChange={(e) => setIncludeMedia(e.target.checked)}
+            />
+            <span>Images and videos</span>
+          </label>
+        )}
+      </div>
+      {embeddingSource === 'database' && (
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={selectAll}
+            title="Every website, without the document collections"
+            className={`px-3 py-1 rounded-full border ${
+              selectedWebsiteIds.length === 0 &&
+              selectedCollectionIds.length === 0
+                ? 'bg-blue-500 text-white border-blue-500'
+                : 'bg-white hover:bg-gray-100'
+            }`}
+          >
+            All websites
+          </button>
+          {websites.map((website) => (
+            <button
+              key={website.id}
+              title={website.description}
+              onClick={() => toggleWebsite(website.id)}
+              className={`px-3 py-1 rounded-full border ${
+                selectedWebsiteIds.includes(website.id)
+                  ? 'bg-blue-500 text-white border-blue-500'
+                  : 'bg-white hover:bg-gray-100'
+              }`}
+            >
+              {website.name}
+              <span className="ml-1 text-xs opacity-75">
+                {website.pageCount} pages
+              </span>
+            </button>
+          ))}
+          {collections.map((collection) => (
+            <button
+              key={`collection-${collection.id}`}
+              title={collection.description || collection.name}
+              onClick={() => toggleCollection(collection.id)}
+              className={`flex items-center px-3 py-1 rounded-full border ${
+                selectedCollectionIds.includes(collection.id)
+                  ? 'bg-blue-500 text-white border-blue-500'
+                  : 'bg-white hover:bg-gray-100'
+              }`}
+            >
+              <Files size={16} className="mr-1" />
+              {collection.name}
+              <span className="ml-1 text-xs opacity-75">
+                {collection.documentCount} documents
+              </span>
+            </button>
+          ))}
+          <a
+            href="/documents"
+            className="px-3 py-1 text-sm text-blue-600 hover:underline self-center"
+          >
+            Upload documents
+          </a>
+        </div>
+      )}
+    </div>
+  );
+}
+
 /* 17. Export InputArea component */
-export function InputArea({ inputValue, setInputValue, sendMessage }) {
+export function InputArea({
+  inputValue,
+  setInputValue,
+  sendMessage,
+  isGenerating,
+  stopGeneration,
+}) {
   /* 18. Render input and send button */
   return (
     <div className="flex items-center py-3">
@@ -203,26 +1347,157 @@ export function InputArea({ inputValue, setInputValue, sendMessage }) {
         className="flex-1 p-2 border rounded-l-md focus:outline-none focus:border-blue-500"
         value={inputValue}
         onChange={(e) => setInputValue(e.target.value)}
-        onKeyDown={(e) => e.key === 'Enter' && sendMessage()}
+        onKeyDown={(e) => e.key === 'Enter' && !isGenerating && sendMessage()}
       />
-      {/* 20. Create send button */}
-      <button
-        onClick={() => sendMessage()}
-        className="bg-blue-500 text-white p-2 rounded-r-md hover:bg-blue-600"
-      >
-        <ArrowCircleRight size={25} />
-      </button>
+      {/* 20. Create send button, a Stop button while the answer is generated */}
+      {isGenerating ? (
+        <button
+          onClick={stopGeneration}
+          title="Stop generating"
+          className="bg-red-500 text-white p-2 rounded-r-md hover:bg-red-600"
+        >
+          <StopCircle size={25} />
+        </button>
+      ) : (
+        <button
+          onClick={() => sendMessage()}
+          className="bg-blue-500 text-white p-2 rounded-r-md hover:bg-blue-600"
+        >
+          <ArrowCircleRight size={25} />
+        </button>
+      )}
     </div>
   );
 }
 
-/* 21. Query component for displaying content */
-export const Query = ({ content }) => {
-  return <div className="text-3xl font-bold my-4 w-full">{content}</div>;
+/* 21. Query component for displaying content, with the turn's controls */
+export const Query = ({
+  content,
+  turn,
+  isGenerating,
+  onRegenerate,
+  onEditQuery,
+  onSelectVersion,
+}) => {
+  // Draft of the question while it is being edited
+  const [draft, setDraft] = useState(null);
+
+  const submitEdit = () => {
+    const query = draft.trim();
+    setDraft(null);
+    if (query && query !== content) onEditQuery(turn.id, query);
+  };
+
+  if (draft !== null) {
+    return (
+      <div className="flex items-center my-4 w-full">
+        <input
+          type="text"
+          autoFocus
+          className="flex-1 p-2 text-xl border rounded focus:outline-none focus:border-blue-500"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submitEdit();
+            if (e.key === 'Escape') setDraft(null);
+          }}
+        />
+        <button
+          onClick={submitEdit}
+          title="Ask the edited question"
+          className="p-2 text-gray-600 hover:text-blue-600"
+        >
+          <Check size={20} />
+        </button>
+        <button
+          onClick={() => setDraft(null)}
+          title="Cancel"
+          className="p-2 text-gray-600 hover:text-red-600"
+        >
+          <X size={20} />
+        </button>
+      </div>
+    );
+  }
+
+  const versionIndex = turn ? turn.versions.indexOf(turn.version) : -1;
+
+  return (
+    <div className="group my-4 w-full">
+      <div className="text-3xl font-bold">{content}</div>
+      {turn && (
+        <div className="flex items-center space-x-1 mt-1 text-sm text-gray-600">
+          {turn.versions.length > 1 && (
+            <>
+              <button
+                onClick={() =>
+                  onSelectVersion(turn.id, turn.versions[versionIndex - 1])
+                }
+                disabled={versionIndex <= 0}
+                title="Previous version"
+                className="p-1 hover:text-blue-600 disabled:opacity-30"
+              >
+                <CaretLeft size={16} />
+              </button>
+              <span>
+                {versionIndex + 1} / {turn.versions.length}
+              </span>
+              <button
+                onClick={() =>
+                  onSelectVersion(turn.id, turn.versions[versionIndex + 1])
+                }
+                disabled={versionIndex >= turn.versions.length - 1}
+                title="Next version"
+                className="p-1 hover:text-blue-600 disabled:opacity-30"
+              >
+                <CaretRight size={16} />
+              </button>
+            </>
+          )}
+          {!isGenerating && (
+            <span className="flex items-center space-x-1 invisible group-hover:visible">
+              <button
+                onClick={() => onRegenerate(turn.id, content, true)}
+                title="Regenerate the answer from the same sources"
+                className="flex items-center p-1 hover:text-blue-600"
+              >
+                <ArrowsClockwise size={16} />
+                <span className="px-1">Regenerate</span>
+              </button>
+              <button
+                onClick={() => onRegenerate(turn.id, content, false)}
+                title="Search again and regenerate the answer"
+                className="flex items-center p-1 hover:text-blue-600"
+              >
+                <MagnifyingGlass size={16} />
+                <span className="px-1">Search again</span>
+              </button>
+              <button
+                onClick={() => setDraft(content)}
+                title="Edit the question"
+                className="flex items-center p-1 hover:text-blue-600"
+              >
+                <PencilSimple size={16} />
+                <span className="px-1">Edit</span>
+              </button>
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
 };
 
 /* 22. Sources component for displaying list of sources */
-export const Sources = ({ content }) => {
+export const Sources = ({
+  content,
+  messageId,
+  highlightedSource,
+  turn,
+  isGenerating,
+  feedback,
+  onFeedback,
+}) => {
   // 23. Truncate text to a given length
   const truncateText = (text, maxLength) =>
     text.length <= maxLength ? text : `${text.substring(0, maxLength)}...`;
@@ -230,6 +1505,29 @@ export const Sources = ({ content }) => {
   // 24. Extract site name from a URL
   const extractSiteName = (url) => new URL(url).hostname.replace('www.', '');
 
+  // Uploaded documents link to the document page, named by file and page
+  const sourceName = ({ link, document }) =>
+    document
+      ? `${document.fileName}${document.page ? `, p. ${document.page}` : ''}`
+      : extractSiteName(link);
+
+  // Blocked results are not numbered, they follow the source tiles
+  const numbered = content?.filter((source) => source.status !== 'blocked');
+  const blocked = content?.filter((source) => source.status === 'blocked');
+
+  // Sources flagged as not relevant to the answer
+  const irrelevant = feedback?.irrelevant_sources || [];
+  const canFlag =
+    turn && !isGenerating && !String(messageId).startsWith('stream-');
+  const toggleRelevance = (e, number) => {
+    e.preventDefault();
+    onFeedback(turn, {
+      irrelevant_sources: irrelevant.includes(number)
+        ? irrelevant.filter((flagged) => flagged !== number)
+        : [...irrelevant, number],
+    });
+  };
+
   return (
     // 25. Render the Sources component
     <>
@@ -240,20 +1538,228 @@ export const Sources = ({ content }) => {
       <div className="flex flex-wrap">
         {
           // 26. Map over the content array to create source tiles
-          content?.map(({ title, link }, index) => (
-            <a key={index} href={link} className="w-1/4 p-1">
-              <span className="flex flex-col items-center py-2 px-6 bg-white rounded shadow hover:shadow-lg transition-shadow duration-300 tile-animation h-full">
+          numbered?.map(({ title, link, date, status, reason }, index) => (
+            <a
+              key={index}
+              id={`source-${messageId}-${index + 1}`}
+              href={link}
+              className="w-1/4 p-1"
+            >
+              <span
+                className={`group relative flex flex-col items-center py-2 px-6 bg-white rounded shadow hover:shadow-lg transition-shadow duration-300 tile-animation h-full ${
+                  highlightedSource === `${messageId}-${index + 1}`
+                    ? 'ring-2 ring-blue-500'
+                    : ''
+                } ${irrelevant.includes(index + 1) ? 'opacity-50' : ''}`}
+              >
+                {canFlag && (
+                  <button
+                    onClick={(e) => toggleRelevance(e, index + 1)}
+                    title={
+                      irrelevant.includes(index + 1)
+                        ? 'Flagged as not relevant, click to undo'
+                        : 'Not relevant'
+                    }
+                    className={`absolute top-1 right-1 p-0.5 hover:text-red-600 ${
+                      irrelevant.includes(index + 1)
+                        ? 'text-red-600'
+                        : 'text-gray-400 invisible group-hover:visible'
+                    }`}
+                  >
+                    <Prohibit size={14} />
+                  </button>
+                )}
+                <span className="text-xs font-bold text-blue-600">
+                  [{index + 1}]
+                </span>
                 <span>{truncateText(title, 40)}</span>
-                <span>{extractSiteName(link)}</span>
+                <span>{sourceName(numbered[index])}</span>
+                {date && <span className="text-xs text-gray-500">{date}</span>}
+                {status === 'skipped' && (
+                  <span className="text-xs text-amber-600" title={reason}>
+                    Not read: {truncateText(reason, 40)}
+                  </span>
+                )}
               </span>
             </a>
           ))
         }
       </div>
+      {blocked?.length > 0 && (
+        <div className="text-xs text-gray-500 px-1 mt-1">
+          Not fetched:{' '}
+          {blocked.map(({ link, reason }, index) => (
+            <span key={link} title={link}>
+              {index > 0 && ', '}
+              {extractSiteName(link)} ({reason})
+            </span>
+          ))}
+        </div>
+      )}
     </>
   );
 };
 
+// Media component for the image and video results of a question, each opened
+// in a lightbox with its attribution
+export const Media = ({ content = [] }) => {
+  const [openIndex, setOpenIndex] = useState(null);
+
+  return (
+    <>
+      <div className="text-3xl font-bold my-4 w-full flex">
+        <Images size={32} />
+        <span className="px-2">Images and videos</span>
+      </div>
+      <div className="flex flex-wrap">
+        {content.map((item, index) => (
+          <button
+            key={`${item.kind}-${item.url || item.thumbnail}`}
+            onClick={() => setOpenIndex(index)}
+            title={item.title}
+            className="w-1/5 p-1"
+          >
+            <span className="relative block h-24 bg-gray-100 rounded shadow overflow-hidden hover:shadow-lg transition-shadow duration-300 tile-animation">
+              <img
+                src={item.thumbnail}
+                alt={item.title}
+                loading="lazy"
+                referrerPolicy="no-referrer"
+                className="w-full h-full object-cover"
+              />
+              {item.kind === 'video' && (
+                <span className="absolute inset-0 flex items-center justify-center text-white drop-shadow">
+                  <PlayCircle size={36} weight="fill" />
+                </span>
+              )}
+              {item.duration && (
+                <span className="absolute bottom-1 right-1 px-1 text-xs text-white bg-black/70 rounded">
+                  {item.duration}
+                </span>
+              )}
+            </span>
+          </button>
+        ))}
+      </div>
+      {openIndex !== null && (
+        <Lightbox
+          items={content}
+          index={openIndex}
+          onChange={setOpenIndex}
+          onClose={() => setOpenIndex(null)}
+        />
+      )}
+    </>
+  );
+};
+
+// Lightbox component showing one image or video at a time, credited to the
+// page it was found on. Arrow keys browse and Escape closes it.
+const Lightbox = ({ items, index, onChange, onClose }) => {
+  const item = items[index];
+  const embedUrl = item.kind === 'video' ? videoEmbedUrl(item.source) : null;
+  const step = (offset) =>
+    onChange((index + offset + items.length) % items.length);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft') step(-1);
+      if (e.key === 'ArrowRight') step(1);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  const details = [
+    item.publisher,
+    item.width && item.height ? `${item.width}×${item.height}` : null,
+    item.duration,
+    Date.parse(item.date)
+      ? new Date(item.date).toLocaleDateString()
+      : item.date || null,
+  ].filter(Boolean);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/80"
+      onClick={onClose}
+    >
+      <div
+        className="relative w-full max-w-4xl mx-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          title="Close"
+          className="absolute -top-10 right-0 p-1 text-white hover:text-gray-300"
+        >
+          <X size={28} />
+        </button>
+        {embedUrl ? (
+          <iframe
+            src={embedUrl}
+            title={item.title}
+            allow="autoplay; encrypted-media; picture-in-picture"
+            allowFullScreen
+            className="w-full aspect-video rounded"
+          />
+        ) : (
+          <img
+            key={item.url || item.thumbnail}
+            src={(item.kind === 'image' && item.url) || item.thumbnail}
+            alt={item.title}
+            referrerPolicy="no-referrer"
+            onError={(e) => {
+              // Fall back on the thumbnail when the full image cannot load
+              if (e.currentTarget.src !== item.thumbnail) {
+                e.currentTarget.src = item.thumbnail;
+              }
+            }}
+            className="mx-auto max-h-[75vh] object-contain rounded"
+          />
+        )}
+        <div className="flex items-center mt-3 text-white">
+          <button
+            onClick={() => step(-1)}
+            disabled={items.length < 2}
+            title="Previous"
+            className="p-1 hover:text-gray-300 disabled:opacity-30"
+          >
+            <CaretLeft size={28} />
+          </button>
+          <div className="flex-1 text-center space-y-1">
+            <div className="font-bold">{item.title}</div>
+            {details.length > 0 && (
+              <div className="text-sm text-gray-300">{details.join(' · ')}</div>
+            )}
+            <a
+              href={item.source}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center space-x-1 text-sm text-blue-300 hover:underline"
+            >
+              <span>
+                {item.kind === 'video' && !embedUrl ? 'Watch on' : 'From'}{' '}
+                {new URL(item.source).hostname.replace('www.', '')}
+              </span>
+              <ArrowSquareOut size={14} />
+            </a>
+          </div>
+          <button
+            onClick={() => step(1)}
+            disabled={items.length < 2}
+            title="Next"
+            className="p-1 hover:text-gray-300 disabled:opacity-30"
+          >
+            <CaretRight size={28} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // 27. VectorCreation component for displaying a brief message
 export const VectorCreation = ({ content }) => {
   // 28. Initialize state to control visibility of the component
@@ -284,20 +1790,175 @@ export const Heading = ({ content }) => {
   );
 };
 
+// Citation component for an inline [n] badge linked to a source tile
+const Citation = ({ number, source, onClick }) => {
+  // Show the supporting snippet while hovered
+  const [hovered, setHovered] = useState(false);
+
+  return (
+    <span
+      className="relative inline-block"
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+    >
+      <button
+        onClick={onClick}
+        className="mx-0.5 px-1.5 text-xs font-bold text-blue-600 bg-blue-100 rounded hover:bg-blue-200 align-super"
+      >
+        {number}
+      </button>
+      {hovered && (
+        <span className="absolute z-10 left-0 bottom-full mb-1 w-80 p-2 text-sm font-normal text-gray-800 bg-white rounded shadow-lg not-prose">
+          <span className="block font-bold truncate">{source.title}</span>
+          <span className="block">
+            {source.snippet?.length > 300
+              ? `${source.snippet.substring(0, 300)}...`
+              : source.snippet}
+          </span>
+        </span>
+      )}
+    </span>
+  );
+};
+
 // 30. GPT component for rendering markdown content
-const GPT = ({ content }) => (
-  <ReactMarkdown
-    className="prose mt-1 w-full break-words prose-p:leading-relaxed"
-    remarkPlugins={[remarkGfm]}
-    components={{
-      a: ({ node, ...props }) => (
-        <a {...props} style={{ color: 'blue', fontWeight: 'bold' }} />
-      ),
-    }}
-  >
-    {content}
-  </ReactMarkdown>
-);
+const GPT = ({
+  content,
+  stopped,
+  sources = [],
+  sourcesId,
+  onCitationClick,
+  messageId,
+  turn,
+  isGenerating,
+  feedback,
+  onFeedback,
+}) => {
+  // Turn valid [n] markers into links the renderer swaps for badges
+  const markdown = replaceCitations(
+    removeInvalidCitations(content, citableNumbers(sources)),
+    (marker, number) =>
+      marker.replace(/\[\d+\]/, `[${number}](#cite-${number})`)
+  );
+
+  return (
+    <>
+      <ReactMarkdown
+        className="prose mt-1 w-full break-words prose-p:leading-relaxed"
+        remarkPlugins={[remarkGfm]}
+        components={{
+          a: ({ node, ...props }) => {
+            const number = props.href?.startsWith('#cite-')
+              ? parseInt(props.href.slice('#cite-'.length), 10)
+              : null;
+
+            return number ? (
+              <Citation
+                number={number}
+                source={sources[number - 1]}
+                onClick={() => onCitationClick(sourcesId, number)}
+              />
+            ) : (
+              <a {...props} style={{ color: 'blue', fontWeight: 'bold' }} />
+            );
+          },
+        }}
+      >
+        {markdown}
+      </ReactMarkdown>
+      {stopped && (
+        <div className="text-xs text-gray-500 italic mt-1">
+          Stopped before the answer was complete
+        </div>
+      )}
+      {turn && !isGenerating && !String(messageId).startsWith('stream-') && (
+        <AnswerFeedback
+          feedback={feedback}
+          onFeedback={(changes) => onFeedback(turn, changes)}
+        />
+      )}
+    </>
+  );
+};
+
+// AnswerFeedback component for thumbs up/down and an optional comment
+const AnswerFeedback = ({ feedback, onFeedback }) => {
+  const rating = feedback?.rating || null;
+
+  // Draft of the comment, open after rating the answer
+  const [draft, setDraft] = useState(null);
+
+  const rate = (value) => {
+    const newRating = rating === value ? null : value;
+    onFeedback({ rating: newRating });
+    setDraft(newRating ? feedback?.comment || '' : null);
+  };
+
+  const submitComment = () => {
+    onFeedback({ comment: draft.trim() || null });
+    setDraft(null);
+  };
+
+  return (
+    <div className="mt-2 text-sm text-gray-600">
+      <div className="flex items-center space-x-1">
+        <button
+          onClick={() => rate('up')}
+          title="Good answer"
+          className={`p-1 hover:text-green-600 ${
+            rating === 'up' ? 'text-green-600' : ''
+          }`}
+        >
+          <ThumbsUp size={18} weight={rating === 'up' ? 'fill' : 'regular'} />
+        </button>
+        <button
+          onClick={() => rate('down')}
+          title="Bad answer"
+          className={`p-1 hover:text-red-600 ${
+            rating === 'down' ? 'text-red-600' : ''
+          }`}
+        >
+          <ThumbsDown
+            size={18}
+            weight={rating === 'down' ? 'fill' : 'regular'}
+          />
+        </button>
+        {feedback?.comment && draft === null && (
+          <span className="italic truncate" title={feedback.comment}>
+            “{feedback.comment}”
+          </span>
+        )}
+      </div>
+      {draft !== null && (
+        <div className="flex items-center mt-1">
+          <input
+            type="text"
+            autoFocus
+            placeholder={
+              rating === 'down'
+                ? 'What was wrong? (optional)'
+                : 'Anything to add? (optional)'
+            }
+            className="flex-1 p-1 border rounded focus:outline-none focus:border-blue-500"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') submitComment();
+              if (e.key === 'Escape') setDraft(null);
+            }}
+          />
+          <button
+            onClick={submitComment}
+            title="Send comment"
+            className="p-1 hover:text-blue-600"
+          >
+            <Check size={18} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
 
 // 31. FollowUp component for displaying follow-up options
 export const FollowUp = ({ content, sendMessage }) => {
@@ -360,11 +2021,12 @@ export const FollowUp = ({ content, sendMessage }) => {
 };
 
 // 40. MessageHandler component for dynamically rendering message components
-const MessageHandler = memo(({ message, sendMessage }) => {
+const MessageHandler = memo(({ message, ...props }) => {
   // 41. Map message types to components
   const COMPONENT_MAP = {
     Query,
     Sources,
+    Media,
     VectorCreation,
     Heading,
     GPT,
@@ -374,6 +2036,6 @@ const MessageHandler = memo(({ message, sendMessage }) => {
   // 42. Determine which component to render based on message type
   const Component = COMPONENT_MAP[message.type];
   return Component ? (
-    <Component content={message.content} sendMessage={sendMessage} />
+    <Component content={message.content} stopped={message.stopped} {...props} />
   ) : null;
 });
@@ -0,0 +1,48 @@
+import { getSupabase } from '@/lib/supabase';
+import { buildTranscript, threadToHtml } from '@/lib/export';
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Shared pages run no script and load nothing but inline styles and images
+const SHARE_HEADERS = {
+  'Content-Type': 'text/html; charset=utf-8',
+  'Content-Security-Policy':
+    "default-src 'none'; style-src 'unsafe-inline'; img-src https: data:",
+  'X-Robots-Tag': 'noindex',
+};
+
+const notFound = () =>
+  new Response('Share link not found', {
+    status: 404,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+  });
+
+// Define GET function serving a read-only snapshot of a thread to anyone
+// holding the link
+export async function GET(req, { params }) {
+  try {
+    if (!UUID_PATTERN.test(params.shareId)) return notFound();
+
+    const { data: share, error } = await getSupabase()
+      .from('thread_shares')
+      .select('title, rows, created_at')
+      .eq('id', params.shareId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!share) return notFound();
+
+    return new Response(
+      threadToHtml(share, buildTranscript(share.rows), {
+        notice: `Shared on ${new Date(share.created_at).toUTCString()}`,
+      }),
+      { headers: SHARE_HEADERS }
+    );
+  } catch (error) {
+    console.error('Error serving share:', error);
+    return new Response('An error occurred while loading the share link', {
+      status: 500,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+  }
+}
@@ -1,32 +1,116 @@
 import {
   pgTable,
   serial,
+  bigserial,
   integer,
   varchar,
   text,
   timestamp,
   index,
+  jsonb,
+  uuid,
   vector,
+  customType,
+  date,
+  uniqueIndex,
+  primaryKey,
+  doublePrecision,
 } from 'drizzle-orm/pg-core';
-import { InferModel } from 'drizzle-orm';
+import { InferModel, sql } from 'drizzle-orm';
+
+// Postgres full-text search document
+const tsvector = customType<{ data: string }>({
+  dataType() {
+    return 'tsvector';
+  },
+});
+
+// Binary column, for uploaded files
+const bytea = customType<{ data: Buffer }>({
+  dataType() {
+    return 'bytea';
+  },
+});
 
 export const websites = pgTable('Website', {
   id: serial('id').primaryKey(),
   name: varchar('name', { length: 255 }).notNull(),
   description: text('description').notNull(),
   keywords: text('keywords').notNull(),
+  url: text('url'), // Home page, used as the default crawl seed
 });
 
+// Uploaded documents searched in database mode like websites, private to
+// their owner or shared with a team
+export const collections = pgTable(
+  'Collection',
+  {
+    id: serial('id').primaryKey(),
+    name: varchar('name', { length: 255 }).notNull(),
+    description: text('description').notNull().default(''),
+    ownerId: uuid('ownerId').notNull(), // auth.users.id
+    // Email domain of the team the collection is shared with, null when
+    // private to its owner
+    team: varchar('team', { length: 255 }),
+    createdAt: timestamp('createdAt', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+  },
+  (table) => ({
+    ownerIdIndex: index('Collection_ownerId_idx').on(table.ownerId),
+    teamIndex: index('Collection_team_idx').on(table.team),
+  })
+);
+
+// A file uploaded to a collection. The file is kept so it can be downloaded
+// from its source tiles and indexed again.
+export const documents = pgTable(
+  'Document',
+  {
+    id: serial('id').primaryKey(),
+    collectionId: integer('collectionId')
+      .notNull()
+      .references(() => collections.id, { onDelete: 'cascade' }),
+    uploadedBy: uuid('uploadedBy').notNull(), // auth.users.id
+    fileName: text('fileName').notNull(),
+    contentType: varchar('contentType', { length: 255 }).notNull(),
+    size: integer('size').notNull(),
+    data: bytea('data').notNull(),
+    title: text('title'),
+    status: varchar('status', { length: 32 }).notNull().default('pending'), // pending | indexing | ready | failed
+    chunkCount: integer('chunkCount').notNull().default(0),
+    error: text('error'),
+    createdAt: timestamp('createdAt', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+    indexedAt: timestamp('indexedAt', { withTimezone: true }),
+  },
+  (table) => ({
+    collectionIdIndex: index('Document_collectionId_idx').on(
+      table.collectionId
+    ),
+  })
+);
+
+// Chunks of a website page, or of an uploaded document when documentId is
+// set
 export const webpageEmbeddings = pgTable(
   'WebpageEmbedding',
   {
     id: serial('id').primaryKey(),
-    websiteId: integer('websiteId')
-      .notNull()
-      .references(() => websites.id),
+    websiteId: integer('websiteId').references(() => websites.id),
+    documentId: integer('documentId').references(() => documents.id, {
+      onDelete: 'cascade',
+    }),
     url: text('url').notNull(),
     content: text('content').notNull(),
+    // Page title and heading (or PDF page) the chunk was taken from
+    metadata: jsonb('metadata'),
     embedding: vector('embedding', { dimensions: 1536 }).notNull(), // Custom vector type
+    // Keyword index of the content, maintained by Postgres
+    contentTsv: tsvector('contentTsv').generatedAlwaysAs(
+      sql`to_tsvector('english', "content")`
+    ),
     createdAt: timestamp('createdAt', { withTimezone: true })
       .defaultNow()
       .notNull(),
@@ -36,14 +120,384 @@ export const webpageEmbeddings = pgTable(
   },
   (table) => ({
     websiteIdIndex: index('WebpageEmbedding_websiteId_idx').on(table.websiteId),
+    documentIdIndex: index('WebpageEmbedding_documentId_idx').on(
+      table.documentId
+    ),
+    // Approximate nearest-neighbour index for cosine distance (<=>) ranking
+    embeddingIndex: index('WebpageEmbedding_embedding_hnsw_idx').using(
+      'hnsw',
+      table.embedding.op('vector_cosine_ops')
+    ),
+    contentTsvIndex: index('WebpageEmbedding_contentTsv_gin_idx').using(
+      'gin',
+      table.contentTsv
+    ),
+  })
+);
+
+// Internet-mode page cache: extracted text of a fetched URL, with the HTTP
+// validators used to revalidate it once expired
+export const pageCache = pgTable('PageCache', {
+  id: serial('id').primaryKey(),
+  url: text('url').notNull().unique(),
+  content: text('content').notNull(),
+  etag: text('etag'),
+  lastModified: text('lastModified'),
+  // Embedding model and splitter settings the chunks were produced with
+  chunkConfig: varchar('chunkConfig', { length: 255 }).notNull(),
+  hitCount: integer('hitCount').notNull().default(0),
+  fetchedAt: timestamp('fetchedAt', { withTimezone: true })
+    .defaultNow()
+    .notNull(),
+  expiresAt: timestamp('expiresAt', { withTimezone: true }).notNull(),
+});
+
+// Chunks of a cached page and their embeddings
+export const pageCacheChunks = pgTable(
+  'PageCacheChunk',
+  {
+    id: serial('id').primaryKey(),
+    pageId: integer('pageId')
+      .notNull()
+      .references(() => pageCache.id, { onDelete: 'cascade' }),
+    chunkIndex: integer('chunkIndex').notNull(),
+    content: text('content').notNull(),
+    metadata: jsonb('metadata'),
+    embedding: vector('embedding', { dimensions: 1536 }).notNull(),
+  },
+  (table) => ({
+    pageChunkIndex: uniqueIndex('PageCacheChunk_pageId_chunkIndex_idx').on(
+      table.pageId,
+      table.chunkIndex
+    ),
+  })
+);
+
+// Daily page cache hit, miss and revalidation counts
+export const pageCacheStats = pgTable('PageCacheStat', {
+  day: date('day').primaryKey(),
+  hits: integer('hits').notNull().default(0),
+  misses: integer('misses').notNull().default(0),
+  revalidations: integer('revalidations').notNull().default(0),
+});
+
+// One crawl of a website, with its progress counters
+export const ingestionJobs = pgTable(
+  'IngestionJob',
+  {
+    id: serial('id').primaryKey(),
+    websiteId: integer('websiteId')
+      .notNull()
+      .references(() => websites.id, { onDelete: 'cascade' }),
+    seedUrl: text('seedUrl'),
+    sitemapUrl: text('sitemapUrl'),
+    status: varchar('status', { length: 32 }).notNull().default('pending'), // pending | running | completed | failed
+    pagesDiscovered: integer('pagesDiscovered').notNull().default(0),
+    pagesProcessed: integer('pagesProcessed').notNull().default(0),
+    pagesFailed: integer('pagesFailed').notNull().default(0),
+    chunksEmbedded: integer('chunksEmbedded').notNull().default(0),
+    error: text('error'),
+    createdAt: timestamp('createdAt', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+    updatedAt: timestamp('updatedAt', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+    finishedAt: timestamp('finishedAt', { withTimezone: true }),
+  },
+  (table) => ({
+    websiteIdIndex: index('IngestionJob_websiteId_idx').on(table.websiteId),
+  })
+);
+
+// Outcome of every page visited by an ingestion job
+export const ingestionPages = pgTable(
+  'IngestionPage',
+  {
+    id: serial('id').primaryKey(),
+    jobId: integer('jobId')
+      .notNull()
+      .references(() => ingestionJobs.id, { onDelete: 'cascade' }),
+    url: text('url').notNull(),
+    status: varchar('status', { length: 32 }).notNull(), // embedded | skipped | failed
+    chunkCount: integer('chunkCount').notNull().default(0),
+    error: text('error'),
+    createdAt: timestamp('createdAt', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+  },
+  (table) => ({
+    jobIdIndex: index('IngestionPage_jobId_idx').on(table.jobId),
+  })
+);
+
+// Admin allow/deny rules for the domains internet mode may fetch. A rule on
+// example.com also covers its subdomains.
+export const domainRules = pgTable('DomainRule', {
+  id: serial('id').primaryKey(),
+  domain: text('domain').notNull().unique(),
+  rule: varchar('rule', { length: 16 }).notNull(), // allow | deny
+  note: text('note'),
+  createdAt: timestamp('createdAt', { withTimezone: true })
+    .defaultNow()
+    .notNull(),
+});
+
+// Conversation threads listed in the sidebar, owned by a Supabase Auth user
+export const threads = pgTable(
+  'threads',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    userId: uuid('user_id'), // auth.users.id
+    title: text('title').notNull().default('New thread'),
+    createdAt: timestamp('created_at', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+  },
+  (table) => ({
+    userIdIndex: index('threads_user_id_idx').on(table.userId),
+  })
+);
+
+// One question of a thread. Regenerating or editing it writes a new version
+// of its payloads; `activeVersion` is the one shown and used as history.
+export const turns = pgTable(
+  'turns',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    threadId: uuid('thread_id')
+      .notNull()
+      .references(() => threads.id, { onDelete: 'cascade' }),
+    userId: uuid('user_id'), // auth.users.id
+    activeVersion: integer('active_version').notNull().default(1),
+    createdAt: timestamp('created_at', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+  },
+  (table) => ({
+    threadIdIndex: index('turns_thread_id_idx').on(table.threadId),
+  })
+);
+
+// Read-only snapshot of a thread served at /share/<id>: its title and the
+// rows of the versions shown when it was shared
+export const threadShares = pgTable(
+  'thread_shares',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    threadId: uuid('thread_id')
+      .notNull()
+      .references(() => threads.id, { onDelete: 'cascade' }),
+    userId: uuid('user_id'), // auth.users.id
+    title: text('title').notNull(),
+    rows: jsonb('rows').notNull(),
+    createdAt: timestamp('created_at', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+  },
+  (table) => ({
+    threadIdIndex: index('thread_shares_thread_id_idx').on(table.threadId),
+  })
+);
+
+// A user's rating of one answer (a version of a turn), with the sources they
+// flagged as not relevant. The query, retrieved chunks and their scores, model
+// and answer are copied from the turn so later edits do not change them.
+export const answerFeedback = pgTable(
+  'answer_feedback',
+  {
+    id: bigserial('id', { mode: 'number' }).primaryKey(),
+    userId: uuid('user_id'), // auth.users.id
+    threadId: uuid('thread_id')
+      .notNull()
+      .references(() => threads.id, { onDelete: 'cascade' }),
+    turnId: uuid('turn_id')
+      .notNull()
+      .references(() => turns.id, { onDelete: 'cascade' }),
+    version: integer('version').notNull(),
+    rating: varchar('rating', { length: 8 }), // up | down
+    comment: text('comment'),
+    // Numbers of the sources flagged as not relevant
+    irrelevantSources: jsonb('irrelevant_sources').notNull().default([]),
+    query: text('query'),
+    embeddingSource: varchar('embedding_source', { length: 32 }), // internet | database
+    // [{ number, title, link, content, cosineSimilarity, notRelevant }]
+    chunks: jsonb('chunks').notNull().default([]),
+    model: varchar('model', { length: 255 }),
+    answer: text('answer'),
+    createdAt: timestamp('created_at', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+    updatedAt: timestamp('updated_at', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+  },
+  (table) => ({
+    answerUserIndex: uniqueIndex('answer_feedback_turn_version_user_idx').on(
+      table.turnId,
+      table.version,
+      table.userId
+    ),
+    createdAtIndex: index('answer_feedback_created_at_idx').on(table.createdAt),
+  })
+);
+
+// Stream of UI payloads (Query, Sources, GPT, ...) written by /api/backend
+export const messageHistory = pgTable(
+  'message_history',
+  {
+    id: bigserial('id', { mode: 'number' }).primaryKey(),
+    createdAt: timestamp('created_at', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+    payload: jsonb('payload'),
+    threadId: uuid('thread_id').references(() => threads.id, {
+      onDelete: 'cascade',
+    }),
+    userId: uuid('user_id'), // auth.users.id
+    // Turn and version of the turn the payload belongs to
+    turnId: uuid('turn_id').references(() => turns.id, {
+      onDelete: 'cascade',
+    }),
+    version: integer('version').notNull().default(1),
+  },
+  (table) => ({
+    threadIdIndex: index('message_history_thread_id_idx').on(table.threadId),
+    turnIdIndex: index('message_history_turn_id_idx').on(table.turnId),
+    userIdIndex: index('message_history_user_id_idx').on(table.userId),
+  })
+);
+
+// API keys issued to a user for programmatic calls to /api/backend. Only the
+// SHA-256 hash of a key is stored; `prefix` identifies it in lists.
+export const apiKeys = pgTable(
+  'api_keys',
+  {
+    id: uuid('id').defaultRandom().primaryKey(),
+    userId: uuid('user_id').notNull(), // auth.users.id
+    name: text('name').notNull(),
+    keyHash: text('key_hash').notNull().unique(),
+    prefix: varchar('prefix', { length: 16 }).notNull(),
+    createdAt: timestamp('created_at', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+    lastUsedAt: timestamp('last_used_at', { withTimezone: true }),
+    revokedAt: timestamp('revoked_at', { withTimezone: true }),
+  },
+  (table) => ({
+    userIdIndex: index('api_keys_user_id_idx').on(table.userId),
+  })
+);
+
+// Requests and tokens counted against a rate limit or quota, per key (a
+// client or a user) and window (a minute or a UTC day)
+export const rateLimitCounters = pgTable(
+  'rate_limit_counters',
+  {
+    key: text('key').notNull(),
+    windowStart: timestamp('window_start', { withTimezone: true }).notNull(),
+    requests: integer('requests').notNull().default(0),
+    tokens: integer('tokens').notNull().default(0),
+  },
+  (table) => ({
+    pk: primaryKey({ columns: [table.key, table.windowStart] }),
+    windowStartIndex: index('rate_limit_counters_window_start_idx').on(
+      table.windowStart
+    ),
+  })
+);
+
+// Telemetry of one /api/backend turn: the timing of each stage, the token
+// usage and estimated cost of each LLM call, and the pages read and failed
+export const queryTelemetry = pgTable(
+  'query_telemetry',
+  {
+    id: bigserial('id', { mode: 'number' }).primaryKey(),
+    userId: uuid('user_id'), // auth.users.id
+    threadId: uuid('thread_id').references(() => threads.id, {
+      onDelete: 'set null',
+    }),
+    turnId: uuid('turn_id').references(() => turns.id, {
+      onDelete: 'set null',
+    }),
+    version: integer('version'),
+    embeddingSource: varchar('embedding_source', { length: 32 }), // internet | database
+    status: varchar('status', { length: 16 }).notNull(), // completed | stopped | failed
+    durationMs: integer('duration_ms').notNull(),
+    // [{ name, startMs, ms, detail, error }]
+    stages: jsonb('stages').notNull().default([]),
+    // [{ step, model, promptTokens, completionTokens, totalTokens, costUsd }]
+    usage: jsonb('usage').notNull().default([]),
+    promptTokens: integer('prompt_tokens').notNull().default(0),
+    completionTokens: integer('completion_tokens').notNull().default(0),
+    totalTokens: integer('total_tokens').notNull().default(0),
+    // Null when a model of the turn has no price
+    costUsd: doublePrecision('cost_usd'),
+    pagesFetched: integer('pages_fetched').notNull().default(0),
+    pagesFailed: integer('pages_failed').notNull().default(0),
+    // [{ stage, message }]
+    errors: jsonb('errors').notNull().default([]),
+    createdAt: timestamp('created_at', { withTimezone: true })
+      .defaultNow()
+      .notNull(),
+  },
+  (table) => ({
+    createdAtIndex: index('query_telemetry_created_at_idx').on(table.createdAt),
+    userIdIndex: index('query_telemetry_user_id_idx').on(table.userId),
   })
 );
 
 export type Website = InferModel<typeof websites>;
 export type NewWebsite = InferModel<typeof websites, 'insert'>;
 
+export type Collection = InferModel<typeof collections>;
+export type Document = InferModel<typeof documents>;
+
+export type PageCache = InferModel<typeof pageCache>;
+export type NewPageCache = InferModel<typeof pageCache, 'insert'>;
+
+export type PageCacheChunk = InferModel<typeof pageCacheChunks>;
+export type NewPageCacheChunk = InferModel<typeof pageCacheChunks, 'insert'>;
+
+export type PageCacheStat = InferModel<typeof pageCacheStats>;
+
+export type IngestionJob = InferModel<typeof ingestionJobs>;
+export type NewIngestionJob = InferModel<typeof ingestionJobs, 'insert'>;
+
+export type IngestionPage = InferModel<typeof ingestionPages>;
+export type NewIngestionPage = InferModel<typeof ingestionPages, 'insert'>;
+
+export type DomainRule = InferModel<typeof domainRules>;
+export type NewDomainRule = InferModel<typeof domainRules, 'insert'>;
+
+export type Thread = InferModel<typeof threads>;
+export type NewThread = InferModel<typeof threads, 'insert'>;
+
+export type Turn = InferModel<typeof turns>;
+export type NewTurn = InferModel<typeof turns, 'insert'>;
+
+export type ThreadShare = InferModel<typeof threadShares>;
+export type NewThreadShare = InferModel<typeof threadShares, 'insert'>;
+
+export type AnswerFeedback = InferModel<typeof answerFeedback>;
+export type NewAnswerFeedback = InferModel<typeof answerFeedback, 'insert'>;
+
+export type MessageHistory = InferModel<typeof messageHistory>;
+export type NewMessageHistory = InferModel<typeof messageHistory, 'insert'>;
+
 export type WebpageEmbedding = InferModel<typeof webpageEmbeddings>;
 export type NewWebpageEmbedding = InferModel<
   typeof webpageEmbeddings,
   'insert'
 >;
+
+export type ApiKey = InferModel<typeof apiKeys>;
+export type NewApiKey = InferModel<typeof apiKeys, 'insert'>;
+
+export type RateLimitCounter = InferModel<typeof rateLimitCounters>;
+
+export type QueryTelemetry = InferModel<typeof queryTelemetry>;
+export type NewQueryTelemetry = InferModel<typeof queryTelemetry, 'insert'>;
@@ -0,0 +1,27 @@
+// Instructions of the answer step, shared by /api/backend and the evaluation
+export const ANSWER_SYSTEM_PROMPT =
+  'You are an assistant that provides answers to user queries based EXCLUSIVELY on the provided context. You are STRICTLY FORBIDDEN from using any information from your training data or external knowledge. Use ONLY the given context to generate accurate and helpful responses. If the context does not contain sufficient information to answer the query, state that you cannot provide an answer based on the given context. The context is split into numbered sources such as [1] and [2]. Cite the sources supporting each sentence by appending their numbers in square brackets, e.g. [1] or [2][3]. Only cite numbers that appear in the context.';
+
+// Messages of the answer step: the instructions, with those of the focus
+// mode after them, the earlier turns of the thread (see turnsToMessages),
+// then the numbered context with the query
+export function answerMessages(
+  inputString,
+  historyMessages = [],
+  focusPrompt = ''
+) {
+  return [
+    {
+      role: 'system',
+      content: focusPrompt
+        ? `${ANSWER_SYSTEM_PROMPT}\n\n${focusPrompt}`
+        : ANSWER_SYSTEM_PROMPT,
+    },
+    // Earlier turns keep the answer coherent across the thread
+    ...historyMessages,
+    {
+      role: 'user',
+      content: inputString, // Contains both context and query
+    },
+  ];
+}
@@ -0,0 +1,101 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { and, desc, eq, isNull } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { apiKeys } from '@/db/schema';
+
+// Every key starts with this marker, which tells keys and Supabase access
+// tokens apart in the Authorization header
+export const API_KEY_PREFIX = 'pnx_';
+
+// Active keys a user may hold at once
+export const MAX_API_KEYS_PER_USER = parseInt(
+  process.env.MAX_API_KEYS_PER_USER || '5',
+  10
+);
+
+// Characters of a key kept in clear to tell keys apart in lists
+const VISIBLE_LENGTH = 12;
+
+// Columns of a key that are safe to show its owner
+const PUBLIC_COLUMNS = {
+  id: apiKeys.id,
+  name: apiKeys.name,
+  prefix: apiKeys.prefix,
+  createdAt: apiKeys.createdAt,
+  lastUsedAt: apiKeys.lastUsedAt,
+  revokedAt: apiKeys.revokedAt,
+};
+
+export const isApiKey = (token) => token.startsWith(API_KEY_PREFIX);
+
+export const hashApiKey = (secret) =>
+  createHash('sha256').update(secret).digest('hex');
+
+// Keys of the user, newest first, revoked ones included
+export function listApiKeys(userId, database = db) {
+  return database
+    .select(PUBLIC_COLUMNS)
+    .from(apiKeys)
+    .where(eq(apiKeys.userId, userId))
+    .orderBy(desc(apiKeys.createdAt));
+}
+
+// Issue a key to the user. The secret is only returned here; null when the
+// user already holds MAX_API_KEYS_PER_USER active keys.
+export async function createApiKey(userId, name, database = db) {
+  const active = await database
+    .select({ id: apiKeys.id })
+    .from(apiKeys)
+    .where(and(eq(apiKeys.userId, userId), isNull(apiKeys.revokedAt)));
+  if (active.length >= MAX_API_KEYS_PER_USER) return null;
+
+  const secret = `${API_KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+  const [key] = await database
+    .insert(apiKeys)
+    .values({
+      userId,
+      name,
+      keyHash: hashApiKey(secret),
+      prefix: secret.slice(0, VISIBLE_LENGTH),
+    })
+    .returning(PUBLIC_COLUMNS);
+
+  return { key, secret };
+}
+
+// Revoke one of the user's keys, false when they have no such active key
+export async function revokeApiKey(userId, keyId, database = db) {
+  const revoked = await database
+    .update(apiKeys)
+    .set({ revokedAt: new Date() })
+    .where(
+      and(
+        eq(apiKeys.id, keyId),
+        eq(apiKeys.userId, userId),
+        isNull(apiKeys.revokedAt)
+      )
+    )
+    .returning({ id: apiKeys.id });
+
+  return revoked.length > 0;
+}
+
+// Active key matching the secret, or null. Its last use is recorded without
+// holding up the request.
+export async function findApiKey(secret, database = db) {
+  const [key] = await database
+    .select({ id: apiKeys.id, userId: apiKeys.userId })
+    .from(apiKeys)
+    .where(
+      and(eq(apiKeys.keyHash, hashApiKey(secret)), isNull(apiKeys.revokedAt))
+    );
+  if (!key) return null;
+
+  database
+    .update(apiKeys)
+    .set({ lastUsedAt: new Date() })
+    .where(eq(apiKeys.id, key.id))
+    .catch((error) => console.error('Error recording API key use:', error));
+
+  return key;
+}
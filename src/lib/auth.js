@@ -0,0 +1,35 @@
+import { getSupabase } from '@/lib/supabase';
+import { findApiKey, isApiKey } from '@/lib/apiKeys';
+
+// Resolve the Supabase Auth user from the request's bearer token. An API key
+// resolves to its owner as { id, email: null, apiKeyId }, so keys never
+// carry admin rights.
+export async function authenticateRequest(req) {
+  const authorization = req.headers.get('authorization') || '';
+  const [scheme, token] = authorization.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  if (isApiKey(token)) {
+    const key = await findApiKey(token);
+    return key ? { id: key.userId, email: null, apiKeyId: key.id } : null;
+  }
+
+  const { data, error } = await getSupabase().auth.getUser(token);
+  if (error) return null;
+
+  return data.user;
+}
+
+// Admins are listed by email in the comma-separated ADMIN_EMAILS variable.
+// The email must be confirmed: anyone can sign up with an admin's address.
+export function isAdmin(user) {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  return (
+    Boolean(user?.email && user.email_confirmed_at) &&
+    adminEmails.includes(user.email.toLowerCase())
+  );
+}
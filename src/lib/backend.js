@@ -0,0 +1,1134 @@
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { MemoryVectorStore } from 'langchain/vectorstores/memory';
+import { Document } from 'langchain/document';
+import { NextResponse } from 'next/server';
+import { authenticateRequest } from '@/lib/auth';
+import {
+  EXTRACTOR_VERSION,
+  extractDocument,
+  splitDocument,
+} from '@/lib/extract';
+import { retrieveFromDatabase } from '@/lib/retrieval';
+import { answerMessages } from '@/lib/answer';
+import { formatNumberedContext, removeInvalidCitations } from '@/lib/citations';
+import { chat, embed, streamChat } from '@/lib/llm';
+import { ProviderEmbeddings } from '@/lib/llm/langchain';
+import { isSearchProviderName, searchMedia, searchWeb } from '@/lib/search';
+import { isSafeMedia } from '@/lib/media';
+import { createRealtimeSink, createStreamSink, formatEvent } from '@/lib/sinks';
+import {
+  findTurn,
+  formatTurns,
+  recentTurns,
+  turnsToMessages,
+} from '@/lib/history';
+import { createSupabaseStore } from '@/lib/threadStore';
+import { getCachedPage } from '@/lib/pageCache';
+import { getStepConfig } from '@/lib/llm/config';
+import { FetchBlockedError, politeFetch } from '@/lib/fetching';
+import { sharedDomainRules } from '@/lib/fetching/domains';
+import { createRateLimiter } from '@/lib/limits';
+import { createDbTelemetryStore, createTurnTelemetry } from '@/lib/telemetry';
+import { getFocusMode } from '@/lib/focus';
+import { listUserCollections } from '@/lib/documents';
+
+// Embeddings for the in-memory vector store, from the configured provider
+const embeddings = new ProviderEmbeddings();
+
+// Overlap of the chunks of internet-mode pages, whose size comes from the
+// focus mode
+const CHUNK_OVERLAP = 0;
+
+// Pages shorter than this are not worth embedding
+const MIN_CONTENT_LENGTH = 250;
+
+// Time allowed to fetch, split and embed one internet-mode page
+const PAGE_TIMEOUT_MS = 5000;
+
+// Image and video results sent with an internet-mode answer
+const MEDIA_COUNTS = { image: 6, video: 4 };
+
+// Response headers of the Server-Sent Events transport
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache, no-transform',
+  Connection: 'keep-alive',
+};
+
+// Send payload to the conversation's sink (Supabase table or SSE stream)
+async function sendPayload(conversation, content) {
+  try {
+    return await conversation.sink.insert(content);
+  } catch (error) {
+    console.error('Error sending payload:', error);
+    throw error;
+  }
+}
+
+// Keep the integer website or collection ids of the request. No website means
+// all websites, no collection means none.
+function parseIds(ids) {
+  if (!Array.isArray(ids)) return [];
+
+  return ids.map((id) => parseInt(id, 10)).filter((id) => Number.isInteger(id));
+}
+
+// Replace the payload of a row sent earlier, `delta` is the text appended to
+// a streamed answer
+async function updatePayload(conversation, rowId, payload, delta) {
+  try {
+    await conversation.sink.update(rowId, payload, delta);
+    return rowId;
+  } catch (error) {
+    console.error('Error updating payload:', error);
+    throw error;
+  }
+}
+
+// Read the vector and keyword weights of hybrid retrieval, defaulting to 1
+function parseRetrievalWeights(retrievalWeights = {}) {
+  const parseWeight = (value) => {
+    const weight = Number(value);
+    return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+  };
+
+  return {
+    vector: parseWeight(retrievalWeights.vector ?? 1),
+    keyword: parseWeight(retrievalWeights.keyword ?? 1),
+  };
+}
+
+// Options of the turn's LLM calls: cancelled with the turn, and counted
+// towards the caller's daily token quota
+const llmOptions = ({ signal, onUsage }) => ({ signal, onUsage });
+
+// Add the tokens the turn used to the caller's day and save its telemetry
+async function recordTurn(conversation, status, embeddingSource) {
+  const { telemetry, clients } = conversation;
+  try {
+    await clients.limits.recordTokens(
+      conversation.userId,
+      telemetry.totalTokens
+    );
+  } catch (error) {
+    console.error('Error recording token usage:', error);
+  }
+
+  try {
+    await clients.telemetry.save({
+      userId: conversation.userId,
+      threadId: conversation.threadId,
+      turnId: conversation.turnId,
+      version: conversation.version,
+      embeddingSource,
+      ...telemetry.summary(status),
+    });
+  } catch (error) {
+    console.error('Error saving telemetry:', error);
+  }
+}
+
+// Show the version being generated, and use it as history for later turns
+async function activateVersion(conversation) {
+  try {
+    await conversation.clients.store.activateVersion(
+      conversation.turnId,
+      conversation.version
+    );
+  } catch (error) {
+    console.error('Error activating turn version:', error);
+  }
+}
+
+// Bump the thread so it moves to the top of the sidebar
+async function touchThread(conversation) {
+  try {
+    await conversation.clients.store.touchThread(conversation.threadId);
+  } catch (error) {
+    console.error('Error updating thread:', error);
+  }
+}
+
+// Settle with `promise`, or reject with the abort reason as soon as `signal`
+// aborts, for steps such as database queries that cannot be cancelled
+function abortable(promise, signal) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Splitter of internet-mode pages for the focus mode. Modes that keep code
+// blocks split markdown-style, between fenced blocks before inside one.
+function createPageSplitter({ chunkSize, keepCodeBlocks }) {
+  const options = { chunkSize, chunkOverlap: CHUNK_OVERLAP };
+  return keepCodeBlocks
+    ? RecursiveCharacterTextSplitter.fromLanguage('markdown', options)
+    : new RecursiveCharacterTextSplitter(options);
+}
+
+// Rephrase input using the LLM
+async function rephraseInput(inputString, options) {
+  const { content } = await chat(
+    'rephrase',
+    [
+      {
+        role: 'system',
+        content:
+          'You are a rephraser and always respond with a rephrased version of the input that is given to a search engine API. Always be succinct and use the same words as the input.',
+      },
+      { role: 'user', content: inputString },
+    ],
+    options
+  );
+  return content;
+}
+
+// Rewrite a follow-up message into a standalone search query using the
+// earlier turns of the conversation
+async function rewriteStandaloneQuery(message, history, options) {
+  if (history.length === 0) return message;
+
+  const { content } = await chat(
+    'rephrase',
+    [
+      {
+        role: 'system',
+        content:
+          'You rewrite the latest message of a conversation into a standalone search query. Resolve pronouns and references such as "the second one" or "what about it" using the earlier questions, answers and numbered sources. Keep the wording of the message where possible and respond with the query only.',
+      },
+      {
+        role: 'user',
+        content: `Conversation:\n${formatTurns(
+          history
+        )}\n\nLatest message: ${message}`,
+      },
+    ],
+    options
+  );
+  return content.trim() || message;
+}
+
+// Image and video results for the query, without duplicates or results whose
+// source page the domain rules block
+async function findMedia(query, searchProvider, conversation) {
+  const { signal, clients } = conversation;
+  const found = await Promise.all(
+    Object.entries(MEDIA_COUNTS).map(([kind, count]) =>
+      searchMedia(query, kind, { provider: searchProvider, count, signal })
+    )
+  );
+
+  const media = [];
+  for (const item of found.flatMap(({ results }) => results)) {
+    const key = item.url || item.thumbnail;
+    if (!isSafeMedia(item)) continue;
+    if (media.some((kept) => (kept.url || kept.thumbnail) === key)) continue;
+    const { allowed } = await clients.domainRules.check(item.source);
+    if (allowed) media.push(item);
+  }
+  return media;
+}
+
+// Search engine for sources
+async function searchEngineForSources(
+  message,
+  {
+    embeddingSource,
+    websiteIds,
+    collectionIds,
+    searchProvider,
+    retrievalWeights,
+    includeMedia,
+  },
+  conversation
+) {
+  // Resolve follow-ups such as "what about the second one?" before retrieval
+  const { signal, onUsage, clients, telemetry, focus } = conversation;
+  const searchQuery = conversation.history.length
+    ? await telemetry.time('rewrite', () =>
+        rewriteStandaloneQuery(
+          message,
+          conversation.history,
+          llmOptions(conversation)
+        )
+      )
+    : message;
+
+  if (embeddingSource === 'database') {
+    // Fetch embeddings from the PostgreSQL database, across the chosen
+    // websites and collections
+
+    // Embed the query, rank the websites' and documents' chunks in Postgres
+    // by vector similarity and keywords, and keep the top RETRIEVAL_TOP_K of
+    // both rankings fused
+    const topDocuments = await telemetry.time('retrieve', () =>
+      abortable(
+        clients.retrieve(searchQuery, {
+          websiteIds,
+          collectionIds,
+          vectorWeight: retrievalWeights.vector,
+          keywordWeight: retrievalWeights.keyword,
+          signal,
+          onUsage,
+        }),
+        signal
+      )
+    );
+
+    // Print the list of documents with associated scores
+    console.log('Documents with hybrid scores:');
+    topDocuments.forEach((doc, index) => {
+      console.log(
+        `${index + 1}. Score: ${doc.score.toFixed(4)}, Similarity: ${
+          doc.similarity?.toFixed(4) ?? '-'
+        }, Keyword: ${doc.keywordScore?.toFixed(4) ?? '-'}, URL: ${doc.url}`
+      );
+      console.log(`   Content: ${doc.content.substring(0, 100)}...`);
+    });
+
+    // Prepare context for LLM, numbered like the source tiles
+    const contextText = formatNumberedContext(
+      topDocuments.map((doc, index) => ({
+        number: index + 1,
+        link: doc.url,
+        content: doc.content,
+        metadata: doc.metadata,
+      }))
+    );
+
+    // Send 'Sources' payload to frontend with content, link and snippet.
+    // Chunks of uploaded documents name their file and page.
+    const sourcesPayload = topDocuments.map((doc) => ({
+      title: doc.metadata?.title || doc.content,
+      link: doc.url,
+      snippet: doc.content,
+      ...(doc.documentId && {
+        document: {
+          fileName: doc.metadata?.fileName || null,
+          page: doc.metadata?.page || null,
+        },
+      }),
+      scores: {
+        fused: doc.score,
+        similarity: doc.similarity,
+        vectorRank: doc.vectorRank,
+        keywordScore: doc.keywordScore,
+        keywordRank: doc.keywordRank,
+      },
+    }));
+    await sendPayload(conversation, {
+      type: 'Sources',
+      content: sourcesPayload,
+    });
+
+    // Send a payload message indicating the vector creation process is complete
+    await sendPayload(conversation, {
+      type: 'VectorCreation',
+      content: `Finished Retrieving Embeddings from Database.`,
+    });
+
+    // Trigger LLM with context and query
+    await triggerLLMAndFollowup(
+      `Context: ${contextText}\n\nQuery: ${message}`,
+      conversation,
+      sourcesPayload.length
+    );
+  } else {
+    // Fetch embeddings from internet pages as usual
+    const rephrasedMessage = await telemetry.time('rephrase', () =>
+      rephraseInput(searchQuery, llmOptions(conversation))
+    );
+    const { results: searchResults } = await telemetry.time('search', () =>
+      searchWeb(rephrasedMessage, {
+        provider: searchProvider,
+        signal,
+        count: focus.count,
+        sites: focus.sites,
+        freshness: focus.freshness,
+        preferRecent: focus.preferRecent,
+      })
+    );
+
+    // Look for images and videos while the pages are read. They only
+    // illustrate the answer, so failing to find them does not fail the turn.
+    const mediaPromise = includeMedia
+      ? telemetry
+          .time('media', () =>
+            findMedia(rephrasedMessage, searchProvider, conversation)
+          )
+          .catch((error) => {
+            console.error('Error searching images and videos:', error);
+            return [];
+          })
+      : Promise.resolve([]);
+
+    // Keep as many top results as the focus mode reads among those the domain
+    // rules allow, and report the blocked ones ranked above them after the
+    // numbered sources
+    const normalizedData = [];
+    const blockedSources = [];
+    for (const { title, link, snippet, date } of searchResults) {
+      if (normalizedData.length === focus.sources) break;
+      const { allowed, reason } = await clients.domainRules.check(link);
+      if (allowed) {
+        normalizedData.push({ title, link, snippet, date });
+      } else {
+        blockedSources.push({
+          title,
+          link,
+          snippet,
+          status: 'blocked',
+          reason,
+        });
+      }
+    }
+
+    // Send normalized data as payload
+    const sourcesRowId = await sendPayload(conversation, {
+      type: 'Sources',
+      content: [...normalizedData, ...blockedSources],
+    });
+
+    // Reasons the pages that could not be read were skipped, by index
+    const skipReasons = [];
+
+    // Initialize vectorCount
+    let vectorCount = 0;
+
+    // Count pages served from the page cache
+    const cacheCounts = { hit: 0, revalidated: 0, miss: 0 };
+    const splitter = createPageSplitter(focus);
+
+    // Embed the query once for every page
+    const [queryEmbedding] = await telemetry.time('embedQuery', () =>
+      embed([searchQuery], llmOptions(conversation))
+    );
+
+    // Initialize async function for processing each search result item
+    const fetchAndProcess = async (item, index) => {
+      // Cancelled when the turn is stopped or the page takes too long. The
+      // timeout signal is kept referenced: AbortSignal.any only holds its
+      // sources weakly, and a collected timeout never fires.
+      const timeoutSignal = AbortSignal.timeout(clients.pageTimeoutMs);
+      const pageSignal = AbortSignal.any([signal, timeoutSignal]);
+      const stage = telemetry.start('page', item.link);
+
+      try {
+        // Fetch, split and embed the page, or reuse the cached chunks
+        const pagePromise = getCachedPage(item.link, {
+          fetchPage: (link, conditionalHeaders) =>
+            fetchPageContent(
+              clients.fetch,
+              link,
+              conditionalHeaders,
+              pageSignal
+            ),
+          // Short pages are cached without chunks
+          splitPage: (page) =>
+            page.content.length < MIN_CONTENT_LENGTH
+              ? []
+              : splitDocument(page, splitter),
+          embedTexts: (texts) => embed(texts, { signal: pageSignal, onUsage }),
+          chunkConfig: `${EXTRACTOR_VERSION}:${getStepConfig('embed').model}:${
+            focus.chunkSize
+          }:${CHUNK_OVERLAP}${focus.keepCodeBlocks ? ':code' : ''}`,
+          store: clients.pageCache,
+        });
+
+        // Wait for the page, or give up on it when the signal aborts
+        const page = await abortable(pagePromise, pageSignal);
+        cacheCounts[page.cache]++;
+        stage.end({ cache: page.cache });
+        telemetry.countPage(item.link);
+
+        // Check for insufficient content length
+        if (page.content.length < MIN_CONTENT_LENGTH) {
+          skipReasons[index] = 'Not enough text on the page';
+          return null;
+        }
+
+        // Create a vector store from the page's chunks and their embeddings
+        const vectorStore = new MemoryVectorStore(embeddings);
+        await vectorStore.addVectors(
+          page.chunks.map((chunk) => chunk.embedding),
+          page.chunks.map(
+            (chunk) =>
+              new Document({
+                pageContent: chunk.content,
+                metadata: { ...chunk.metadata, annotationPosition: item.link },
+              })
+          )
+        );
+
+        // Increment the vector count
+        vectorCount++;
+
+        // Perform similarity search on the vectors, keeping the cosine
+        // similarity of each match
+        const matches = await vectorStore.similaritySearchVectorWithScore(
+          queryEmbedding,
+          1
+        );
+        return matches.map(([document, similarity]) => ({
+          document,
+          similarity,
+        }));
+      } catch (error) {
+        // A stopped turn ends here, other failures only skip the page
+        if (signal.aborted) {
+          stage.end({ error: 'Stopped' });
+          throw error;
+        }
+
+        // Log any error and increment the vector count
+        console.log(
+          `Failed to fetch content for ${item.link}, error: ${error.message}`
+        );
+        skipReasons[index] =
+          error instanceof FetchBlockedError
+            ? error.reason
+            : timeoutSignal.aborted
+            ? 'Timed out'
+            : `Could not fetch the page (${error.message})`;
+        if (stage.ms === null) {
+          stage.end({ error: skipReasons[index] });
+          telemetry.countPage(item.link, skipReasons[index]);
+        }
+        vectorCount++;
+        return null;
+      }
+    };
+
+    // Wait for all fetch and process promises to complete
+    const results = await telemetry.time('pages', () =>
+      Promise.all(normalizedData.map(fetchAndProcess))
+    );
+
+    // Make sure that vectorCount reaches the number of sources
+    while (vectorCount < focus.sources) {
+      vectorCount++;
+    }
+
+    // Keep successful results numbered after their source tile, dated like
+    // the search result
+    const topResult = results
+      .map((result, index) =>
+        result?.length
+          ? {
+              number: index + 1,
+              link: normalizedData[index].link,
+              content: result[0].document.pageContent,
+              metadata: {
+                ...result[0].document.metadata,
+                date: normalizedData[index].date,
+              },
+              similarity: result[0].similarity,
+            }
+          : null
+      )
+      .filter((result) => result !== null)
+      .slice(0, focus.sources);
+
+    // Replace the search snippets with the chunks that support the answer
+    // and flag the sources that were skipped
+    await updatePayload(conversation, sourcesRowId, {
+      type: 'Sources',
+      content: [
+        ...normalizedData.map((source, index) => {
+          const result = topResult.find(
+            (result) => result.number === index + 1
+          );
+          return {
+            ...source,
+            snippet: result?.content || source.snippet,
+            ...(result ? { scores: { similarity: result.similarity } } : {}),
+            ...(skipReasons[index]
+              ? { status: 'skipped', reason: skipReasons[index] }
+              : {}),
+          };
+        }),
+        ...blockedSources,
+      ],
+    });
+
+    // Send the images and videos after the sources they come with
+    const media = await mediaPromise;
+    if (media.length > 0) {
+      await sendPayload(conversation, { type: 'Media', content: media });
+    }
+
+    // Send a payload message indicating the vector creation process is complete
+    console.log(
+      `Page cache: ${cacheCounts.hit} hits, ${cacheCounts.revalidated} revalidated, ${cacheCounts.miss} misses`
+    );
+    await sendPayload(conversation, {
+      type: 'VectorCreation',
+      content: `Finished Scanning Sources (${
+        cacheCounts.hit + cacheCounts.revalidated
+      } from cache).`,
+    });
+
+    // Trigger any remaining logic and follow-up actions
+    await triggerLLMAndFollowup(
+      `Context: ${formatNumberedContext(topResult)}\n\nQuery: ${message}`,
+      conversation,
+      new Set(topResult.map((result) => result.number))
+    );
+  }
+}
+
+// Answer again from the Sources (and Media) payloads of an earlier version of
+// the turn, without searching or fetching anything
+async function answerFromSources(message, { sources, media }, conversation) {
+  await sendPayload(conversation, { type: 'Sources', content: sources });
+  if (media.length > 0) {
+    await sendPayload(conversation, { type: 'Media', content: media });
+  }
+
+  // Skipped pages were never read, so only the others are context
+  const numbered = sources.filter((source) => source.status !== 'blocked');
+  const context = numbered
+    .map((source, index) => ({
+      number: index + 1,
+      link: source.link,
+      content: source.snippet,
+      metadata: { title: source.title },
+      status: source.status,
+    }))
+    .filter((entry) => entry.status !== 'skipped' && entry.content);
+
+  await sendPayload(conversation, {
+    type: 'VectorCreation',
+    content: `Reused ${numbered.length} sources from the previous answer.`,
+  });
+
+  await triggerLLMAndFollowup(
+    `Context: ${formatNumberedContext(context)}\n\nQuery: ${message}`,
+    conversation,
+    new Set(context.map((entry) => entry.number))
+  );
+}
+
+// Define fetchPageContent function, `conditionalHeaders` revalidate a cached
+// copy and a 304 answer comes back as { notModified: true }
+async function fetchPageContent(fetch, link, conditionalHeaders = {}, signal) {
+  try {
+    const response = await fetch(link, {
+      headers: conditionalHeaders,
+      signal,
+    });
+    if (response.status === 304) return { notModified: true };
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const document = await extractDocument({
+      body: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get('content-type') || '',
+      url: link,
+    });
+    if (!document) {
+      throw new Error(
+        `Unsupported content type ${response.headers.get('content-type')}`
+      );
+    }
+    return {
+      content: document.text,
+      title: document.title,
+      sections: document.sections,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+    };
+  } catch (error) {
+    console.error(`Error fetching ${link}: ${error.message}`);
+    throw error;
+  }
+}
+
+// Define triggerLLMAndFollowup function, `sources` are the sources the answer
+// can cite, as for removeInvalidCitations
+async function triggerLLMAndFollowup(inputString, conversation, sources) {
+  // Call getGPTResults with inputString
+  await getGPTResults(inputString, conversation, sources);
+
+  // Generate follow-up with generateFollowup
+  const followUpResult = await conversation.telemetry.time('followup', () =>
+    generateFollowup(inputString, llmOptions(conversation))
+  );
+
+  // Send follow-up payload
+  await sendPayload(conversation, {
+    type: 'FollowUp',
+    content: followUpResult,
+  });
+
+  // Return JSON response
+  return NextResponse.json({ message: 'Processing request' });
+}
+
+// Define getGPTResults function
+const getGPTResults = async (inputString, conversation, sources) => {
+  // Initialize accumulatedContent
+  let accumulatedContent = '';
+
+  // Time the answer, and how long its first token took
+  const { telemetry } = conversation;
+  const stage = telemetry.start('answer');
+  let firstTokenMs = null;
+
+  // Open a streaming connection with the LLM
+  const stream = streamChat(
+    'answer',
+    answerMessages(
+      inputString,
+      turnsToMessages(conversation.history),
+      conversation.focusPrompt
+    ),
+    llmOptions(conversation)
+  );
+
+  // Send initial payload
+  await sendPayload(conversation, { type: 'Heading', content: 'Answer' });
+
+  // Create an initial row for the answer
+  let rowId = await createRowForGPTResponse(conversation);
+
+  // Track the answer so a stopped turn can keep what was generated
+  conversation.answer = { rowId, content: '', sources, done: false };
+
+  // Iterate through the response stream
+  try {
+    for await (const delta of stream) {
+      firstTokenMs ??= stage.elapsed();
+
+      // Accumulate the content
+      accumulatedContent += delta;
+      conversation.answer.content = accumulatedContent;
+
+      // Update the row with new content
+      await updateRowWithGPTResponse(
+        conversation,
+        rowId,
+        accumulatedContent,
+        delta
+      );
+    }
+  } catch (error) {
+    stage.fail(error);
+    throw error;
+  }
+  stage.end({ firstTokenMs });
+
+  // Remove citations that point to no source from the final answer
+  const citedContent = removeInvalidCitations(accumulatedContent, sources);
+  if (citedContent !== accumulatedContent) {
+    await updateRowWithGPTResponse(conversation, rowId, citedContent);
+  }
+  conversation.answer.done = true;
+};
+
+// Answer payload, tagged with the model that wrote it for feedback records
+const answerPayload = (content, extra = {}) => ({
+  type: 'GPT',
+  content,
+  model: getStepConfig('answer').model,
+  ...extra,
+});
+
+// Define createRowForGPTResponse function
+const createRowForGPTResponse = async (conversation) => {
+  // Create the payload
+  const payload = answerPayload('');
+
+  // Insert into the sink and return the row ID
+  return sendPayload(conversation, payload);
+};
+
+// Define updateRowWithGPTResponse function
+const updateRowWithGPTResponse = async (
+  conversation,
+  rowId,
+  content,
+  delta
+) => {
+  if (rowId === null || rowId === undefined) {
+    console.error('Invalid rowId provided to updateRowWithGPTResponse');
+    return null;
+  }
+
+  // Update the existing row instead of deleting and reinserting
+  return updatePayload(conversation, rowId, answerPayload(content), delta);
+};
+
+// Define generateFollowup function
+async function generateFollowup(message, options) {
+  // Create chat completion with the LLM
+  const { content } = await chat(
+    'followup',
+    [
+      {
+        role: 'system',
+        content: `You are a follow up answer generator and always respond with 4 follow up questions based on this input "${message}" in JSON format. i.e. { "follow_up": ["QUESTION_GOES_HERE", "QUESTION_GOES_HERE", "QUESTION_GOES_HERE", "QUESTION_GOES_HERE"] }`,
+      },
+      {
+        role: 'user',
+        content: `Generate 4 follow up questions based on this input "${message}"`,
+      },
+    ],
+    options
+  );
+
+  // Return the content of the chat completion
+  return content;
+}
+
+// Keep the partial answer of a stopped turn, flagged as stopped. Follow-ups
+// are skipped; a turn stopped before answering gets an empty stopped answer.
+async function markTurnStopped(conversation) {
+  const { answer } = conversation;
+  if (answer?.done) return;
+
+  const payload = answerPayload(
+    answer ? removeInvalidCitations(answer.content, answer.sources) : '',
+    { stopped: true }
+  );
+  if (answer) {
+    await updatePayload(conversation, answer.rowId, payload);
+  } else {
+    await sendPayload(conversation, payload);
+  }
+}
+
+// Run one turn: the query payload, then sources, answer and follow-ups.
+// Its tokens and telemetry are recorded however it ends.
+async function runTurn(message, options, conversation) {
+  let status = 'completed';
+  // Focus modes are written for web results: knowledge-base answers keep the
+  // default instructions
+  conversation.focusPrompt =
+    options.embeddingSource === 'database' ? '' : conversation.focus.prompt;
+  try {
+    // Send query payload
+    await sendPayload(conversation, {
+      type: 'Query',
+      content: message,
+      embeddingSource: options.embeddingSource,
+      focusMode: conversation.focus.id,
+    });
+
+    // Start the search engine to find sources based on the query, or reuse
+    // the sources of the version being regenerated
+    try {
+      if (options.reused) {
+        await answerFromSources(message, options.reused, conversation);
+      } else {
+        await searchEngineForSources(message, options, conversation);
+      }
+    } catch (error) {
+      if (!conversation.signal.aborted) throw error;
+      console.log(`Turn stopped in thread ${conversation.threadId}`);
+      status = 'stopped';
+      await markTurnStopped(conversation);
+    }
+  } catch (error) {
+    status = 'failed';
+    conversation.telemetry.addError('turn', error.message);
+    throw error;
+  } finally {
+    await recordTurn(
+      conversation,
+      status,
+      options.embeddingSource === 'database' ? 'database' : 'internet'
+    );
+  }
+}
+
+// Stream the turn's payloads as Server-Sent Events, then save it once.
+// Closing the response (the Stop button) calls `abort`.
+function streamTurn(message, options, turnConversation, abort) {
+  const { threadId, userId, turnId, version, clients } = turnConversation;
+  const encoder = new TextEncoder();
+  let cancelled = false;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      // Nothing can be written once the client is gone
+      const write = (event, data) => {
+        if (!cancelled) {
+          controller.enqueue(encoder.encode(formatEvent(event, data)));
+        }
+      };
+      const conversation = {
+        ...turnConversation,
+        sink: createStreamSink({
+          threadId,
+          userId,
+          turnId,
+          version,
+          store: clients.store,
+          write,
+        }),
+      };
+
+      // Tell the client which turn and version the payloads belong to
+      write('turn', { turnId, version });
+
+      try {
+        await runTurn(message, options, conversation);
+      } catch (error) {
+        console.error('Error processing request:', error);
+        write('error', {
+          error: 'An error occurred while processing the request',
+        });
+      }
+
+      // Save whatever the turn produced, even when it failed midway
+      try {
+        await conversation.sink.close();
+        if (version > 1) await activateVersion(conversation);
+      } catch (error) {
+        console.error('Error saving streamed turn:', error);
+        write('error', { error: 'An error occurred while saving the answer' });
+      }
+      if (!cancelled) controller.close();
+    },
+
+    cancel() {
+      cancelled = true;
+      abort();
+    },
+  });
+
+  return new Response(stream, { headers: SSE_HEADERS });
+}
+
+// Build the POST handler of /api/backend. Every client can be swapped, e.g.
+// for in-memory stand-ins in tests:
+//
+// - authenticate(req) -> the Supabase Auth user or null
+// - store: threads, turns and message_history (see createSupabaseStore)
+// - fetch: fetches internet-mode pages (politeFetch)
+// - domainRules: { check(url) } applied to search results
+// - pageCache: page cache store (Postgres by default, see getCachedPage)
+// - retrieve(query, options): database-mode retrieval
+// - collections(user): the document collections the user can search (see
+//   listUserCollections)
+// - pageTimeoutMs: time allowed per internet-mode page
+// - limits: rate limits and quotas, { admit(user), recordTokens(userId,
+//   tokens) } (see createRateLimiter)
+// - telemetry: { save(record) } for the telemetry of each turn (see
+//   createTurnTelemetry)
+//
+// The LLM and web search providers are replaced with setProvider and
+// setSearchProvider.
+export function createBackendHandler(overrides = {}) {
+  const clients = {
+    authenticate: authenticateRequest,
+    fetch: politeFetch,
+    domainRules: sharedDomainRules,
+    pageCache: undefined,
+    retrieve: retrieveFromDatabase,
+    collections: listUserCollections,
+    pageTimeoutMs: PAGE_TIMEOUT_MS,
+    ...overrides,
+    store: overrides.store || createSupabaseStore(),
+    limits: overrides.limits || createRateLimiter(),
+    telemetry: overrides.telemetry || createDbTelemetryStore(),
+  };
+  const { authenticate, store, limits } = clients;
+
+  // Define POST function for API endpoint
+  return async function POST(req) {
+    try {
+      // Get message from request payload
+      const {
+        message,
+        embeddingSource,
+        threadId,
+        websiteIds,
+        collectionIds,
+        searchProvider,
+        retrievalWeights,
+        transport = 'realtime',
+        focusMode,
+        turnId,
+        reuseSources = false,
+        includeMedia = false,
+      } = await req.json();
+
+      // Reject anonymous callers
+      const user = await authenticate(req);
+      if (!user) {
+        return NextResponse.json(
+          { error: 'Authentication required' },
+          { status: 401 }
+        );
+      }
+
+      // Every payload belongs to a thread owned by the caller
+      if (!threadId) {
+        return NextResponse.json(
+          { error: 'A threadId is required' },
+          { status: 400 }
+        );
+      }
+      // A new turn needs a message, a regenerated one reuses its query
+      if (!message && !turnId) {
+        return NextResponse.json(
+          { error: 'A message or turnId is required' },
+          { status: 400 }
+        );
+      }
+      if (!(await store.userOwnsThread(user.id, threadId))) {
+        return NextResponse.json(
+          { error: 'Thread not found' },
+          { status: 404 }
+        );
+      }
+
+      // Earlier turns, read before this turn's payloads are written
+      const thread = await store.loadThread(threadId);
+
+      // Re-run an existing turn as a new version (regenerate, or edit with a
+      // new message), or start a new turn
+      let turn = null;
+      if (turnId) {
+        turn = findTurn(thread, turnId);
+        if (!turn) {
+          return NextResponse.json(
+            { error: 'Turn not found' },
+            { status: 404 }
+          );
+        }
+        if (reuseSources && turn.sources.length === 0) {
+          return NextResponse.json(
+            { error: 'This turn has no sources to reuse' },
+            { status: 400 }
+          );
+        }
+      }
+      const query = message || turn?.query;
+
+      // Search scope and answer instructions of the turn, a regenerated turn
+      // keeping its own unless the request picks another
+      const focus = await getFocusMode(focusMode || turn?.focusMode);
+      if (!focus) {
+        return NextResponse.json(
+          { error: 'Unknown focus mode' },
+          { status: 400 }
+        );
+      }
+
+      // A preferred search provider must be one of those the search knows,
+      // configured or not (searchWeb falls back from unconfigured ones)
+      if (searchProvider && !isSearchProviderName(searchProvider)) {
+        return NextResponse.json(
+          { error: 'Unknown search provider' },
+          { status: 400 }
+        );
+      }
+
+      // Collections are only searched by users who can read them
+      const requestedCollectionIds = parseIds(collectionIds);
+      if (requestedCollectionIds.length > 0) {
+        const readable = new Set(
+          (await clients.collections(user)).map((collection) => collection.id)
+        );
+        if (!requestedCollectionIds.every((id) => readable.has(id))) {
+          return NextResponse.json(
+            { error: 'Collection not found' },
+            { status: 404 }
+          );
+        }
+      }
+
+      // Count the request against the caller's limits once it is valid, so a
+      // rejected request costs no search or LLM call and an invalid one costs
+      // no quota
+      const admission = await limits.admit(user);
+      if (!admission.allowed) {
+        return NextResponse.json(
+          {
+            error: admission.error,
+            limit: admission.limit,
+            retryAfter: admission.retryAfter,
+          },
+          { status: 429, headers: admission.headers }
+        );
+      }
+
+      // A regenerated turn only sees the turns before it
+      const history = recentTurns(thread, { beforeTurnId: turnId });
+
+      // Aborted when the client goes away, e.g. after pressing Stop
+      const controller = new AbortController();
+      req.signal?.addEventListener('abort', () => controller.abort(), {
+        once: true,
+      });
+
+      const conversation = {
+        threadId,
+        userId: user.id,
+        turnId: turn ? turn.turnId : await store.createTurn(threadId, user.id),
+        version: turn ? turn.latestVersion + 1 : 1,
+        history,
+        signal: controller.signal,
+        clients,
+        focus,
+        // Stage timings and the usage of the turn's LLM calls
+        telemetry: createTurnTelemetry(),
+      };
+      conversation.onUsage = (usage) => conversation.telemetry.addUsage(usage);
+      await touchThread(conversation);
+
+      // Reused sources keep the mode they were retrieved with
+      const options = {
+        embeddingSource:
+          (reuseSources && turn?.embeddingSource) || embeddingSource,
+        websiteIds: parseIds(websiteIds),
+        collectionIds: requestedCollectionIds,
+        searchProvider,
+        retrievalWeights: parseRetrievalWeights(retrievalWeights),
+        includeMedia: Boolean(includeMedia),
+        reused:
+          reuseSources && turn
+            ? { sources: turn.sources, media: turn.media }
+            : null,
+      };
+
+      // Stream the answer in the response body
+      if (transport === 'sse') {
+        const response = streamTurn(query, options, conversation, () =>
+          controller.abort()
+        );
+        for (const [name, value] of Object.entries(admission.headers)) {
+          response.headers.set(name, value);
+        }
+        return response;
+      }
+
+      // Otherwise write every payload to message_history for Supabase Realtime
+      if (conversation.version > 1) await activateVersion(conversation);
+      await runTurn(query, options, {
+        ...conversation,
+        sink: createRealtimeSink({ ...conversation, store }),
+      });
+
+      // Return a response to the client
+      return NextResponse.json(
+        { message: 'Processing request' },
+        { headers: admission.headers }
+      );
+    } catch (error) {
+      console.error('Error processing request:', error);
+      return NextResponse.json(
+        { error: 'An error occurred while processing the request' },
+        { status: 500 }
+      );
+    }
+  };
+}
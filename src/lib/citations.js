@@ -0,0 +1,74 @@
+// Inline [n] citations shared by /api/backend and the GPT renderer
+
+// Matches [1] or [12] markers, with the space before them, that are not the
+// text of a markdown link
+const CITATION_PATTERN = / ?\[(\d+)\](?!\()/g;
+
+// Fenced code blocks (closed or still streaming) and inline code spans
+const CODE_PATTERN = /```[\s\S]*?(?:```|$)|`[^`\n]*`/g;
+
+// Number every retrieved chunk so the model can cite it, labelled with the
+// page title and section heading when extraction found them, and with the
+// publication date the search provider reported
+export function formatNumberedContext(entries) {
+  return entries
+    .map(({ number, link, content, metadata }) => {
+      const label = [metadata?.title, metadata?.heading]
+        .filter(Boolean)
+        .join(' > ');
+      const published = metadata?.date ? `, published ${metadata.date}` : '';
+      return `[${number}] ${
+        label ? `${label} ` : ''
+      }(${link}${published})\n${content}`;
+    })
+    .join('\n\n');
+}
+
+// Apply `replacer(marker, number)` to every citation marker outside code, so
+// indexes such as `items[1]` are left alone
+export function replaceCitations(text, replacer) {
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(CODE_PATTERN)) {
+    result += text
+      .slice(lastIndex, match.index)
+      .replace(CITATION_PATTERN, (marker, number) =>
+        replacer(marker, parseInt(number, 10))
+      );
+    result += match[0];
+    lastIndex = match.index + match[0].length;
+  }
+
+  return (
+    result +
+    text
+      .slice(lastIndex)
+      .replace(CITATION_PATTERN, (marker, number) =>
+        replacer(marker, parseInt(number, 10))
+      )
+  );
+}
+
+// Numbers of the sources of a Sources payload that an answer can cite: the
+// skipped and blocked ones were never part of its context
+export function citableNumbers(sources) {
+  return new Set(
+    sources.flatMap((source, index) =>
+      ['skipped', 'blocked'].includes(source.status) ? [] : [index + 1]
+    )
+  );
+}
+
+// Drop citation markers whose number matches no source. `sources` is the
+// number of sources, or the Set of the numbers present in the context when
+// some of them were never read.
+export function removeInvalidCitations(text, sources) {
+  const isValid =
+    sources instanceof Set
+      ? (number) => sources.has(number)
+      : (number) => number >= 1 && number <= sources;
+  return replaceCitations(text, (marker, number) =>
+    isValid(number) ? marker : ''
+  );
+}
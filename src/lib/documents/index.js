@@ -0,0 +1,209 @@
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import {
+  detectContentKind,
+  extractDocument,
+  splitDocument,
+} from '@/lib/extract';
+import { createEmbedder } from '@/lib/ingestion/embedder';
+import { embedInBatches } from '@/lib/ingestion';
+import { createDbDocumentStore } from '@/lib/documents/store';
+import { getSupabase } from '@/lib/supabase';
+
+// Largest file accepted by the upload endpoint, 10 MB by default
+export const MAX_UPLOAD_BYTES = parseInt(
+  process.env.MAX_UPLOAD_BYTES || String(10 * 1024 * 1024),
+  10
+);
+
+// Content type stored and served for each kind of file that can be uploaded,
+// whatever type the browser sent
+const UPLOAD_TYPES = {
+  pdf: 'application/pdf',
+  markdown: 'text/markdown; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+};
+
+// Email domains whose users share collections with their team, from the
+// comma-separated TEAM_EMAIL_DOMAINS variable
+const teamDomains = () =>
+  (process.env.TEAM_EMAIL_DOMAINS || '')
+    .split(',')
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean);
+
+// Uploads have no URL, the file name stands in for one so the extractor can
+// tell the kind of file from its extension
+const fileUrl = (fileName) => `file:///${encodeURIComponent(fileName)}`;
+
+// Link of a document's source tiles, to the page a chunk comes from for PDFs
+export const documentLink = (documentId, page) =>
+  `/documents/${documentId}${page ? `#page=${page}` : ''}`;
+
+// Team of a user: the domain of their email when it is one of
+// TEAM_EMAIL_DOMAINS and confirmed, or null. An unconfirmed email proves
+// nothing about the domain. API-key users have no email on the request, so
+// their account is looked up.
+export async function userTeam(user) {
+  let account = user;
+  if (user.email === null && user.id) {
+    const { data } = await getSupabase().auth.admin.getUserById(user.id);
+    account = data?.user || {};
+  }
+  if (!account.email_confirmed_at) return null;
+
+  const domain = account.email?.split('@')[1]?.toLowerCase();
+  return domain && teamDomains().includes(domain) ? domain : null;
+}
+
+// Collections the user owns or that are shared with their team
+export async function listUserCollections(
+  user,
+  store = createDbDocumentStore()
+) {
+  return store.listCollections({
+    ownerId: user.id,
+    team: await userTeam(user),
+  });
+}
+
+// The collection when the user owns it or is on its team, otherwise null.
+// Ids come from URL paths: one that is not an integer finds nothing.
+export async function findUserCollection(
+  user,
+  collectionId,
+  store = createDbDocumentStore()
+) {
+  if (!Number.isInteger(collectionId)) return null;
+
+  const collection = await store.getCollection(collectionId);
+  if (!collection) return null;
+  if (collection.ownerId === user.id) return collection;
+
+  return collection.team && collection.team === (await userTeam(user))
+    ? collection
+    : null;
+}
+
+// The document and its collection when the user can read it, otherwise null.
+// canManage tells whether they can also index it again or delete it: only its
+// uploader and the collection's owner can. A documentId that is not an
+// integer finds nothing.
+export async function findUserDocument(
+  user,
+  documentId,
+  store = createDbDocumentStore()
+) {
+  if (!Number.isInteger(documentId)) return null;
+
+  const document = await store.getDocument(documentId);
+  if (!document) return null;
+
+  const collection = await findUserCollection(
+    user,
+    document.collectionId,
+    store
+  );
+  if (!collection) return null;
+
+  return {
+    document,
+    collection,
+    canManage:
+      document.uploadedBy === user.id || collection.ownerId === user.id,
+  };
+}
+
+// Check an uploaded file and return it with the content type of its kind, or
+// { error } when it cannot be indexed
+export function parseUpload({ fileName, contentType, data }) {
+  if (data.length === 0) return { error: 'The file is empty' };
+  if (data.length > MAX_UPLOAD_BYTES) {
+    return {
+      error: `Files are limited to ${Math.floor(
+        MAX_UPLOAD_BYTES / (1024 * 1024)
+      )} MB`,
+    };
+  }
+
+  const kind = detectContentKind(contentType, fileUrl(fileName), data);
+  if (!UPLOAD_TYPES[kind]) {
+    return { error: 'Only PDF, Markdown and text files can be uploaded' };
+  }
+  return { fileName, contentType: UPLOAD_TYPES[kind], data };
+}
+
+// Extract the text of an uploaded document, embed its chunks and replace the
+// ones stored in WebpageEmbedding. Chunks link back to the document, and to
+// their page for PDFs. embedder and store are injectable like for
+// ingestWebsite.
+export async function indexDocument(
+  documentId,
+  {
+    chunkSize = 1000,
+    chunkOverlap = 100,
+    embedder = createEmbedder(),
+    store = createDbDocumentStore(),
+  } = {}
+) {
+  await store.updateDocument(documentId, { status: 'indexing', error: null });
+
+  try {
+    const file = await store.readDocumentFile(documentId);
+    if (!file) throw new Error('Document not found');
+
+    const extracted = await extractDocument({
+      body: file.data,
+      contentType: file.contentType,
+      url: fileUrl(file.fileName),
+    });
+    if (!extracted || !UPLOAD_TYPES[extracted.kind]) {
+      throw new Error('Unsupported file type');
+    }
+    if (!extracted.text) throw new Error('No text found in the document');
+
+    const splitter = new RecursiveCharacterTextSplitter({
+      chunkSize,
+      chunkOverlap,
+    });
+    const chunks = await splitDocument(extracted, splitter);
+    const vectors = await embedInBatches(
+      embedder,
+      chunks.map((chunk) => chunk.content)
+    );
+    const title = extracted.title || file.fileName;
+    await store.replaceDocumentChunks(
+      documentId,
+      chunks.map((chunk, index) => ({
+        url: documentLink(documentId, chunk.metadata.page),
+        content: chunk.content,
+        metadata: { ...chunk.metadata, title, fileName: file.fileName },
+        embedding: vectors[index],
+      }))
+    );
+
+    await store.updateDocument(documentId, {
+      status: 'ready',
+      title,
+      chunkCount: chunks.length,
+      indexedAt: new Date(),
+    });
+    return { documentId, status: 'ready', chunkCount: chunks.length };
+  } catch (error) {
+    console.error(`Indexing document ${documentId} failed:`, error);
+    await store.updateDocument(documentId, {
+      status: 'failed',
+      error: error.message,
+    });
+    return { documentId, status: 'failed', error: error.message };
+  }
+}
+
+// Mark the document pending and index it in the background
+export async function startIndexing(documentId, options = {}) {
+  const store = options.store || createDbDocumentStore();
+  await store.updateDocument(documentId, { status: 'pending', error: null });
+
+  indexDocument(documentId, { ...options, store }).catch((error) =>
+    console.error(`Indexing document ${documentId} crashed:`, error)
+  );
+}
@@ -0,0 +1,126 @@
+import { asc, count, desc, eq, getTableColumns, or } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { collections, documents, webpageEmbeddings } from '@/db/schema';
+
+// Every document column but the file itself
+const DOCUMENT_FIELDS = Object.fromEntries(
+  Object.entries(getTableColumns(documents)).filter(([name]) => name !== 'data')
+);
+
+// Postgres persistence for collections, their uploaded documents and the
+// chunks indexed from them
+export function createDbDocumentStore(database = db) {
+  return {
+    // Collections owned by ownerId or shared with team, with their document
+    // counts
+    async listCollections({ ownerId, team }) {
+      return database
+        .select({
+          ...getTableColumns(collections),
+          documentCount: count(documents.id),
+        })
+        .from(collections)
+        .leftJoin(documents, eq(documents.collectionId, collections.id))
+        .where(
+          team
+            ? or(eq(collections.ownerId, ownerId), eq(collections.team, team))
+            : eq(collections.ownerId, ownerId)
+        )
+        .groupBy(collections.id)
+        .orderBy(asc(collections.name));
+    },
+
+    async createCollection({ name, description, ownerId, team }) {
+      const [collection] = await database
+        .insert(collections)
+        .values({ name, description, ownerId, team })
+        .returning();
+      return collection;
+    },
+
+    async getCollection(collectionId) {
+      const [collection] = await database
+        .select()
+        .from(collections)
+        .where(eq(collections.id, collectionId));
+      return collection || null;
+    },
+
+    // Documents and their chunks are deleted with the collection
+    async deleteCollection(collectionId) {
+      await database
+        .delete(collections)
+        .where(eq(collections.id, collectionId));
+    },
+
+    async listDocuments(collectionId) {
+      return database
+        .select(DOCUMENT_FIELDS)
+        .from(documents)
+        .where(eq(documents.collectionId, collectionId))
+        .orderBy(desc(documents.createdAt));
+    },
+
+    async createDocument(fields) {
+      const [document] = await database
+        .insert(documents)
+        .values(fields)
+        .returning(DOCUMENT_FIELDS);
+      return document;
+    },
+
+    async getDocument(documentId) {
+      const [document] = await database
+        .select(DOCUMENT_FIELDS)
+        .from(documents)
+        .where(eq(documents.id, documentId));
+      return document || null;
+    },
+
+    // The uploaded file, { fileName, contentType, data }
+    async readDocumentFile(documentId) {
+      const [file] = await database
+        .select({
+          fileName: documents.fileName,
+          contentType: documents.contentType,
+          data: documents.data,
+        })
+        .from(documents)
+        .where(eq(documents.id, documentId));
+      return file || null;
+    },
+
+    async updateDocument(documentId, fields) {
+      await database
+        .update(documents)
+        .set(fields)
+        .where(eq(documents.id, documentId));
+    },
+
+    // Its chunks are deleted with the document
+    async deleteDocument(documentId) {
+      await database.delete(documents).where(eq(documents.id, documentId));
+    },
+
+    // Replace every chunk stored for the document in one transaction
+    async replaceDocumentChunks(documentId, chunks) {
+      await database.transaction(async (tx) => {
+        await tx
+          .delete(webpageEmbeddings)
+          .where(eq(webpageEmbeddings.documentId, documentId));
+
+        if (chunks.length > 0) {
+          await tx.insert(webpageEmbeddings).values(
+            chunks.map(({ url, content, metadata, embedding }) => ({
+              documentId,
+              url,
+              content,
+              metadata,
+              embedding,
+            }))
+          );
+        }
+      });
+    },
+  };
+}
@@ -0,0 +1,226 @@
+import { mkdir, readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { chat } from '@/lib/llm';
+import { answerMessages } from '@/lib/answer';
+import { formatNumberedContext, removeInvalidCitations } from '@/lib/citations';
+import { RETRIEVAL_TOP_K, retrieveFromDatabase } from '@/lib/retrieval';
+import { averageMetrics, scoreRetrieval } from '@/lib/eval/metrics';
+import { seedCorpus } from '@/lib/eval/seed';
+
+// Settings a configuration can change, with the values ingestion and database
+// mode use today
+export const DEFAULT_CONFIG = {
+  name: 'default',
+  chunkSize: 1000,
+  chunkOverlap: 100,
+  topK: RETRIEVAL_TOP_K,
+  vectorWeight: 1,
+  keywordWeight: 1,
+};
+
+// Check a golden set: { corpus: { name, baseUrl, dir }, questions: [{ id,
+// question, expectedUrls, reference? }] }. `dir` is resolved from `baseDir`,
+// the golden set's directory.
+export function parseGoldenSet(golden, baseDir = '.') {
+  const { corpus, questions } = golden;
+  if (!corpus?.baseUrl || !corpus?.dir) {
+    throw new Error('The golden set needs corpus.baseUrl and corpus.dir');
+  }
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw new Error('The golden set has no questions');
+  }
+
+  questions.forEach((entry, index) => {
+    if (!entry.question || !entry.expectedUrls?.length) {
+      throw new Error(
+        `Question ${entry.id ?? index + 1} needs a question and expectedUrls`
+      );
+    }
+  });
+
+  return {
+    corpus: {
+      name: corpus.name || 'Evaluation corpus',
+      baseUrl: corpus.baseUrl,
+      dir: path.resolve(baseDir, corpus.dir),
+    },
+    questions: questions.map((entry, index) => ({
+      id: String(entry.id ?? index + 1),
+      question: entry.question,
+      expectedUrls: entry.expectedUrls,
+      reference: entry.reference ?? null,
+    })),
+  };
+}
+
+// Answer a question from its chunks with the answer step's prompt, the way
+// database mode does
+async function generateAnswer(question, sources) {
+  const contextText = formatNumberedContext(
+    sources.map(({ number, url, content, metadata }) => ({
+      number,
+      link: url,
+      content,
+      metadata,
+    }))
+  );
+  const { content } = await chat(
+    'answer',
+    answerMessages(`Context: ${contextText}\n\nQuery: ${question}`)
+  );
+  return removeInvalidCitations(content, sources.length);
+}
+
+// Seed the corpus with the configuration's chunk settings, run database-mode
+// retrieval for every question and score it. With a judge, every question is
+// also answered and the answer scored for faithfulness.
+export async function runEvaluation({
+  golden,
+  config = {},
+  database,
+  embedder,
+  judge = null,
+  judgeName = judge ? 'custom' : 'none',
+  onQuestion = () => {},
+}) {
+  const settings = { ...DEFAULT_CONFIG, ...config };
+  const seed = await seedCorpus({
+    database,
+    corpus: golden.corpus,
+    chunkSize: settings.chunkSize,
+    chunkOverlap: settings.chunkOverlap,
+    embedder,
+  });
+
+  const questions = [];
+  for (const entry of golden.questions) {
+    const chunks = await retrieveFromDatabase(entry.question, {
+      websiteIds: [seed.websiteId],
+      limit: settings.topK,
+      vectorWeight: settings.vectorWeight,
+      keywordWeight: settings.keywordWeight,
+      embedder,
+      database,
+    });
+    const sources = chunks.map((chunk, index) => ({
+      number: index + 1,
+      ...chunk,
+    }));
+
+    const result = {
+      id: entry.id,
+      question: entry.question,
+      expectedUrls: entry.expectedUrls,
+      retrieved: sources.map(({ number, url, score, similarity }) => ({
+        number,
+        url,
+        score,
+        similarity,
+      })),
+      ...scoreRetrieval(chunks, entry.expectedUrls, settings.topK),
+    };
+
+    if (judge) {
+      result.answer = await generateAnswer(entry.question, sources);
+      Object.assign(
+        result,
+        await judge({
+          question: entry.question,
+          answer: result.answer,
+          sources,
+          reference: entry.reference,
+        })
+      );
+    }
+
+    questions.push(result);
+    onQuestion(result);
+  }
+
+  const { recall, reciprocalRank, ndcg, faithfulness } = averageMetrics(
+    questions.map(({ recall, reciprocalRank, ndcg, faithfulness }) => ({
+      recall,
+      reciprocalRank,
+      ndcg,
+      faithfulness,
+    }))
+  );
+
+  return {
+    name: settings.name,
+    createdAt: new Date().toISOString(),
+    config: settings,
+    embedder: embedder.model,
+    judge: judgeName,
+    corpus: { ...seed, name: golden.corpus.name },
+    summary: {
+      'recall@k': recall,
+      mrr: reciprocalRank,
+      'ndcg@k': ndcg,
+      ...(judge ? { faithfulness: faithfulness ?? null } : {}),
+    },
+    questions,
+  };
+}
+
+// Write a run to `dir` as <timestamp>-<name>.json and return the file path
+export async function saveRun(run, dir) {
+  await mkdir(dir, { recursive: true });
+  const slug = run.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const file = path.join(
+    dir,
+    `${run.createdAt.replace(/[:.]/g, '-')}-${slug}.json`
+  );
+  await writeFile(file, `${JSON.stringify(run, null, 2)}\n`);
+  return file;
+}
+
+// Read every run saved in `dir`, oldest first
+export async function loadRuns(dir) {
+  const files = (await readdir(dir)).filter((file) => file.endsWith('.json'));
+  const runs = await Promise.all(
+    files.map(async (file) =>
+      JSON.parse(await readFile(path.join(dir, file), 'utf8'))
+    )
+  );
+  return runs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Text table of runs with their settings and summary metrics, one per line
+export function formatRuns(runs) {
+  const metricNames = [
+    ...new Set(runs.flatMap((run) => Object.keys(run.summary))),
+  ];
+  const header = [
+    'run',
+    'created',
+    'chunks',
+    'k',
+    'weights',
+    'embedder',
+    ...metricNames,
+  ];
+  const lines = runs.map((run) => [
+    run.name,
+    run.createdAt.slice(0, 16).replace('T', ' '),
+    `${run.config.chunkSize}/${run.config.chunkOverlap}`,
+    String(run.config.topK),
+    `${run.config.vectorWeight}/${run.config.keywordWeight}`,
+    run.embedder,
+    ...metricNames.map((name) =>
+      typeof run.summary[name] === 'number' ? run.summary[name].toFixed(3) : '-'
+    ),
+  ]);
+
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...lines.map((line) => line[column].length))
+  );
+  return [header, ...lines]
+    .map((line) =>
+      line
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join('  ')
+        .trimEnd()
+    )
+    .join('\n');
+}
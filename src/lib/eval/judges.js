@@ -0,0 +1,116 @@
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { chat } from '@/lib/llm';
+import { replaceCitations } from '@/lib/citations';
+
+// A judge scores how faithful an answer is to the sources it was given:
+// judge({ question, answer, sources: [{ number, url, content }], reference })
+// resolves to { faithfulness: 0..1 or null, reason }.
+
+// Share of a sentence's words that must appear in its sources
+const SUPPORT_THRESHOLD = 0.6;
+
+// Words too short to tell anything about support
+const MIN_WORD_LENGTH = 4;
+
+const words = (text) =>
+  (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(
+    (word) => word.length >= MIN_WORD_LENGTH
+  );
+
+// Offline judge: a sentence is supported when most of its words appear in the
+// sources it cites (in every source when it cites none)
+export function overlapJudge() {
+  return async ({ answer, sources }) => {
+    const sentences = answer
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map((sentence) => sentence.trim())
+      .filter((sentence) => words(sentence).length > 0);
+    if (sentences.length === 0) {
+      return { faithfulness: null, reason: 'Empty answer' };
+    }
+
+    const unsupported = sentences.filter((sentence) => {
+      const cited = [];
+      const text = replaceCitations(sentence, (marker, number) => {
+        cited.push(number);
+        return '';
+      });
+      const context = new Set(
+        words(
+          sources
+            .filter(
+              (source) => cited.length === 0 || cited.includes(source.number)
+            )
+            .map((source) => source.content)
+            .join(' ')
+        )
+      );
+      const sentenceWords = words(text);
+      const found = sentenceWords.filter((word) => context.has(word));
+      return found.length / sentenceWords.length < SUPPORT_THRESHOLD;
+    });
+
+    return {
+      faithfulness: 1 - unsupported.length / sentences.length,
+      reason: unsupported.length
+        ? `Unsupported: ${unsupported.join(' | ')}`
+        : 'Every sentence is supported',
+    };
+  };
+}
+
+// Judge asking the `judge` LLM step (LLM_JUDGE_PROVIDER / LLM_JUDGE_MODEL)
+export function llmJudge() {
+  return async ({ question, answer, sources, reference }) => {
+    const { content } = await chat('judge', [
+      {
+        role: 'system',
+        content:
+          'You grade answers for faithfulness. Given numbered sources, a question and an answer, decide which share of the claims of the answer the sources support. Ignore whether the answer is complete. Respond with JSON only: {"score": <number between 0 and 1>, "reason": "<one sentence>"}.',
+      },
+      {
+        role: 'user',
+        content: [
+          `Sources:\n${sources
+            .map(
+              ({ number, url, content }) => `[${number}] (${url})\n${content}`
+            )
+            .join('\n\n')}`,
+          `Question: ${question}`,
+          reference ? `Reference answer: ${reference}` : null,
+          `Answer: ${answer}`,
+        ]
+          .filter(Boolean)
+          .join('\n\n'),
+      },
+    ]);
+
+    try {
+      const { score, reason } = JSON.parse(content.match(/\{[\s\S]*\}/)[0]);
+      const faithfulness = Number(score);
+      if (!Number.isFinite(faithfulness)) throw new Error('No score');
+      return {
+        faithfulness: Math.min(Math.max(faithfulness, 0), 1),
+        reason: String(reason ?? ''),
+      };
+    } catch {
+      return { faithfulness: null, reason: `Unreadable verdict: ${content}` };
+    }
+  };
+}
+
+const JUDGES = { overlap: overlapJudge, llm: llmJudge };
+
+// Resolve --judge: a built-in judge name, or the path of a module whose
+// default export is a judge function
+export async function loadJudge(name) {
+  if (!name || name === 'none') return null;
+  if (JUDGES[name]) return JUDGES[name]();
+
+  const module = await import(pathToFileURL(path.resolve(name)).href);
+  if (typeof module.default !== 'function') {
+    throw new Error(`Judge module ${name} has no default export`);
+  }
+  return module.default;
+}
@@ -0,0 +1,76 @@
+// Retrieval metrics of the offline evaluation. Relevance is binary and judged
+// per URL: a question lists the pages that answer it, and chunks of the same
+// page count once, at the rank of the first one.
+
+// Compare URLs without their fragment or trailing slash
+export function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.href.replace(/\/$/, '');
+}
+
+// Distinct URLs of the retrieved chunks, in rank order
+export function rankedUrls(chunks) {
+  return [...new Set(chunks.map((chunk) => normalizeUrl(chunk.url)))];
+}
+
+// Share of the expected URLs found in the first k ranks
+export function recallAtK(ranked, expected, k) {
+  if (expected.size === 0) return 0;
+  return (
+    ranked.slice(0, k).filter((url) => expected.has(url)).length / expected.size
+  );
+}
+
+// 1 / rank of the first expected URL, 0 when none was retrieved
+export function reciprocalRank(ranked, expected) {
+  const index = ranked.findIndex((url) => expected.has(url));
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+// Normalised discounted cumulative gain of the first k ranks
+export function ndcgAtK(ranked, expected, k) {
+  const dcg = ranked
+    .slice(0, k)
+    .reduce(
+      (sum, url, index) =>
+        sum + (expected.has(url) ? 1 / Math.log2(index + 2) : 0),
+      0
+    );
+
+  let ideal = 0;
+  for (let index = 0; index < Math.min(expected.size, k); index++) {
+    ideal += 1 / Math.log2(index + 2);
+  }
+  return ideal === 0 ? 0 : dcg / ideal;
+}
+
+// Metrics of one question at cutoff k
+export function scoreRetrieval(chunks, expectedUrls, k) {
+  const ranked = rankedUrls(chunks);
+  const expected = new Set(expectedUrls.map(normalizeUrl));
+
+  return {
+    recall: recallAtK(ranked, expected, k),
+    reciprocalRank: reciprocalRank(ranked, expected),
+    ndcg: ndcgAtK(ranked, expected, k),
+  };
+}
+
+// Mean of each metric over the questions, skipping missing values (a judge
+// that could not score an answer)
+export function averageMetrics(rows) {
+  const totals = {};
+  for (const row of rows) {
+    for (const [name, value] of Object.entries(row)) {
+      if (typeof value !== 'number') continue;
+      totals[name] ??= { sum: 0, count: 0 };
+      totals[name].sum += value;
+      totals[name].count++;
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(totals).map(([name, { sum, count }]) => [name, sum / count])
+  );
+}
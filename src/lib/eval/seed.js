@@ -0,0 +1,101 @@
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { eq } from 'drizzle-orm';
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { websites, webpageEmbeddings } from '@/db/schema';
+import { extractDocument, splitDocument } from '@/lib/extract';
+import { createFakeProvider } from '@/lib/llm/fake';
+import { createEmbedder } from '@/lib/ingestion/embedder';
+
+// Embedder of the evaluation: `fake` hashes words into vectors offline,
+// `configured` uses the embed step like ingestion and database mode do
+export function createEvalEmbedder(name = 'fake') {
+  if (name === 'configured') return createEmbedder();
+  if (name !== 'fake') throw new Error(`Unknown embedder: ${name}`);
+
+  const provider = createFakeProvider();
+  return {
+    model: 'fake',
+    embed: (texts, options = {}) =>
+      provider.embed({ input: texts, ...options }),
+  };
+}
+
+// Files of the corpus directory with the URL each one is served under:
+// `baseUrl` followed by the file's path in the directory
+export async function listCorpus({ dir, baseUrl }) {
+  const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => {
+      const file = path.join(entry.parentPath ?? entry.path, entry.name);
+      const relative = path.relative(dir, file).split(path.sep).join('/');
+      return { file, url: new URL(relative, baseUrl).href };
+    })
+    .sort((a, b) => a.url.localeCompare(b.url));
+}
+
+// Load the corpus into WebpageEmbedding under its own website, split and
+// embedded with the settings being evaluated. Rows left by an earlier run of
+// the website are replaced.
+export async function seedCorpus({
+  database,
+  corpus,
+  chunkSize,
+  chunkOverlap,
+  embedder,
+}) {
+  const splitter = new RecursiveCharacterTextSplitter({
+    chunkSize,
+    chunkOverlap,
+  });
+
+  const rows = [];
+  for (const { file, url } of await listCorpus(corpus)) {
+    const document = await extractDocument({
+      body: await readFile(file),
+      url,
+    });
+    const chunks = await splitDocument(document, splitter);
+    if (chunks.length === 0) continue;
+
+    const vectors = await embedder.embed(chunks.map((chunk) => chunk.content));
+    chunks.forEach(({ content, metadata }, index) =>
+      rows.push({ url, content, metadata, embedding: vectors[index] })
+    );
+  }
+
+  return database.transaction(async (tx) => {
+    let [website] = await tx
+      .select({ id: websites.id })
+      .from(websites)
+      .where(eq(websites.name, corpus.name));
+    if (!website) {
+      [website] = await tx
+        .insert(websites)
+        .values({
+          name: corpus.name,
+          description: 'Offline evaluation corpus',
+          keywords: '',
+          url: corpus.baseUrl,
+        })
+        .returning({ id: websites.id });
+    }
+
+    await tx
+      .delete(webpageEmbeddings)
+      .where(eq(webpageEmbeddings.websiteId, website.id));
+    if (rows.length > 0) {
+      await tx
+        .insert(webpageEmbeddings)
+        .values(rows.map((row) => ({ ...row, websiteId: website.id })));
+    }
+
+    return {
+      websiteId: website.id,
+      pages: new Set(rows.map((row) => row.url)).size,
+      chunks: rows.length,
+    };
+  });
+}
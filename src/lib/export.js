@@ -0,0 +1,199 @@
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkRehype from 'remark-rehype';
+import rehypeStringify from 'rehype-stringify';
+import { removeInvalidCitations, replaceCitations } from '@/lib/citations';
+import { selectVersionRows } from '@/lib/turns';
+
+// Link targets kept in exported HTML, anything else (javascript:...) is dropped
+const SAFE_HREF_PATTERN = /^(https?:|mailto:|#)/i;
+
+// Styles of the printable page, also used by share links
+const PRINT_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; color: #1f2937; }
+h1 { font-size: 2rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1.5rem; margin-top: 2.5rem; border-top: 1px solid #e5e7eb; padding-top: 1.5rem; }
+a { color: #2563eb; }
+pre { background: #f3f4f6; padding: 0.75rem; overflow-x: auto; }
+code { font-size: 0.9em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; }
+sup a { text-decoration: none; }
+.notice { color: #6b7280; font-size: 0.875rem; }
+@media print { .notice { display: none; } a { color: inherit; } h2 { break-after: avoid; } }
+`;
+
+// Read the follow-up questions out of a FollowUp payload
+function parseFollowUps(content) {
+  try {
+    return JSON.parse(content).follow_up || [];
+  } catch {
+    return [];
+  }
+}
+
+// Turn a thread's rows into the turns shown to the user: { query, sources,
+// media, answer, stopped, followUps }, one version per turn. Blocked results were
+// never numbered, so they are left out.
+export function buildTranscript(rows, activeVersions = {}) {
+  const turns = [];
+
+  for (const { payload } of selectVersionRows(rows, activeVersions)) {
+    if (!payload) continue;
+
+    if (payload.type === 'Query') {
+      turns.push({
+        query: payload.content,
+        sources: [],
+        media: [],
+        answer: '',
+        stopped: false,
+        followUps: [],
+      });
+    } else if (turns.length > 0) {
+      const turn = turns[turns.length - 1];
+      if (payload.type === 'Sources') {
+        turn.sources = (payload.content || []).filter(
+          ({ status }) => status !== 'blocked'
+        );
+      } else if (payload.type === 'Media') {
+        turn.media = payload.content || [];
+      } else if (payload.type === 'GPT') {
+        turn.answer = payload.content || '';
+        turn.stopped = Boolean(payload.stopped);
+      } else if (payload.type === 'FollowUp') {
+        turn.followUps = parseFollowUps(payload.content);
+      }
+    }
+  }
+
+  return turns;
+}
+
+// Escape the characters markdown link text gives a meaning to
+const escapeLinkText = (text) =>
+  String(text || '').replace(/([[\]\\])/g, '\\$1');
+
+// Render a transcript as Markdown. Citations become footnotes numbered across
+// the whole thread, each pointing at its source.
+export function threadToMarkdown(thread, transcript) {
+  const lines = [`# ${thread.title}`, ''];
+  let offset = 0;
+
+  for (const turn of transcript) {
+    lines.push(`## ${turn.query}`, '');
+
+    const answer = replaceCitations(
+      removeInvalidCitations(turn.answer, turn.sources.length),
+      (marker, number) => `[^${offset + number}]`
+    );
+    if (answer.trim()) lines.push(answer.trim(), '');
+    if (turn.stopped) {
+      lines.push('_Stopped before the answer was complete._', '');
+    }
+
+    if (turn.media.length > 0) {
+      lines.push('**Images and videos**', '');
+      turn.media.forEach(({ kind, title, source, publisher }) => {
+        const credit = [kind, publisher].filter(Boolean).join(', ');
+        lines.push(
+          `- [${escapeLinkText(title || source)}](<${source}>) (${credit})`
+        );
+      });
+      lines.push('');
+    }
+
+    if (turn.followUps.length > 0) {
+      lines.push('**Follow-up questions**', '');
+      turn.followUps.forEach((question) => lines.push(`- ${question}`));
+      lines.push('');
+    }
+
+    turn.sources.forEach(({ title, link }, index) => {
+      lines.push(
+        `[^${offset + index + 1}]: [${escapeLinkText(
+          title || link
+        )}](<${link}>)`
+      );
+    });
+    if (turn.sources.length > 0) lines.push('');
+    offset += turn.sources.length;
+  }
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+// Drop links whose target could run script when the page is opened
+function safeLinks() {
+  const visit = (node) => {
+    if (
+      node.tagName === 'a' &&
+      !SAFE_HREF_PATTERN.test(node.properties?.href)
+    ) {
+      delete node.properties.href;
+    }
+    (node.children || []).forEach(visit);
+  };
+  return visit;
+}
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Render a transcript as a standalone, printable HTML page. Raw HTML in the
+// answers is not rendered.
+export function threadToHtml(thread, transcript, { notice } = {}) {
+  const body = unified()
+    .use(remarkParse)
+    .use(remarkGfm)
+    .use(remarkRehype, {
+      footnoteLabel: 'Sources',
+      footnoteLabelProperties: {},
+    })
+    .use(safeLinks)
+    .use(rehypeStringify)
+    .processSync(threadToMarkdown(thread, transcript))
+    .toString();
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(thread.title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+${notice ? `<p class="notice">${escapeHtml(notice)}</p>\n` : ''}${body}
+</body>
+</html>
+`;
+}
+
+// Every row of a thread, in every version, with its metadata
+export function threadToJson(thread, rows, activeVersions = {}) {
+  return {
+    thread: {
+      id: thread.id,
+      title: thread.title,
+      createdAt: thread.created_at,
+      updatedAt: thread.updated_at,
+    },
+    turns: Object.entries(activeVersions).map(([id, activeVersion]) => ({
+      id,
+      activeVersion,
+    })),
+    messages: rows.map((row) => ({
+      id: row.id,
+      createdAt: row.created_at,
+      turnId: row.turn_id,
+      version: row.version,
+      payload: row.payload,
+    })),
+  };
+}
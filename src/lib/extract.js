@@ -0,0 +1,337 @@
+import * as cheerio from 'cheerio';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+// Bumped whenever extraction changes, so cached chunks are rebuilt
+export const EXTRACTOR_VERSION = 3;
+
+// Elements that never hold article text
+const NON_CONTENT_SELECTOR =
+  'script, style, noscript, template, head, nav, footer, aside, form, iframe, img, svg, canvas, video, audio, button, input, select, textarea, [hidden], [aria-hidden="true"], [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="dialog"]';
+
+// class/id fragments of cookie banners, sidebars and other page furniture
+const BOILERPLATE_PATTERN =
+  /cookie|consent|gdpr|banner|sidebar|side-bar|widget|share|social|related|recommend|comment|promo|advert|sponsor|newsletter|subscribe|signup|popup|modal|breadcrumb|pagination|skip-link|menu|toolbar/i;
+
+// Explicit markers of the main content, tried in order
+const MAIN_SELECTORS = [
+  'article',
+  '[itemprop="articleBody"]',
+  'main',
+  '[role="main"]',
+  '#content',
+  '.content',
+];
+
+// Elements that are the article itself or wrap it
+const ARTICLE_SELECTOR = MAIN_SELECTORS.slice(0, 4).join(', ');
+
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// Elements that end a line of text
+const BLOCK_TAGS = new Set([
+  'address',
+  'blockquote',
+  'br',
+  'dd',
+  'div',
+  'dl',
+  'dt',
+  'figcaption',
+  'figure',
+  'hr',
+  'li',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'table',
+  'td',
+  'th',
+  'tr',
+  'ul',
+]);
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Map a response's content type, falling back on the URL's extension and the
+// body's magic bytes, to one of 'pdf', 'markdown', 'text', 'json' or 'html'.
+// Anything else (images, archives...) returns null.
+export function detectContentKind(contentType = '', url = '', body) {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  let path = '';
+  try {
+    path = new URL(url).pathname.toLowerCase();
+  } catch {
+    // No usable URL, rely on the content type
+  }
+
+  if (type === 'application/pdf' || path.endsWith('.pdf')) return 'pdf';
+  if (
+    body &&
+    Buffer.isBuffer(body) &&
+    body.subarray(0, 5).toString() === '%PDF-'
+  ) {
+    return 'pdf';
+  }
+  if (type === 'text/markdown' || /\.(md|markdown)$/.test(path)) {
+    return 'markdown';
+  }
+  if (type === 'text/html' || type === 'application/xhtml+xml') return 'html';
+  if (type === 'application/json' || type.endsWith('+json')) return 'json';
+  if (type === 'text/plain' || path.endsWith('.txt')) return 'text';
+  if (!type) return 'html';
+  return null;
+}
+
+// Walk an element in document order, starting a new section at every
+// heading so chunks can carry the heading they belong to. Preformatted
+// blocks keep their line breaks and indentation, fenced like markdown code.
+function collectSections($, root) {
+  const sections = [];
+  let current = { heading: null, lines: [''] };
+
+  const pushLine = () => {
+    if (current.lines[current.lines.length - 1] !== '') current.lines.push('');
+  };
+  const walk = (node) => {
+    if (node.type === 'text') {
+      current.lines[current.lines.length - 1] += node.data;
+      return;
+    }
+    if (node.type !== 'tag') return;
+
+    const tag = node.name.toLowerCase();
+    if (tag === 'pre') {
+      const code = $(node)
+        .text()
+        .replace(/^\n+|\s+$/g, '');
+      if (code) {
+        pushLine();
+        current.lines.push({ code }, '');
+      }
+      return;
+    }
+    if (HEADING_TAGS.has(tag)) {
+      sections.push(current);
+      current = { heading: collapse($(node).text()) || null, lines: [''] };
+      return;
+    }
+
+    const isBlock = BLOCK_TAGS.has(tag);
+    if (isBlock) pushLine();
+    for (const child of node.children || []) walk(child);
+    if (isBlock) pushLine();
+  };
+  for (const child of root.children || []) walk(child);
+  sections.push(current);
+
+  return sections
+    .map(({ heading, lines }) => ({
+      heading,
+      text: lines
+        .map((line) =>
+          typeof line === 'string'
+            ? collapse(line)
+            : `\`\`\`\n${line.code}\n\`\`\``
+        )
+        .filter(Boolean)
+        .join('\n'),
+    }))
+    .filter((section) => section.text);
+}
+
+// Text length of an element discounted by the share of it that is link text,
+// so menus and link lists lose to paragraphs
+function contentScore($, element) {
+  const text = collapse($(element).text());
+  if (!text) return 0;
+  const linkText = collapse($(element).find('a').text());
+  const paragraphs = $(element).find('p').length;
+  return text.length * (1 - linkText.length / text.length) + paragraphs * 50;
+}
+
+// Pick the element holding the article: an explicit marker when it has real
+// text, otherwise the best scoring container, readability-style
+function findMainElement($) {
+  for (const selector of MAIN_SELECTORS) {
+    const candidates = $(selector)
+      .toArray()
+      .filter((element) => collapse($(element).text()).length > 200);
+    if (candidates.length > 0) {
+      return candidates.reduce((best, element) =>
+        contentScore($, element) > contentScore($, best) ? element : best
+      );
+    }
+  }
+
+  // Score every paragraph's parent and grandparent, like readability does
+  const scores = new Map();
+  $('p, pre, td').each((_, paragraph) => {
+    const length = collapse($(paragraph).text()).length;
+    if (length < 25) return;
+    const score = 1 + Math.min(Math.floor(length / 100), 3);
+    const parent = paragraph.parent;
+    const grandparent = parent?.parent;
+    if (parent?.type === 'tag') {
+      scores.set(parent, (scores.get(parent) || 0) + score);
+    }
+    if (grandparent?.type === 'tag') {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [element, score] of scores) {
+    const text = collapse($(element).text());
+    const linkDensity = text
+      ? collapse($(element).find('a').text()).length / text.length
+      : 1;
+    const finalScore = score * (1 - linkDensity);
+    if (finalScore > bestScore) {
+      best = element;
+      bestScore = finalScore;
+    }
+  }
+
+  return best || $('body').get(0) || $.root().get(0);
+}
+
+// Isolate the main article of an HTML page and split it by headings
+export function extractHtml(html) {
+  const $ = cheerio.load(html);
+
+  const title =
+    collapse($('meta[property="og:title"]').attr('content') || '') ||
+    collapse($('title').first().text()) ||
+    collapse($('h1').first().text()) ||
+    null;
+
+  $(NON_CONTENT_SELECTOR).remove();
+  $('[class], [id]').each((_, element) => {
+    const marker = `${$(element).attr('class') || ''} ${
+      $(element).attr('id') || ''
+    }`;
+    if (!BOILERPLATE_PATTERN.test(marker)) return;
+
+    // Wrappers such as "has-sidebar" around the article are kept
+    const wrapsArticle =
+      ['html', 'body'].includes(element.name) ||
+      $(element).is(ARTICLE_SELECTOR) ||
+      $(element).find(ARTICLE_SELECTOR).length > 0;
+    if (!wrapsArticle) $(element).remove();
+  });
+
+  const sections = collectSections($, findMainElement($));
+  return { title, sections };
+}
+
+// Split markdown on its ATX headings, the first H1 being the title
+export function extractMarkdown(markdown) {
+  const sections = [];
+  let title = null;
+  let current = { heading: null, lines: [] };
+  let inFence = false;
+
+  for (const line of markdown.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      if (!title && heading[1] === '#') title = heading[2];
+      sections.push(current);
+      current = { heading: heading[2], lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return {
+    title,
+    sections: sections
+      .map(({ heading, lines }) => ({ heading, text: lines.join('\n').trim() }))
+      .filter((section) => section.text),
+  };
+}
+
+// Pull the text of every page out of a PDF, one section per page
+export async function extractPdf(buffer) {
+  const pages = [];
+  // pdf.js ignores a Buffer's byteOffset, so hand it its own copy
+  const result = await pdfParse(new Uint8Array(buffer), {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent();
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        if (lastY !== undefined && lastY !== item.transform[5]) text += '\n';
+        text += item.str;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+
+  return {
+    title: collapse(result.info?.Title || '') || null,
+    sections: pages
+      .map((text, index) => ({
+        heading: null,
+        page: index + 1,
+        text: text.split('\n').map(collapse).filter(Boolean).join('\n'),
+      }))
+      .filter((section) => section.text),
+  };
+}
+
+// Turn a fetched body into { kind, title, sections: [{ heading, text }], text }
+// based on its content type. Returns null for unsupported types.
+export async function extractDocument({ body, contentType, url }) {
+  const kind = detectContentKind(contentType, url, body);
+  if (!kind) return null;
+
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  let document;
+  if (kind === 'pdf') {
+    document = await extractPdf(buffer);
+  } else if (kind === 'markdown') {
+    document = extractMarkdown(buffer.toString('utf8'));
+  } else if (kind === 'html') {
+    document = extractHtml(buffer.toString('utf8'));
+  } else {
+    let text = buffer.toString('utf8');
+    if (kind === 'json') {
+      try {
+        text = JSON.stringify(JSON.parse(text), null, 2);
+      } catch {
+        // Serve malformed JSON as plain text
+      }
+    }
+    document = {
+      title: null,
+      sections: [{ heading: null, text: text.trim() }],
+    };
+  }
+
+  return {
+    kind,
+    ...document,
+    text: document.sections.map((section) => section.text).join('\n\n'),
+  };
+}
+
+// Split each section separately so every chunk keeps the page title and the
+// heading (or PDF page) it came from as metadata
+export async function splitDocument(document, splitter) {
+  const chunks = [];
+  for (const section of document.sections) {
+    for (const content of await splitter.splitText(section.text)) {
+      const metadata = { title: document.title };
+      if (section.heading) metadata.heading = section.heading;
+      if (section.page) metadata.page = section.page;
+      chunks.push({ content, metadata });
+    }
+  }
+  return chunks;
+}
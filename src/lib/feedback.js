@@ -0,0 +1,65 @@
+// Answer feedback: a rating, a comment and "not relevant" source flags on one
+// version of a turn, stored with a copy of what the turn retrieved and answered
+
+export const RATINGS = ['up', 'down'];
+
+// Longest comment kept
+const MAX_COMMENT_LENGTH = 2000;
+
+// Check a feedback request. Returns { rating, comment, irrelevantSources } or
+// { error } describing the first invalid field.
+export function parseFeedback({
+  rating = null,
+  comment = null,
+  irrelevantSources = [],
+}) {
+  if (rating !== null && !RATINGS.includes(rating)) {
+    return { error: 'rating must be up, down or null' };
+  }
+  if (comment !== null && typeof comment !== 'string') {
+    return { error: 'comment must be a string' };
+  }
+  if (
+    !Array.isArray(irrelevantSources) ||
+    !irrelevantSources.every((number) => Number.isInteger(number) && number > 0)
+  ) {
+    return { error: 'irrelevantSources must list source numbers' };
+  }
+
+  return {
+    rating,
+    comment: comment?.trim().slice(0, MAX_COMMENT_LENGTH) || null,
+    irrelevantSources: [...new Set(irrelevantSources)].sort((a, b) => a - b),
+  };
+}
+
+// Copy the query, retrieved chunks with their cosine similarity, model and
+// answer out of the payloads of one version of a turn. Returns null when the
+// version has no answer yet.
+export function snapshotAnswer(payloads, irrelevantSources = []) {
+  const find = (type) => payloads.find((payload) => payload?.type === type);
+  const query = find('Query');
+  const answer = find('GPT');
+  if (!answer) return null;
+
+  // Blocked results were never numbered or read
+  const sources = (find('Sources')?.content || []).filter(
+    (source) => source.status !== 'blocked'
+  );
+
+  return {
+    query: query?.content ?? null,
+    embeddingSource: query?.embeddingSource ?? null,
+    chunks: sources.map((source, index) => ({
+      number: index + 1,
+      title: source.title,
+      link: source.link,
+      content: source.snippet,
+      cosineSimilarity: source.scores?.similarity ?? null,
+      ...(source.status ? { status: source.status } : {}),
+      notRelevant: irrelevantSources.includes(index + 1),
+    })),
+    model: answer.model ?? null,
+    answer: answer.content,
+  };
+}
@@ -0,0 +1,104 @@
+import { asc } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { domainRules } from '@/db/schema';
+
+// Lower-case a domain and strip the scheme, path and a leading www.
+export function normalizeDomain(input) {
+  const value = String(input || '')
+    .trim()
+    .toLowerCase();
+  if (!value) return null;
+
+  try {
+    const { hostname } = new URL(
+      value.includes('://') ? value : `http://${value}`
+    );
+    return hostname.replace(/^www\./, '') || null;
+  } catch {
+    return null;
+  }
+}
+
+// Whether `hostname` is `domain` or one of its subdomains
+export function matchesDomain(hostname, domain) {
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Apply allow/deny rules to a URL. A deny rule always wins; once any allow
+// rule exists, only allowed domains pass. Returns { allowed, reason }, and
+// never allows a URL that does not parse.
+export function checkDomainRules(rules, url) {
+  let hostname;
+  try {
+    ({ hostname } = new URL(url));
+  } catch {
+    return { allowed: false, reason: 'Invalid URL' };
+  }
+
+  const denied = rules.find(
+    (rule) => rule.rule === 'deny' && matchesDomain(hostname, rule.domain)
+  );
+  if (denied) {
+    return { allowed: false, reason: `Blocked domain ${denied.domain}` };
+  }
+
+  const allowRules = rules.filter((rule) => rule.rule === 'allow');
+  if (
+    allowRules.length > 0 &&
+    !allowRules.some((rule) => matchesDomain(hostname, rule.domain))
+  ) {
+    return { allowed: false, reason: 'Domain is not on the allowlist' };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+// Load the rules from Postgres, reusing them for `ttlSeconds` so a turn does
+// not cost a query. If they cannot be read, the last rules read keep applying;
+// before any were read every URL is blocked, since an allowlist may be missing.
+export function createDomainRuleCache({ database = db, ttlSeconds = 60 } = {}) {
+  let cached = null;
+  let lastRules = null;
+
+  return {
+    async list() {
+      if (!cached || cached.expiresAt < Date.now()) {
+        const entry = { expiresAt: Date.now() + ttlSeconds * 1000 };
+        entry.rules = Promise.resolve(
+          database.select().from(domainRules).orderBy(asc(domainRules.domain))
+        ).then(
+          (rules) => {
+            lastRules = rules;
+            return rules;
+          },
+          (error) => {
+            console.error('Error loading domain rules:', error);
+            // Retry on the next call rather than caching the failure
+            if (cached === entry) cached = null;
+            if (lastRules) return lastRules;
+            throw error;
+          }
+        );
+        cached = entry;
+      }
+      return cached.rules;
+    },
+
+    async check(url) {
+      try {
+        return checkDomainRules(await this.list(), url);
+      } catch {
+        return { allowed: false, reason: 'Domain rules could not be read' };
+      }
+    },
+
+    // Drop the cached rules after an admin edit
+    invalidate() {
+      cached = null;
+    },
+  };
+}
+
+// Rules shared by internet mode and the admin API, which invalidates them
+export const sharedDomainRules = createDomainRuleCache();
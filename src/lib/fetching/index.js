@@ -0,0 +1,100 @@
+import nodeFetch from 'node-fetch';
+import { createDomainLimiter } from '@/lib/fetching/limiter';
+import { sharedDomainRules } from '@/lib/fetching/domains';
+import { createRobotsCache } from '@/lib/fetching/robots';
+
+// Honest User-Agent sent with every page and robots.txt request
+export const USER_AGENT =
+  process.env.FETCH_USER_AGENT ||
+  'Perplexity-Next-JS-Supabase/0.1 (+https://github.com/tbridelbertomeu/Perplexity-Next-JS-Supabase)';
+
+// Longest robots.txt Crawl-delay honoured, so one site cannot stall a turn
+const MAX_CRAWL_DELAY_MS = 10000;
+
+// Redirects followed per request, each checked like the first URL
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Thrown instead of fetching a URL that the domain rules or robots.txt
+// exclude; `reason` is meant for the Sources payload
+export class FetchBlockedError extends Error {
+  constructor(url, reason) {
+    super(`${reason}: ${url}`);
+    this.name = 'FetchBlockedError';
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+// Wrap `fetch` so every request checks the domain rules and robots.txt, then
+// waits for a free per-domain slot. Redirects are followed here rather than by
+// `fetch`, so every hop is checked too. Set domainRules to null to skip the
+// admin rules (ingestion crawls the sites admins registered).
+export function createPoliteFetch({
+  fetch = nodeFetch,
+  userAgent = USER_AGENT,
+  robots = createRobotsCache({
+    fetch,
+    userAgent,
+    ttlSeconds: parseInt(process.env.ROBOTS_CACHE_TTL_SECONDS || '3600', 10),
+  }),
+  limiter = createDomainLimiter({
+    concurrency: parseInt(process.env.FETCH_DOMAIN_CONCURRENCY || '2', 10),
+    intervalMs: parseInt(process.env.FETCH_DOMAIN_INTERVAL_MS || '1000', 10),
+  }),
+  domainRules = sharedDomainRules,
+} = {}) {
+  // Check one URL and fetch it without following its redirect
+  const fetchOne = async (url, init) => {
+    if (domainRules) {
+      const { allowed, reason } = await domainRules.check(url);
+      if (!allowed) throw new FetchBlockedError(url, reason);
+    }
+
+    const robotsCheck = await robots.check(url);
+    if (!robotsCheck.allowed) {
+      throw new FetchBlockedError(url, robotsCheck.reason);
+    }
+
+    return limiter.schedule(
+      new URL(url).hostname,
+      () =>
+        fetch(url, {
+          ...init,
+          redirect: 'manual',
+          headers: { ...init.headers, 'User-Agent': userAgent },
+        }),
+      {
+        intervalMs: Math.min(
+          (robotsCheck.crawlDelay || 0) * 1000,
+          MAX_CRAWL_DELAY_MS
+        ),
+        signal: init.signal,
+      }
+    );
+  };
+
+  return async function politeFetch(url, init = {}) {
+    let current = url;
+    for (let hops = 0; ; hops++) {
+      const response = await fetchOne(current, init);
+      const location = REDIRECT_STATUSES.has(response.status)
+        ? response.headers.get('location')
+        : null;
+      if (!location) return response;
+
+      if (hops === MAX_REDIRECTS) {
+        throw new Error(`More than ${MAX_REDIRECTS} redirects: ${url}`);
+      }
+      current = new URL(location, current).href;
+    }
+  };
+}
+
+let sharedFetch = null;
+
+// Process-wide polite fetch, so limits and caches hold across requests
+export function politeFetch(url, init) {
+  if (!sharedFetch) sharedFetch = createPoliteFetch();
+  return sharedFetch(url, init);
+}
@@ -0,0 +1,80 @@
+// Per-domain concurrency and request spacing for outgoing fetches.
+// `schedule(domain, task, { intervalMs, signal })` runs `task` once the
+// domain has a free slot and `intervalMs` has passed since its previous
+// request started. Aborting `signal` drops a task that is still queued.
+export function createDomainLimiter({ concurrency = 2, intervalMs = 1000 }) {
+  const domains = new Map();
+
+  const state = (domain) => {
+    if (!domains.has(domain)) {
+      domains.set(domain, { active: 0, lastStart: 0, queue: [] });
+    }
+    return domains.get(domain);
+  };
+
+  const pump = (domain) => {
+    const current = state(domain);
+    if (current.active >= concurrency || current.queue.length === 0) return;
+    if (current.timer) return;
+
+    const next = current.queue[0];
+    const wait = current.lastStart + next.intervalMs - Date.now();
+    if (wait > 0) {
+      current.timer = setTimeout(() => {
+        current.timer = null;
+        pump(domain);
+      }, wait);
+      return;
+    }
+
+    current.queue.shift();
+    current.active++;
+    current.lastStart = Date.now();
+    next
+      .task()
+      .then(next.resolve, next.reject)
+      .finally(() => {
+        current.active--;
+        if (current.active === 0 && current.queue.length === 0) {
+          // Keep the timestamp around only as long as it matters
+          setTimeout(() => {
+            const idle = current.active === 0 && current.queue.length === 0;
+            if (idle && domains.get(domain) === current) {
+              domains.delete(domain);
+            }
+          }, next.intervalMs);
+        }
+        pump(domain);
+      });
+    pump(domain);
+  };
+
+  return {
+    schedule(domain, task, options = {}) {
+      const { signal } = options;
+      if (signal?.aborted) return Promise.reject(signal.reason);
+
+      return new Promise((resolve, reject) => {
+        const entry = {
+          task,
+          resolve,
+          reject,
+          intervalMs: Math.max(intervalMs, options.intervalMs || 0),
+        };
+        const onAbort = () => {
+          const { queue } = state(domain);
+          const index = queue.indexOf(entry);
+          if (index === -1) return;
+          queue.splice(index, 1);
+          reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        entry.task = () =>
+          task().finally(() => signal?.removeEventListener('abort', onAbort));
+
+        state(domain).queue.push(entry);
+        pump(domain);
+      });
+    },
+  };
+}
@@ -0,0 +1,182 @@
+// robots.txt parsing and a per-origin cache of the parsed rules (RFC 9309)
+
+// How long an unreachable robots.txt blocks its origin before a retry
+const FAILURE_TTL_SECONDS = 300;
+
+// Turn a robots.txt path pattern (with * and a trailing $) into a RegExp
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Parse robots.txt into groups of { agents, rules: [{ allow, path }],
+// crawlDelay }. Consecutive user-agent lines share one group.
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds)) current.crawlDelay = seconds;
+    }
+  }
+
+  return groups;
+}
+
+// Pick the group for our user agent: the longest agent token contained in
+// our product token, else the * group
+function findGroup(groups, userAgent) {
+  const product = userAgent.split('/')[0].toLowerCase();
+  let best = null;
+  let bestLength = 0;
+
+  for (const group of groups) {
+    for (const agent of group.agents) {
+      if (
+        agent !== '*' &&
+        product.includes(agent) &&
+        agent.length > bestLength
+      ) {
+        best = group;
+        bestLength = agent.length;
+      }
+    }
+  }
+
+  return best || groups.find((group) => group.agents.includes('*')) || null;
+}
+
+// Decide whether `url` may be fetched: the longest matching rule wins and
+// Allow wins a tie. Returns { allowed, crawlDelay }.
+export function checkRobots(groups, url, userAgent) {
+  const group = findGroup(groups, userAgent);
+  if (!group) return { allowed: true, crawlDelay: null };
+
+  const { pathname, search } = new URL(url);
+  const path = `${pathname}${search}`;
+  let match = null;
+
+  for (const rule of group.rules) {
+    if (!patternToRegExp(rule.path).test(path)) continue;
+    if (
+      !match ||
+      rule.path.length > match.path.length ||
+      (rule.path.length === match.path.length && rule.allow)
+    ) {
+      match = rule;
+    }
+  }
+
+  return { allowed: match ? match.allow : true, crawlDelay: group.crawlDelay };
+}
+
+// Fetch and cache robots.txt per origin and return { allowed, crawlDelay,
+// reason } for a URL. A missing file (4xx) allows everything; a server error
+// or an unreachable host disallows the whole origin for a few minutes, as
+// RFC 9309 asks. Expired origins are dropped when a new one is looked up, and
+// past maxEntries the least recently checked ones are.
+export function createRobotsCache({
+  fetch,
+  userAgent,
+  ttlSeconds = 3600,
+  timeoutMs = 3000,
+  maxEntries = 1000,
+}) {
+  const entries = new Map();
+
+  const load = async (origin) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': userAgent },
+        signal: controller.signal,
+      });
+      if (response.status >= 500) return { disallowAll: true };
+      if (!response.ok) return { groups: [] };
+      return { groups: parseRobotsTxt(await response.text()) };
+    } catch (error) {
+      console.error(`Error fetching ${origin}/robots.txt: ${error.message}`);
+      return { disallowAll: true };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    async check(url) {
+      const { origin } = new URL(url);
+      let entry = entries.get(origin);
+      // Map order is the least-recently-used order: checked last, evicted last
+      entries.delete(origin);
+      if (!entry || entry.expiresAt < Date.now()) {
+        for (const [key, { expiresAt }] of entries) {
+          if (expiresAt < Date.now()) entries.delete(key);
+        }
+
+        // Share one in-flight request between concurrent checks
+        entry = {
+          rules: load(origin),
+          expiresAt: Date.now() + ttlSeconds * 1000,
+        };
+        entry.rules.then((rules) => {
+          if (rules.disallowAll) {
+            entry.expiresAt = Date.now() + FAILURE_TTL_SECONDS * 1000;
+          }
+        });
+      }
+      entries.set(origin, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+
+      const rules = await entry.rules;
+      if (rules.disallowAll) {
+        return {
+          allowed: false,
+          crawlDelay: null,
+          reason: 'robots.txt could not be read',
+        };
+      }
+      const result = checkRobots(rules.groups, url, userAgent);
+      return {
+        ...result,
+        reason: result.allowed ? null : 'Disallowed by robots.txt',
+      };
+    },
+
+    // Number of origins whose rules are cached
+    get size() {
+      return entries.size;
+    },
+  };
+}
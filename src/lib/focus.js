@@ -0,0 +1,209 @@
+import { readFile, stat } from 'fs/promises';
+import { normalizeDomain } from '@/lib/fetching/domains';
+
+// Mode used when a request names none
+export const DEFAULT_FOCUS_MODE = 'all';
+
+// Values of a mode's `freshness`, the age limit of its search results
+export const FRESHNESS_VALUES = ['day', 'week', 'month', 'year'];
+
+// Config file of the custom modes, when FOCUS_MODES_PATH is not set
+const DEFAULT_CONFIG_PATH = 'focus-modes.json';
+
+// Site filters beyond this make search queries too long for the providers
+const MAX_SITES = 20;
+
+// Settings of a mode that does not set them:
+// - sites: domains the search is restricted to, empty for the whole web
+// - freshness: one of FRESHNESS_VALUES, null for any age
+// - count: results requested from the search provider
+// - sources: results read and numbered as sources
+// - preferRecent: read dated results first, newest first
+// - chunkSize: characters per chunk of the pages read
+// - keepCodeBlocks: split pages between code blocks rather than inside them
+// - prompt: instructions added to the answer step's system prompt
+const MODE_DEFAULTS = {
+  description: '',
+  sites: [],
+  freshness: null,
+  count: 10,
+  sources: 4,
+  preferRecent: false,
+  chunkSize: 200,
+  keepCodeBlocks: false,
+  prompt: '',
+};
+
+const BUILT_IN_MODES = [
+  {
+    id: 'all',
+    label: 'All',
+    description: 'Search the whole web',
+  },
+  {
+    id: 'academic',
+    label: 'Academic',
+    description: 'Papers, preprints and journals',
+    sites: [
+      'arxiv.org',
+      'biorxiv.org',
+      'semanticscholar.org',
+      'ncbi.nlm.nih.gov',
+      'nature.com',
+      'sciencedirect.com',
+      'springer.com',
+      'plos.org',
+      'acm.org',
+      'ieee.org',
+    ],
+    prompt:
+      'The sources are scholarly publications. Name the authors and year of the studies you rely on, say whether a finding comes from a peer-reviewed article or a preprint, and point out where studies disagree or where the evidence is limited.',
+  },
+  {
+    id: 'news',
+    label: 'News',
+    description: 'Articles from the past week, newest first',
+    freshness: 'week',
+    preferRecent: true,
+    prompt:
+      'The sources are news articles, labelled with their publication date when it is known. Lead with the most recent developments, give the date of the events you report, and say when a source is older or undated.',
+  },
+  {
+    id: 'forums',
+    label: 'Forums',
+    description: 'Discussions on Reddit, Hacker News and Stack Exchange',
+    sites: [
+      'reddit.com',
+      'news.ycombinator.com',
+      'stackexchange.com',
+      'lobste.rs',
+      'discourse.org',
+    ],
+    prompt:
+      'The sources are forum discussions. Summarise what people report and recommend as their experience rather than established fact, and point out where they agree or disagree.',
+  },
+  {
+    id: 'code',
+    label: 'Code',
+    description: 'Documentation, Stack Overflow and GitHub',
+    sites: [
+      'stackoverflow.com',
+      'github.com',
+      'developer.mozilla.org',
+      'docs.python.org',
+      'nodejs.org',
+      'learn.microsoft.com',
+      'readthedocs.io',
+      'pkg.go.dev',
+      'docs.rs',
+    ],
+    chunkSize: 1000,
+    keepCodeBlocks: true,
+    prompt:
+      'Answer for a programmer. Quote code from the sources in fenced code blocks tagged with their language, exactly as written: do not shorten, merge or reformat them. Put citations outside code blocks. Prefer official documentation over forum answers, and mention the versions the sources refer to.',
+  },
+].map((mode) => ({ ...MODE_DEFAULTS, ...mode }));
+
+const isPositiveInteger = (value, max) =>
+  Number.isInteger(value) && value >= 1 && value <= max;
+
+// Check a mode of the config file and fill in the defaults. Throws when a
+// field is invalid.
+export function normalizeFocusMode(mode) {
+  if (!mode || typeof mode !== 'object') throw new Error('not an object');
+
+  const id = String(mode.id || '');
+  if (!/^[a-z0-9][a-z0-9-]{0,31}$/.test(id)) {
+    throw new Error('id must be lower-case letters, digits and dashes');
+  }
+  if (!mode.label || typeof mode.label !== 'string') {
+    throw new Error(`${id}: label is required`);
+  }
+
+  const sites = (mode.sites || []).map((site) => {
+    const domain = normalizeDomain(site);
+    if (!domain) throw new Error(`${id}: invalid site "${site}"`);
+    return domain;
+  });
+  if (sites.length > MAX_SITES) {
+    throw new Error(`${id}: at most ${MAX_SITES} sites`);
+  }
+
+  const normalized = { ...MODE_DEFAULTS, ...mode, id, sites };
+  if (
+    normalized.freshness !== null &&
+    !FRESHNESS_VALUES.includes(normalized.freshness)
+  ) {
+    throw new Error(
+      `${id}: freshness must be one of ${FRESHNESS_VALUES.join(', ')}`
+    );
+  }
+  if (!isPositiveInteger(normalized.count, 20)) {
+    throw new Error(`${id}: count must be between 1 and 20`);
+  }
+  if (!isPositiveInteger(normalized.sources, normalized.count)) {
+    throw new Error(`${id}: sources must be between 1 and count`);
+  }
+  if (!isPositiveInteger(normalized.chunkSize, 4000)) {
+    throw new Error(`${id}: chunkSize must be between 1 and 4000`);
+  }
+  if (typeof normalized.prompt !== 'string') {
+    throw new Error(`${id}: prompt must be a string`);
+  }
+
+  return normalized;
+}
+
+// Built-in modes with the valid modes of `config` ({ "modes": [...] })
+// added, a custom mode replacing the built-in one with the same id
+export function mergeFocusModes(config) {
+  const modes = new Map(BUILT_IN_MODES.map((mode) => [mode.id, mode]));
+
+  for (const mode of config?.modes || []) {
+    try {
+      const normalized = normalizeFocusMode(mode);
+      modes.set(normalized.id, normalized);
+    } catch (error) {
+      console.error(`Ignoring focus mode: ${error.message}`);
+    }
+  }
+  return [...modes.values()];
+}
+
+// Modes of the last config file read, reloaded when the file changes
+let loaded = { path: null, mtimeMs: null, modes: BUILT_IN_MODES };
+
+// Built-in and custom focus modes, in menu order. Custom modes come from the
+// JSON file at FOCUS_MODES_PATH (default focus-modes.json).
+export async function listFocusModes(
+  path = process.env.FOCUS_MODES_PATH || DEFAULT_CONFIG_PATH
+) {
+  let stats;
+  try {
+    stats = await stat(path);
+  } catch (error) {
+    if (process.env.FOCUS_MODES_PATH) {
+      console.error(`Cannot read focus modes file ${path}:`, error.message);
+    }
+    return BUILT_IN_MODES;
+  }
+  if (loaded.path === path && loaded.mtimeMs === stats.mtimeMs) {
+    return loaded.modes;
+  }
+
+  let modes = BUILT_IN_MODES;
+  try {
+    modes = mergeFocusModes(JSON.parse(await readFile(path, 'utf8')));
+  } catch (error) {
+    console.error(`Ignoring unreadable focus modes file ${path}:`, error);
+  }
+  loaded = { path, mtimeMs: stats.mtimeMs, modes };
+  return modes;
+}
+
+// The mode named `id`, the default mode when `id` is empty, or null for an
+// unknown mode
+export async function getFocusMode(id, path) {
+  const modes = await listFocusModes(path);
+  return modes.find((mode) => mode.id === (id || DEFAULT_FOCUS_MODE)) || null;
+}
@@ -0,0 +1,141 @@
+import { getSupabase } from '@/lib/supabase';
+import { replaceCitations } from '@/lib/citations';
+import { pickVersion, selectVersionRows, turnVersions } from '@/lib/turns';
+
+// Number of earlier turns given to the query rewriter and the answer
+const RECENT_TURN_COUNT = 3;
+
+// Longest answer excerpt kept per turn, to bound the prompt size
+const MAX_ANSWER_LENGTH = 2000;
+
+// Group a thread's payloads into turns: { turnId, query, sources, answer },
+// keeping the active version of every turn
+export function groupTurns(rows, activeVersions = {}) {
+  const turns = [];
+
+  for (const { payload, turn_id: turnId } of selectVersionRows(
+    rows,
+    activeVersions
+  )) {
+    if (!payload) continue;
+
+    if (payload.type === 'Query') {
+      turns.push({
+        turnId: turnId || null,
+        query: payload.content,
+        sources: [],
+        answer: '',
+      });
+    } else if (turns.length > 0) {
+      const turn = turns[turns.length - 1];
+      if (payload.type === 'Sources') {
+        // Blocked results were never numbered or read
+        turn.sources = (payload.content || [])
+          .filter(({ status }) => status !== 'blocked')
+          .map(({ title, link }) => ({ title, link }));
+      } else if (payload.type === 'GPT') {
+        turn.answer = (payload.content || '').slice(0, MAX_ANSWER_LENGTH);
+      }
+    }
+  }
+
+  return turns;
+}
+
+// Read a thread's rows in order and the active version of its turns
+export async function loadThread(threadId, client = getSupabase()) {
+  const [rowsResult, turnsResult] = await Promise.all([
+    client
+      .from('message_history')
+      .select('id, created_at, payload, turn_id, version')
+      .eq('thread_id', threadId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }),
+    client.from('turns').select('id, active_version').eq('thread_id', threadId),
+  ]);
+
+  if (rowsResult.error) throw rowsResult.error;
+  if (turnsResult.error) throw turnsResult.error;
+
+  return {
+    rows: rowsResult.data,
+    activeVersions: Object.fromEntries(
+      turnsResult.data.map((turn) => [turn.id, turn.active_version])
+    ),
+  };
+}
+
+// The last turns of a thread loaded by loadThread, oldest first. A turn being
+// regenerated only sees the turns before it.
+export function recentTurns(
+  { rows, activeVersions },
+  { beforeTurnId, limit = RECENT_TURN_COUNT } = {}
+) {
+  let turns = groupTurns(rows, activeVersions);
+
+  if (beforeTurnId) {
+    const index = turns.findIndex((turn) => turn.turnId === beforeTurnId);
+    if (index !== -1) turns = turns.slice(0, index);
+  }
+
+  return turns.slice(-limit);
+}
+
+// Find a turn to regenerate in a thread loaded by loadThread: its latest
+// version number and the query, modes, sources and media of its active
+// version. Returns null if the thread has no such turn.
+export function findTurn({ rows, activeVersions }, turnId) {
+  const versions = turnVersions(rows).get(turnId);
+  if (!versions) return null;
+
+  const version = pickVersion(versions, activeVersions[turnId]);
+  const payloads = rows
+    .filter((row) => row.turn_id === turnId && row.version === version)
+    .map((row) => row.payload);
+
+  const query = payloads.find((payload) => payload?.type === 'Query');
+
+  return {
+    turnId,
+    latestVersion: versions[versions.length - 1],
+    query: query?.content,
+    embeddingSource: query?.embeddingSource,
+    focusMode: query?.focusMode,
+    sources:
+      payloads.find((payload) => payload?.type === 'Sources')?.content || [],
+    media: payloads.find((payload) => payload?.type === 'Media')?.content || [],
+  };
+}
+
+// Render turns as plain text for a rewriting prompt
+export function formatTurns(turns) {
+  return turns
+    .map((turn, index) => {
+      const sources = turn.sources
+        .map(
+          (source, number) =>
+            `  [${number + 1}] ${source.title} (${source.link})`
+        )
+        .join('\n');
+      return `Turn ${index + 1}\nQuestion: ${
+        turn.query
+      }\nSources:\n${sources}\nAnswer: ${turn.answer}`;
+    })
+    .join('\n\n');
+}
+
+// Earlier turns as chat messages preceding the current question. Citation
+// markers are dropped since they number the sources of their own turn.
+export function turnsToMessages(turns) {
+  return turns.flatMap((turn) => [
+    { role: 'user', content: turn.query },
+    ...(turn.answer
+      ? [
+          {
+            role: 'assistant',
+            content: replaceCitations(turn.answer, () => ''),
+          },
+        ]
+      : []),
+  ]);
+}
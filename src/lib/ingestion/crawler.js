@@ -0,0 +1,120 @@
+import * as cheerio from 'cheerio';
+import { detectContentKind } from '@/lib/extract';
+import { FetchBlockedError } from '@/lib/fetching';
+
+// Resolve a link against its page and drop fragments, keeping only http(s)
+export function normalizeUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+// Collect same-origin links from an HTML page
+export function extractLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const origin = new URL(pageUrl).origin;
+  const links = new Set();
+
+  $('a[href]').each((_, element) => {
+    const url = normalizeUrl($(element).attr('href'), pageUrl);
+    if (url && new URL(url).origin === origin) links.add(url);
+  });
+
+  return [...links];
+}
+
+// Read page URLs from a sitemap.xml, following nested sitemap indexes
+export async function fetchSitemapUrls(sitemapUrl, { fetch, userAgent }) {
+  const pageUrls = [];
+  const pending = [sitemapUrl];
+  const visited = new Set();
+
+  while (pending.length > 0) {
+    const current = pending.shift();
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    const response = await fetch(current, {
+      headers: { 'User-Agent': userAgent },
+    });
+    if (!response.ok) {
+      throw new Error(`Sitemap ${current} returned HTTP ${response.status}`);
+    }
+
+    const $ = cheerio.load(await response.text(), { xmlMode: true });
+    $('sitemap > loc').each((_, element) => {
+      const url = normalizeUrl($(element).text().trim(), current);
+      if (url) pending.push(url);
+    });
+    $('url > loc').each((_, element) => {
+      const url = normalizeUrl($(element).text().trim(), current);
+      if (url) pageUrls.push(url);
+    });
+  }
+
+  return [...new Set(pageUrls)];
+}
+
+// Breadth-first crawl yielding { url, body, contentType }, { url, skipped } or
+// { url, error } for every page. Links are only read from HTML pages.
+// With a sitemap the listed URLs are visited as-is; otherwise links are
+// followed from the seed URL within its origin.
+export async function* crawl({
+  seedUrl,
+  sitemapUrl,
+  maxPages,
+  fetch,
+  userAgent,
+  onDiscovered = () => {},
+}) {
+  const followLinks = !sitemapUrl;
+  const queue = sitemapUrl
+    ? await fetchSitemapUrls(sitemapUrl, { fetch, userAgent })
+    : [normalizeUrl(seedUrl)];
+  const seen = new Set(queue);
+  onDiscovered(seen.size);
+
+  let visitedCount = 0;
+  while (queue.length > 0 && visitedCount < maxPages) {
+    const url = queue.shift();
+    visitedCount++;
+
+    try {
+      const response = await fetch(url, {
+        headers: { 'User-Agent': userAgent },
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const contentType = response.headers.get('content-type') || '';
+      const kind = detectContentKind(contentType, url);
+      if (!kind) {
+        yield { url, skipped: `Unsupported content type ${contentType}` };
+        continue;
+      }
+
+      const body = Buffer.from(await response.arrayBuffer());
+      if (followLinks && kind === 'html') {
+        for (const link of extractLinks(body.toString('utf8'), url)) {
+          if (!seen.has(link)) {
+            seen.add(link);
+            queue.push(link);
+          }
+        }
+        onDiscovered(seen.size);
+      }
+
+      yield { url, body, contentType };
+    } catch (error) {
+      if (error instanceof FetchBlockedError) {
+        yield { url, skipped: error.reason };
+        continue;
+      }
+      yield { url, error };
+    }
+  }
+}
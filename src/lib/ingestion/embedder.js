@@ -0,0 +1,11 @@
+import { embed } from '@/lib/llm';
+import { getStepConfig } from '@/lib/llm/config';
+
+// Embedder backed by the configured embed step (text-embedding-3-small by
+// default), the model database mode queries with
+export function createEmbedder() {
+  return {
+    model: getStepConfig('embed').model,
+    embed,
+  };
+}
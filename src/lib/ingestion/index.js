@@ -0,0 +1,175 @@
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import nodeFetch from 'node-fetch';
+import { extractDocument, splitDocument } from '@/lib/extract';
+import { USER_AGENT, createPoliteFetch } from '@/lib/fetching';
+import { crawl } from '@/lib/ingestion/crawler';
+import { createEmbedder } from '@/lib/ingestion/embedder';
+import { createDbStore } from '@/lib/ingestion/store';
+
+const DEFAULT_USER_AGENT = process.env.INGESTION_USER_AGENT || USER_AGENT;
+
+// Number of chunks sent to the embedder per request
+const EMBEDDING_BATCH_SIZE = 100;
+
+// Embed texts in batches to stay under the embeddings API input limits
+export async function embedInBatches(embedder, texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    vectors.push(
+      ...(await embedder.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE)))
+    );
+  }
+  return vectors;
+}
+
+// Crawl a website, embed its pages and upsert them into WebpageEmbedding.
+// fetch, embedder and store are injectable so the pipeline can run against a
+// local static site with a stub embedder and an in-memory store. Requests
+// follow robots.txt and the per-domain rate limits, but not the domain rules:
+// admins registered the site on purpose.
+export async function ingestWebsite({
+  job,
+  websiteId,
+  seedUrl,
+  sitemapUrl,
+  maxPages = 200,
+  chunkSize = 1000,
+  chunkOverlap = 100,
+  minContentLength = 250,
+  userAgent = DEFAULT_USER_AGENT,
+  fetch = nodeFetch,
+  embedder = createEmbedder(),
+  store = createDbStore(),
+}) {
+  if (!seedUrl && !sitemapUrl) {
+    throw new Error('A seedUrl or a sitemapUrl is required');
+  }
+
+  const currentJob =
+    job || (await store.createJob({ websiteId, seedUrl, sitemapUrl }));
+  const progress = {
+    pagesDiscovered: 0,
+    pagesProcessed: 0,
+    pagesFailed: 0,
+    chunksEmbedded: 0,
+  };
+  const splitter = new RecursiveCharacterTextSplitter({
+    chunkSize,
+    chunkOverlap,
+  });
+
+  await store.updateJob(currentJob.id, { status: 'running' });
+
+  try {
+    const pages = crawl({
+      seedUrl,
+      sitemapUrl,
+      maxPages,
+      fetch: createPoliteFetch({ fetch, userAgent, domainRules: null }),
+      userAgent,
+      onDiscovered: (count) => {
+        progress.pagesDiscovered = count;
+      },
+    });
+
+    for await (const page of pages) {
+      if (page.error) {
+        progress.pagesFailed++;
+        await store.recordPage(currentJob.id, {
+          url: page.url,
+          status: 'failed',
+          error: page.error.message,
+        });
+      } else if (page.skipped) {
+        await store.recordPage(currentJob.id, {
+          url: page.url,
+          status: 'skipped',
+          error: page.skipped,
+        });
+      } else {
+        try {
+          const document = await extractDocument({
+            body: page.body,
+            contentType: page.contentType,
+            url: page.url,
+          });
+          if (document.text.length < minContentLength) {
+            await store.recordPage(currentJob.id, {
+              url: page.url,
+              status: 'skipped',
+              error: 'Insufficient content',
+            });
+          } else {
+            const chunks = await splitDocument(document, splitter);
+            const vectors = await embedInBatches(
+              embedder,
+              chunks.map((chunk) => chunk.content)
+            );
+            await store.upsertPageEmbeddings(
+              websiteId,
+              page.url,
+              chunks.map((chunk, index) => ({
+                ...chunk,
+                embedding: vectors[index],
+              }))
+            );
+
+            progress.pagesProcessed++;
+            progress.chunksEmbedded += chunks.length;
+            await store.recordPage(currentJob.id, {
+              url: page.url,
+              status: 'embedded',
+              chunkCount: chunks.length,
+            });
+          }
+        } catch (error) {
+          progress.pagesFailed++;
+          await store.recordPage(currentJob.id, {
+            url: page.url,
+            status: 'failed',
+            error: error.message,
+          });
+        }
+      }
+
+      await store.updateJob(currentJob.id, progress);
+    }
+
+    await store.updateJob(currentJob.id, {
+      ...progress,
+      status: 'completed',
+      finishedAt: new Date(),
+    });
+    return { jobId: currentJob.id, status: 'completed', ...progress };
+  } catch (error) {
+    console.error(`Ingestion job ${currentJob.id} failed:`, error);
+    await store.updateJob(currentJob.id, {
+      ...progress,
+      status: 'failed',
+      error: error.message,
+      finishedAt: new Date(),
+    });
+    return {
+      jobId: currentJob.id,
+      status: 'failed',
+      error: error.message,
+      ...progress,
+    };
+  }
+}
+
+// Create the job row and run the crawl in the background
+export async function startIngestion(options) {
+  const store = options.store || createDbStore();
+  const job = await store.createJob({
+    websiteId: options.websiteId,
+    seedUrl: options.seedUrl,
+    sitemapUrl: options.sitemapUrl,
+  });
+
+  ingestWebsite({ ...options, job, store }).catch((error) =>
+    console.error(`Ingestion job ${job.id} crashed:`, error)
+  );
+
+  return job;
+}
@@ -0,0 +1,55 @@
+import { and, eq } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { ingestionJobs, ingestionPages, webpageEmbeddings } from '@/db/schema';
+
+// Postgres persistence for ingestion jobs and the embeddings they produce
+export function createDbStore(database = db) {
+  return {
+    async createJob({ websiteId, seedUrl, sitemapUrl }) {
+      const [job] = await database
+        .insert(ingestionJobs)
+        .values({ websiteId, seedUrl, sitemapUrl })
+        .returning();
+      return job;
+    },
+
+    async updateJob(jobId, fields) {
+      await database
+        .update(ingestionJobs)
+        .set({ ...fields, updatedAt: new Date() })
+        .where(eq(ingestionJobs.id, jobId));
+    },
+
+    async recordPage(jobId, { url, status, chunkCount = 0, error = null }) {
+      await database
+        .insert(ingestionPages)
+        .values({ jobId, url, status, chunkCount, error });
+    },
+
+    // Replace every chunk stored for the page in one transaction
+    async upsertPageEmbeddings(websiteId, url, chunks) {
+      await database.transaction(async (tx) => {
+        await tx
+          .delete(webpageEmbeddings)
+          .where(
+            and(
+              eq(webpageEmbeddings.websiteId, websiteId),
+              eq(webpageEmbeddings.url, url)
+            )
+          );
+
+        if (chunks.length > 0) {
+          await tx.insert(webpageEmbeddings).values(
+            chunks.map(({ content, metadata, embedding }) => ({
+              websiteId,
+              url,
+              content,
+              metadata,
+              embedding,
+            }))
+          );
+        }
+      });
+    },
+  };
+}
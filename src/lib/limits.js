@@ -0,0 +1,199 @@
+import { lt, sql } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { rateLimitCounters } from '@/db/schema';
+
+// Limits of /api/backend, 0 turns one off:
+// - perMinute: requests per minute of each client (an API key, or a user's
+//   browser sessions)
+// - requestsPerDay / tokensPerDay: daily quotas of each user across their
+//   clients, reset at midnight UTC
+export const DEFAULT_LIMITS = {
+  perMinute: parseInt(process.env.RATE_LIMIT_PER_MINUTE || '10', 10),
+  requestsPerDay: parseInt(process.env.DAILY_REQUEST_QUOTA || '200', 10),
+  tokensPerDay: parseInt(process.env.DAILY_TOKEN_QUOTA || '500000', 10),
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Counters older than this are deleted, at most once per PRUNE_INTERVAL_MS
+const RETENTION_MS = 2 * DAY_MS;
+const PRUNE_INTERVAL_MS = 60 * MINUTE_MS;
+
+// A counter store keeps { requests, tokens } per key and window start:
+// - increment(key, windowStart, { requests, tokens }) -> the counts after
+//   adding, atomically so concurrent requests are all counted
+// - prune(before) deletes the windows that started before `before`
+
+// Counters in process memory, for tests and single-instance deployments
+export function createMemoryLimitStore() {
+  const counters = new Map();
+
+  return {
+    async increment(key, windowStart, { requests = 0, tokens = 0 }) {
+      const id = `${key}@${windowStart.getTime()}`;
+      const counter = counters.get(id) || {
+        windowStart,
+        requests: 0,
+        tokens: 0,
+      };
+      counter.requests += requests;
+      counter.tokens += tokens;
+      counters.set(id, counter);
+      return { requests: counter.requests, tokens: counter.tokens };
+    },
+
+    async prune(before) {
+      for (const [id, counter] of counters) {
+        if (counter.windowStart < before) counters.delete(id);
+      }
+    },
+  };
+}
+
+// Counters in the rate_limit_counters table, shared by every instance
+export function createDbLimitStore(database = db) {
+  return {
+    async increment(key, windowStart, { requests = 0, tokens = 0 }) {
+      const [counter] = await database
+        .insert(rateLimitCounters)
+        .values({ key, windowStart, requests, tokens })
+        .onConflictDoUpdate({
+          target: [rateLimitCounters.key, rateLimitCounters.windowStart],
+          set: {
+            requests: sql`${rateLimitCounters.requests} + ${requests}`,
+            tokens: sql`${rateLimitCounters.tokens} + ${tokens}`,
+          },
+        })
+        .returning({
+          requests: rateLimitCounters.requests,
+          tokens: rateLimitCounters.tokens,
+        });
+      return counter;
+    },
+
+    async prune(before) {
+      await database
+        .delete(rateLimitCounters)
+        .where(lt(rateLimitCounters.windowStart, before));
+    },
+  };
+}
+
+// Identify the client a request is rate limited as
+export const clientKey = (user) =>
+  user.apiKeyId ? `key:${user.apiKeyId}` : `user:${user.id}`;
+
+const windowStart = (now, length) =>
+  new Date(Math.floor(now.getTime() / length) * length);
+
+// Seconds until `date`, at least 1
+const secondsUntil = (date, now) =>
+  Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+// Check and count requests and tokens against the limits:
+//
+// - admit(user) counts the request and resolves to { allowed, headers } when
+//   it is within every limit, or { allowed: false, limit, error, retryAfter,
+//   headers } naming the limit it exceeds. `headers` are the RateLimit-* (and
+//   Retry-After) headers of the response.
+// - recordTokens(userId, tokens) adds the tokens a request used to the
+//   user's day
+export function createRateLimiter({
+  store = createDbLimitStore(),
+  limits = DEFAULT_LIMITS,
+  now = () => new Date(),
+} = {}) {
+  let lastPruned = 0;
+
+  // Drop old windows now and then, never failing the request
+  const prune = (time) => {
+    if (time.getTime() - lastPruned < PRUNE_INTERVAL_MS) return;
+    lastPruned = time.getTime();
+    store
+      .prune(new Date(time.getTime() - RETENTION_MS))
+      .catch((error) => console.error('Error pruning rate limits:', error));
+  };
+
+  const dailyKey = (userId) => `day:${userId}`;
+
+  return {
+    async admit(user) {
+      const time = now();
+      prune(time);
+
+      const minute = windowStart(time, MINUTE_MS);
+      const minuteReset = new Date(minute.getTime() + MINUTE_MS);
+      const day = windowStart(time, DAY_MS);
+      const dayReset = new Date(day.getTime() + DAY_MS);
+
+      const reject = (limit, error, resetAt, headers) => {
+        const retryAfter = secondsUntil(resetAt, time);
+        return {
+          allowed: false,
+          limit,
+          error,
+          retryAfter,
+          headers: { ...headers, 'Retry-After': String(retryAfter) },
+        };
+      };
+
+      let headers = {};
+      if (limits.perMinute > 0) {
+        const { requests } = await store.increment(
+          `minute:${clientKey(user)}`,
+          minute,
+          { requests: 1 }
+        );
+        headers = {
+          'RateLimit-Limit': String(limits.perMinute),
+          'RateLimit-Remaining': String(
+            Math.max(0, limits.perMinute - requests)
+          ),
+          'RateLimit-Reset': String(secondsUntil(minuteReset, time)),
+        };
+        if (requests > limits.perMinute) {
+          return reject(
+            'requests_per_minute',
+            'Rate limit exceeded',
+            minuteReset,
+            headers
+          );
+        }
+      }
+
+      if (limits.requestsPerDay > 0 || limits.tokensPerDay > 0) {
+        const { requests, tokens } = await store.increment(
+          dailyKey(user.id),
+          day,
+          { requests: 1 }
+        );
+        if (limits.requestsPerDay > 0 && requests > limits.requestsPerDay) {
+          return reject(
+            'requests_per_day',
+            'Daily request quota exceeded',
+            dayReset,
+            headers
+          );
+        }
+        if (limits.tokensPerDay > 0 && tokens >= limits.tokensPerDay) {
+          return reject(
+            'tokens_per_day',
+            'Daily token quota exceeded',
+            dayReset,
+            headers
+          );
+        }
+      }
+
+      return { allowed: true, headers };
+    },
+
+    async recordTokens(userId, tokens) {
+      if (!(tokens > 0) || !(limits.tokensPerDay > 0)) return;
+      await store.increment(dailyKey(userId), windowStart(now(), DAY_MS), {
+        tokens,
+      });
+    },
+  };
+}
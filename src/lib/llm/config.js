@@ -0,0 +1,23 @@
+// Model used by each pipeline step unless LLM_<STEP>_MODEL overrides it
+const STEP_MODELS = {
+  rephrase: 'gpt-4o',
+  answer: 'gpt-4o',
+  followup: 'gpt-4',
+  embed: 'text-embedding-3-small',
+  // Answer-faithfulness judge of the offline evaluation
+  judge: 'gpt-4o',
+};
+
+// Resolve the provider and model of a pipeline step from the environment.
+// LLM_PROVIDER picks the default provider, LLM_<STEP>_PROVIDER and
+// LLM_<STEP>_MODEL override it per step (e.g. LLM_FOLLOWUP_MODEL=gpt-4o-mini).
+export function getStepConfig(step) {
+  if (!(step in STEP_MODELS)) throw new Error(`Unknown LLM step: ${step}`);
+
+  const prefix = `LLM_${step.toUpperCase()}`;
+  return {
+    provider:
+      process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'openai',
+    model: process.env[`${prefix}_MODEL`] || STEP_MODELS[step],
+  };
+}
@@ -0,0 +1,91 @@
+// Deterministic provider for tests and offline runs: no network, same output
+// for the same input
+
+const FOLLOW_UP_COUNT = 4;
+
+// Default reply: follow-up JSON when asked for it, otherwise an echo of the
+// last user message
+function defaultReply(messages) {
+  const lastUserMessage =
+    [...messages].reverse().find((message) => message.role === 'user')
+      ?.content || '';
+
+  if (messages.some((message) => message.content.includes('"follow_up"'))) {
+    return JSON.stringify({
+      follow_up: Array.from(
+        { length: FOLLOW_UP_COUNT },
+        (_, index) => `Follow-up question ${index + 1}?`
+      ),
+    });
+  }
+  return `Fake answer to: ${lastUserMessage}`;
+}
+
+// FNV-1a hash of a token
+function hashToken(token) {
+  let hash = 2166136261;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Bag-of-words vector: texts sharing words get a high cosine similarity
+export function fakeEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  for (const token of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    vector[hashToken(token) % dimensions] += 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map((value) => value / norm) : vector;
+}
+
+// Token count estimate: the number of words
+const countTokens = (text) => (text.match(/\S+/g) || []).length;
+
+// Usage of a completion in the shape OpenAI reports it
+function chatUsage(messages, content) {
+  const promptTokens = messages.reduce(
+    (sum, message) => sum + countTokens(message.content),
+    0
+  );
+  const completionTokens = countTokens(content);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+}
+
+export function createFakeProvider({
+  reply = defaultReply,
+  dimensions = 1536,
+} = {}) {
+  return {
+    name: 'fake',
+
+    async chat({ messages, signal }) {
+      signal?.throwIfAborted();
+      const content = reply(messages);
+      return { content, usage: chatUsage(messages, content) };
+    },
+
+    async *streamChat({ messages, signal, onUsage }) {
+      const content = reply(messages);
+      for (const word of content.split(/(?<= )/)) {
+        signal?.throwIfAborted();
+        yield word;
+      }
+      onUsage?.(chatUsage(messages, content));
+    },
+
+    async embed({ input, signal, onUsage }) {
+      signal?.throwIfAborted();
+      const tokens = input.reduce((sum, text) => sum + countTokens(text), 0);
+      onUsage?.({ prompt_tokens: tokens, total_tokens: tokens });
+      return input.map((text) => fakeEmbedding(text, dimensions));
+    },
+  };
+}
@@ -0,0 +1,92 @@
+import { getStepConfig } from '@/lib/llm/config';
+import { createFakeProvider } from '@/lib/llm/fake';
+import { createOpenAIProvider } from '@/lib/llm/openai';
+
+// Providers selectable through LLM_PROVIDER / LLM_<STEP>_PROVIDER
+const PROVIDER_FACTORIES = {
+  openai: () =>
+    createOpenAIProvider({
+      name: 'openai',
+      apiKey: process.env.OPENAI_API_KEY,
+    }),
+  'openai-compatible': () =>
+    createOpenAIProvider({
+      name: 'openai-compatible',
+      baseURL: process.env.LLM_BASE_URL,
+      // Local servers usually ignore the key, but the client requires one
+      apiKey: process.env.LLM_API_KEY || 'not-needed',
+    }),
+  fake: () => createFakeProvider(),
+};
+
+const providers = new Map();
+
+// Return the provider registered under `name`, created once per process
+export function getProvider(name) {
+  if (!providers.has(name)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) throw new Error(`Unknown LLM provider: ${name}`);
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+// Replace a provider, e.g. with a fake one configured by a test
+export function setProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+// Report the token usage of a call to `onUsage` as
+// { step, model, promptTokens, completionTokens, totalTokens }. Providers
+// that return no usage report nothing.
+function usageReporter(onUsage, step, model) {
+  return (usage) => {
+    if (!onUsage || !usage) return;
+    const promptTokens = usage.prompt_tokens ?? 0;
+    const completionTokens = usage.completion_tokens ?? 0;
+    onUsage({
+      step,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens ?? promptTokens + completionTokens,
+    });
+  };
+}
+
+// Chat completion for a pipeline step: rephrase, answer or followup
+export async function chat(step, messages, options = {}) {
+  const { provider, model } = getStepConfig(step);
+  const { onUsage, ...rest } = options;
+  const result = await getProvider(provider).chat({
+    model,
+    messages,
+    ...rest,
+  });
+  usageReporter(onUsage, step, model)(result.usage);
+  return result;
+}
+
+// Streaming chat completion yielding text deltas
+export function streamChat(step, messages, options = {}) {
+  const { provider, model } = getStepConfig(step);
+  const { onUsage, ...rest } = options;
+  return getProvider(provider).streamChat({
+    model,
+    messages,
+    ...rest,
+    onUsage: usageReporter(onUsage, step, model),
+  });
+}
+
+// Embed a list of texts with the embed step's provider and model
+export async function embed(texts, options = {}) {
+  const { provider, model } = getStepConfig('embed');
+  const { onUsage, ...rest } = options;
+  return getProvider(provider).embed({
+    model,
+    input: texts,
+    ...rest,
+    onUsage: usageReporter(onUsage, 'embed', model),
+  });
+}
@@ -0,0 +1,19 @@
+import { Embeddings } from 'langchain/embeddings/base';
+import { embed } from '@/lib/llm';
+
+// LangChain embeddings backed by the configured embed provider, for
+// MemoryVectorStore and friends
+export class ProviderEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+  }
+
+  embedDocuments(texts) {
+    return embed(texts);
+  }
+
+  async embedQuery(text) {
+    const [vector] = await embed([text]);
+    return vector;
+  }
+}
@@ -0,0 +1,54 @@
+import OpenAI from 'openai';
+
+// Provider for OpenAI and any server speaking its API (Ollama, llama.cpp
+// server, vLLM, ...) through `baseURL`. An AbortSignal passed as `signal`
+// cancels the HTTP request. `onUsage` receives the token usage of streamed
+// completions and embeddings.
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL }) {
+  const openai = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name,
+
+    async chat({ model, messages, signal, ...options }) {
+      const completion = await openai.chat.completions.create(
+        { model, messages, ...options },
+        { signal }
+      );
+      return {
+        content: completion.choices[0].message.content,
+        usage: completion.usage,
+      };
+    },
+
+    async *streamChat({ model, messages, signal, onUsage, ...options }) {
+      const stream = await openai.chat.completions.create(
+        {
+          model,
+          messages,
+          ...options,
+          stream: true,
+          // The last chunk carries the usage of the whole completion
+          ...(onUsage ? { stream_options: { include_usage: true } } : {}),
+        },
+        { signal }
+      );
+      for await (const part of stream) {
+        if (part.usage) onUsage?.(part.usage);
+        const delta = part.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+
+    async embed({ model, input, signal, onUsage }) {
+      const response = await openai.embeddings.create(
+        { model, input },
+        { signal }
+      );
+      if (response.usage) onUsage?.(response.usage);
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding);
+    },
+  };
+}
@@ -0,0 +1,40 @@
+// US dollars per million tokens. LLM_PRICES adds or overrides models as JSON,
+// e.g. LLM_PRICES='{"llama3.1": {"input": 0, "output": 0}}'.
+const MODEL_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 },
+};
+
+// Prices of the built-in models and LLM_PRICES
+export function getModelPrices() {
+  if (!process.env.LLM_PRICES) return MODEL_PRICES;
+
+  try {
+    return { ...MODEL_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (error) {
+    console.error('Ignoring unreadable LLM_PRICES:', error.message);
+    return MODEL_PRICES;
+  }
+}
+
+// Estimated cost in US dollars of a call, or null for a model without a price
+export function estimateCost(
+  model,
+  { promptTokens = 0, completionTokens = 0 },
+  prices = getModelPrices()
+) {
+  const price = prices[model];
+  if (!price) return null;
+
+  return (
+    (promptTokens * (price.input || 0) +
+      completionTokens * (price.output || 0)) /
+    1e6
+  );
+}
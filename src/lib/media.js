@@ -0,0 +1,39 @@
+// Image and video results shared by /api/backend and the media gallery
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Whether a result's links can be rendered: its thumbnail and source page,
+// and its full-size URL when it has one, are all http(s)
+export function isSafeMedia({ url, thumbnail, source }) {
+  return isHttpUrl(thumbnail) && isHttpUrl(source) && (!url || isHttpUrl(url));
+}
+
+// Player URL of a YouTube or Vimeo video for the lightbox, or null for other
+// sites, whose videos open on their page
+export function videoEmbedUrl(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return null;
+  }
+  const host = url.hostname.replace(/^(www|m)\./, '');
+
+  if (host === 'youtube.com' && url.pathname === '/watch') {
+    const id = url.searchParams.get('v');
+    return id ? `https://www.youtube-nocookie.com/embed/${id}` : null;
+  }
+  if (host === 'youtu.be' && url.pathname.length > 1) {
+    return `https://www.youtube-nocookie.com/embed${url.pathname}`;
+  }
+  if (host === 'vimeo.com' && /^\/\d+$/.test(url.pathname)) {
+    return `https://player.vimeo.com/video${url.pathname}`;
+  }
+  return null;
+}
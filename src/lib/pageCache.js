@@ -0,0 +1,184 @@
+import { asc, eq, sql } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { pageCache, pageCacheChunks, pageCacheStats } from '@/db/schema';
+
+// How long a cached page is served before it is revalidated
+const TTL_SECONDS = parseInt(process.env.PAGE_CACHE_TTL_SECONDS || '86400', 10);
+
+const expiresAt = () => new Date(Date.now() + TTL_SECONDS * 1000);
+
+// Postgres persistence of cached pages, their chunks and the daily counters
+export function createDbPageCacheStore(database = db) {
+  return {
+    async get(url) {
+      const [page] = await database
+        .select()
+        .from(pageCache)
+        .where(eq(pageCache.url, url));
+      if (!page) return null;
+
+      const chunks = await database
+        .select({
+          content: pageCacheChunks.content,
+          metadata: pageCacheChunks.metadata,
+          embedding: pageCacheChunks.embedding,
+        })
+        .from(pageCacheChunks)
+        .where(eq(pageCacheChunks.pageId, page.id))
+        .orderBy(asc(pageCacheChunks.chunkIndex));
+
+      return { ...page, chunks };
+    },
+
+    // Insert or replace the page and all its chunks
+    async save({ url, content, etag, lastModified, chunkConfig, chunks }) {
+      await database.transaction(async (tx) => {
+        const values = {
+          content,
+          etag,
+          lastModified,
+          chunkConfig,
+          fetchedAt: new Date(),
+          expiresAt: expiresAt(),
+        };
+        const [page] = await tx
+          .insert(pageCache)
+          .values({ url, ...values })
+          .onConflictDoUpdate({ target: pageCache.url, set: values })
+          .returning({ id: pageCache.id });
+
+        await tx
+          .delete(pageCacheChunks)
+          .where(eq(pageCacheChunks.pageId, page.id));
+        if (chunks.length > 0) {
+          await tx.insert(pageCacheChunks).values(
+            chunks.map(({ content, metadata, embedding }, chunkIndex) => ({
+              pageId: page.id,
+              chunkIndex,
+              content,
+              metadata,
+              embedding,
+            }))
+          );
+        }
+      });
+    },
+
+    // Count a hit and push the expiry back after a 304 revalidation
+    async touch(id, { revalidated }) {
+      await database
+        .update(pageCache)
+        .set({
+          hitCount: sql`${pageCache.hitCount} + 1`,
+          ...(revalidated ? { expiresAt: expiresAt() } : {}),
+        })
+        .where(eq(pageCache.id, id));
+    },
+
+    async recordStat(counter) {
+      const day = new Date().toISOString().slice(0, 10);
+      await database
+        .insert(pageCacheStats)
+        .values({ day, [counter]: 1 })
+        .onConflictDoUpdate({
+          target: pageCacheStats.day,
+          set: { [counter]: sql`${pageCacheStats[counter]} + 1` },
+        });
+    },
+  };
+}
+
+// Return the page's text and embedded chunks, from the cache when fresh.
+// Expired entries are revalidated with If-None-Match / If-Modified-Since.
+//
+// - fetchPage(url, headers) -> { notModified, content, etag, lastModified }
+//   plus whatever splitPage needs
+// - splitPage(page) -> [{ content, metadata }]
+// - embedTexts(texts) -> vectors
+// - chunkConfig identifies the extractor, embedding model and splitter
+//   settings; cached chunks made with other settings are rebuilt
+export async function getCachedPage(
+  url,
+  { fetchPage, splitPage, embedTexts, chunkConfig, store = defaultStore() }
+) {
+  // Bookkeeping failures never fail the page
+  const recordStat = (counter) =>
+    store
+      .recordStat(counter)
+      .catch((error) => console.error('Error recording cache stat:', error));
+  const touch = (id, options) =>
+    store
+      .touch(id, options)
+      .catch((error) => console.error('Error touching page cache:', error));
+
+  let cached = null;
+  try {
+    cached = await store.get(url);
+  } catch (error) {
+    console.error(`Error reading page cache for ${url}:`, error);
+  }
+  const usable = cached && cached.chunkConfig === chunkConfig;
+
+  // Fresh entry: serve it as-is
+  if (usable && cached.expiresAt > new Date()) {
+    await touch(cached.id, { revalidated: false });
+    recordStat('hits');
+    return { content: cached.content, chunks: cached.chunks, cache: 'hit' };
+  }
+
+  // Expired entry: ask the server whether the page changed
+  const conditionalHeaders = {};
+  if (usable && cached.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+  if (usable && cached.lastModified) {
+    conditionalHeaders['If-Modified-Since'] = cached.lastModified;
+  }
+
+  const page = await fetchPage(url, conditionalHeaders);
+  if (usable && page.notModified) {
+    await touch(cached.id, { revalidated: true });
+    recordStat('revalidations');
+    return {
+      content: cached.content,
+      chunks: cached.chunks,
+      cache: 'revalidated',
+    };
+  }
+
+  // Unchanged text keeps its embeddings, anything else is split and embedded
+  let chunks;
+  if (usable && page.content === cached.content) {
+    chunks = cached.chunks;
+  } else {
+    const pieces = await splitPage(page);
+    const vectors =
+      pieces.length > 0
+        ? await embedTexts(pieces.map((piece) => piece.content))
+        : [];
+    chunks = pieces.map((piece, index) => ({
+      ...piece,
+      embedding: vectors[index],
+    }));
+  }
+
+  try {
+    await store.save({
+      url,
+      content: page.content,
+      etag: page.etag || null,
+      lastModified: page.lastModified || null,
+      chunkConfig,
+      chunks,
+    });
+  } catch (error) {
+    console.error(`Error writing page cache for ${url}:`, error);
+  }
+  recordStat('misses');
+
+  return { content: page.content, chunks, cache: 'miss' };
+}
+
+let sharedStore = null;
+function defaultStore() {
+  if (!sharedStore) sharedStore = createDbPageCacheStore();
+  return sharedStore;
+}
@@ -0,0 +1,241 @@
+import {
+  and,
+  cosineDistance,
+  desc,
+  inArray,
+  isNotNull,
+  or,
+  sql,
+} from 'drizzle-orm';
+import { db } from '@/db/index';
+import { documents, webpageEmbeddings } from '@/db/schema';
+import { embed } from '@/lib/llm';
+
+// Candidates the HNSW index keeps per query. HNSW is approximate: a larger
+// value finds more of the exact nearest chunks at the cost of speed.
+const EF_SEARCH = parseInt(process.env.PGVECTOR_EF_SEARCH || '100', 10);
+
+// Whether each database's pgvector (0.8 and later) has iterative index scans
+const iterativeScans = new WeakMap();
+
+async function hasIterativeScans(database) {
+  if (!iterativeScans.has(database)) {
+    iterativeScans.set(
+      database,
+      database
+        .execute(
+          sql`select extversion from pg_extension where extname = 'vector'`
+        )
+        .then((result) => {
+          const [row] = result.rows || result;
+          const [major, minor] = (row?.extversion || '0.0')
+            .split('.')
+            .map(Number);
+          return major > 0 || minor >= 8;
+        })
+    );
+  }
+  return iterativeScans.get(database);
+}
+
+// Chunks database mode gives the model
+export const RETRIEVAL_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K || '4', 10);
+
+// Reciprocal rank fusion constant, dampens the weight of the very first ranks
+const RRF_K = 60;
+
+// Rows pulled from each signal before fusion
+const CANDIDATE_LIMIT = 20;
+
+// Restrict a query to the chosen websites and the documents of the chosen
+// collections. With neither, every website is searched but no document:
+// collections are private and only searched when picked.
+function sourceFilter(websiteIds, collectionIds) {
+  const filters = [];
+  if (websiteIds?.length) {
+    filters.push(inArray(webpageEmbeddings.websiteId, websiteIds));
+  }
+  if (collectionIds?.length) {
+    filters.push(
+      sql`${webpageEmbeddings.documentId} in (select ${
+        documents.id
+      } from ${documents} where ${inArray(
+        documents.collectionId,
+        collectionIds
+      )})`
+    );
+  }
+  return filters.length
+    ? or(...filters)
+    : isNotNull(webpageEmbeddings.websiteId);
+}
+
+// Rank chunks by cosine similarity inside Postgres (pgvector) and return only
+// the top `limit` rows with their scores. Empty or missing `websiteIds` and
+// `collectionIds` search every website.
+//
+// Every query is filtered (at least to website chunks), and pgvector applies
+// the filter to the rows the HNSW index returns: on its own, a query could
+// come back with fewer than `limit` rows, or miss closer chunks that passed
+// the filter. With iterative scans the index keeps searching until `limit`
+// rows pass, in distance order. Older pgvector versions skip the index and
+// rank the filtered rows exactly.
+export async function searchWebpageEmbeddings(
+  queryEmbedding,
+  { websiteIds, collectionIds, limit = 4, database = db }
+) {
+  const distance = cosineDistance(webpageEmbeddings.embedding, queryEmbedding);
+  const iterative = await hasIterativeScans(database);
+
+  return database.transaction(async (tx) => {
+    await tx.execute(
+      sql`SET LOCAL hnsw.ef_search = ${sql.raw(
+        String(Math.max(EF_SEARCH, limit))
+      )}`
+    );
+    await tx.execute(
+      iterative
+        ? sql`SET LOCAL hnsw.iterative_scan = strict_order`
+        : sql`SET LOCAL enable_indexscan = off`
+    );
+
+    return tx
+      .select({
+        id: webpageEmbeddings.id,
+        content: webpageEmbeddings.content,
+        metadata: webpageEmbeddings.metadata,
+        url: webpageEmbeddings.url,
+        websiteId: webpageEmbeddings.websiteId,
+        documentId: webpageEmbeddings.documentId,
+        similarity: sql`1 - (${distance})`.mapWith(Number),
+      })
+      .from(webpageEmbeddings)
+      .where(sourceFilter(websiteIds, collectionIds))
+      .orderBy(distance)
+      .limit(limit);
+  });
+}
+
+// Rank chunks by Postgres full-text search over the contentTsv GIN index, so
+// exact terms such as error codes and API names are found
+export async function searchWebpageKeywords(
+  query,
+  { websiteIds, collectionIds, limit = 4, database = db }
+) {
+  const tsQuery = sql`websearch_to_tsquery('english', ${query})`;
+  const rank = sql`ts_rank_cd(${webpageEmbeddings.contentTsv}, ${tsQuery})`;
+
+  return database
+    .select({
+      id: webpageEmbeddings.id,
+      content: webpageEmbeddings.content,
+      metadata: webpageEmbeddings.metadata,
+      url: webpageEmbeddings.url,
+      websiteId: webpageEmbeddings.websiteId,
+      documentId: webpageEmbeddings.documentId,
+      keywordScore: rank.mapWith(Number),
+    })
+    .from(webpageEmbeddings)
+    .where(
+      and(
+        sql`${webpageEmbeddings.contentTsv} @@ ${tsQuery}`,
+        sourceFilter(websiteIds, collectionIds)
+      )
+    )
+    .orderBy(desc(rank))
+    .limit(limit);
+}
+
+// Merge vector and keyword rankings with weighted reciprocal rank fusion:
+// score = Σ weight / (RRF_K + rank). Each row keeps the scores and ranks of
+// both signals (null when a signal did not find it).
+export async function hybridSearch(
+  query,
+  queryEmbedding,
+  {
+    websiteIds,
+    collectionIds,
+    limit = 4,
+    vectorWeight = 1,
+    keywordWeight = 1,
+    candidateLimit = CANDIDATE_LIMIT,
+    database = db,
+  }
+) {
+  const options = {
+    websiteIds,
+    collectionIds,
+    limit: Math.max(candidateLimit, limit),
+    database,
+  };
+  const [vectorRows, keywordRows] = await Promise.all([
+    vectorWeight > 0
+      ? searchWebpageEmbeddings(queryEmbedding, options)
+      : Promise.resolve([]),
+    keywordWeight > 0
+      ? searchWebpageKeywords(query, options)
+      : Promise.resolve([]),
+  ]);
+
+  const fused = new Map();
+  const merge = (rows, weight, fields) =>
+    rows.forEach((row, index) => {
+      const entry = fused.get(row.id) || {
+        id: row.id,
+        content: row.content,
+        metadata: row.metadata,
+        url: row.url,
+        websiteId: row.websiteId,
+        documentId: row.documentId,
+        similarity: null,
+        vectorRank: null,
+        keywordScore: null,
+        keywordRank: null,
+        score: 0,
+      };
+      Object.assign(entry, fields(row, index + 1));
+      entry.score += weight / (RRF_K + index + 1);
+      fused.set(row.id, entry);
+    });
+
+  merge(vectorRows, vectorWeight, (row, rank) => ({
+    similarity: row.similarity,
+    vectorRank: rank,
+  }));
+  merge(keywordRows, keywordWeight, (row, rank) => ({
+    keywordScore: row.keywordScore,
+    keywordRank: rank,
+  }));
+
+  return [...fused.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+// Database-mode retrieval: embed the query with `embedder` (the configured
+// embed step by default) and return the top `limit` chunks of the chosen
+// websites and collections by hybrid score. `onUsage` receives the token
+// usage of the query embedding.
+export async function retrieveFromDatabase(
+  query,
+  {
+    websiteIds,
+    collectionIds,
+    limit = RETRIEVAL_TOP_K,
+    vectorWeight = 1,
+    keywordWeight = 1,
+    embedder = { embed },
+    signal,
+    onUsage,
+    database = db,
+  }
+) {
+  const [queryEmbedding] = await embedder.embed([query], { signal, onUsage });
+
+  return hybridSearch(query, queryEmbedding, {
+    websiteIds,
+    collectionIds,
+    limit,
+    vectorWeight,
+    keywordWeight,
+    database,
+  });
+}
@@ -0,0 +1,97 @@
+import fetch from 'node-fetch';
+import { scopeQuery } from '@/lib/search/query';
+
+const API_URL = 'https://api.bing.microsoft.com/v7.0';
+
+// Values of the freshness parameter per focus mode freshness. Bing has no
+// yearly value, so a year is sent as a date range.
+const FRESHNESS = { day: 'Day', week: 'Week', month: 'Month' };
+
+const lastYear = () => {
+  const today = new Date();
+  const yearAgo = new Date(today);
+  yearAgo.setUTCFullYear(today.getUTCFullYear() - 1);
+  const day = (date) => date.toISOString().slice(0, 10);
+  return `${day(yearAgo)}..${day(today)}`;
+};
+
+// ISO 8601 durations such as PT1H2M5S as 1:02:05
+const formatDuration = (duration) => {
+  const match = duration?.match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  if (!match) return null;
+
+  const [, hours, minutes = '0', seconds = '0'] = match;
+  const pad = (value) => value.padStart(2, '0');
+  return hours
+    ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+    : `${minutes}:${pad(seconds)}`;
+};
+
+// Bing Web, Image and Video Search APIs v7
+export function createBingProvider({ apiKey }) {
+  // GET one of the search endpoints and parse its JSON
+  const request = async (path, params, signal) => {
+    const url = new URL(`${API_URL}${path}`);
+    for (const [name, value] of Object.entries(params)) {
+      if (value) url.searchParams.set(name, String(value));
+    }
+
+    const response = await fetch(url, {
+      signal,
+      headers: { 'Ocp-Apim-Subscription-Key': apiKey },
+    });
+    if (!response.ok) throw new Error(`Bing returned HTTP ${response.status}`);
+    return response.json();
+  };
+
+  return {
+    name: 'bing',
+
+    async search(query, { count = 10, signal, sites, freshness } = {}) {
+      const data = await request(
+        '/search',
+        {
+          q: scopeQuery(query, sites),
+          count,
+          freshness:
+            freshness === 'year' ? lastYear() : FRESHNESS[freshness] || null,
+        },
+        signal
+      );
+      return (data.webPages?.value || []).map((result) => ({
+        title: result.name,
+        link: result.url,
+        snippet: result.snippet || '',
+        date: result.datePublished || result.dateLastCrawled || null,
+      }));
+    },
+
+    async searchImages(query, { count = 10, signal } = {}) {
+      const data = await request('/images/search', { q: query, count }, signal);
+      return (data.value || []).map((result) => ({
+        kind: 'image',
+        title: result.name || '',
+        url: result.contentUrl || null,
+        thumbnail: result.thumbnailUrl || null,
+        source: result.hostPageUrl,
+        publisher: result.hostPageDomainFriendlyName || null,
+        width: result.width || null,
+        height: result.height || null,
+      }));
+    },
+
+    async searchVideos(query, { count = 10, signal } = {}) {
+      const data = await request('/videos/search', { q: query, count }, signal);
+      return (data.value || []).map((result) => ({
+        kind: 'video',
+        title: result.name || '',
+        url: result.contentUrl || result.hostPageUrl,
+        thumbnail: result.thumbnailUrl || null,
+        source: result.hostPageUrl,
+        publisher: result.creator?.name || result.publisher?.[0]?.name || null,
+        duration: formatDuration(result.duration),
+        date: result.datePublished || null,
+      }));
+    },
+  };
+}
@@ -0,0 +1,94 @@
+import fetch from 'node-fetch';
+import { scopeQuery } from '@/lib/search/query';
+
+// Values of the freshness parameter per focus mode freshness
+const FRESHNESS = { day: 'pd', week: 'pw', month: 'pm', year: 'py' };
+
+// Brave Search web, image and video results. `baseUrl` points the provider at
+// another server, e.g. a local stand-in in tests.
+export function createBraveProvider({
+  apiKey,
+  baseUrl = 'https://api.search.brave.com',
+}) {
+  // GET one of the search endpoints and parse its JSON
+  const request = async (path, params, signal) => {
+    const url = new URL(path, baseUrl);
+    for (const [name, value] of Object.entries(params)) {
+      if (value) url.searchParams.set(name, String(value));
+    }
+
+    const response = await fetch(url, {
+      signal,
+      headers: {
+        Accept: 'application/json',
+        'X-Subscription-Token': apiKey,
+      },
+    });
+    if (!response.ok) throw new Error(`Brave returned HTTP ${response.status}`);
+    return response.json();
+  };
+
+  return {
+    name: 'brave',
+
+    async search(query, { count = 10, signal, sites, freshness } = {}) {
+      const data = await request(
+        '/res/v1/web/search',
+        {
+          q: scopeQuery(query, sites),
+          count,
+          freshness: freshness && FRESHNESS[freshness],
+        },
+        signal
+      );
+      return (data.web?.results || [])
+        .filter((result) => !result.url.includes('brave.com'))
+        .map((result) => ({
+          title: result.title,
+          link: result.url,
+          snippet: result.description || '',
+          date: result.page_age || result.age || null,
+        }));
+    },
+
+    async searchImages(query, { count = 10, signal } = {}) {
+      const data = await request(
+        '/res/v1/images/search',
+        { q: query, count },
+        signal
+      );
+      return (data.results || []).map((result) => ({
+        kind: 'image',
+        title: result.title || '',
+        url: result.properties?.url || null,
+        thumbnail: result.thumbnail?.src || null,
+        source: result.url,
+        publisher: result.source || result.meta_url?.hostname || null,
+        width: result.properties?.width || null,
+        height: result.properties?.height || null,
+      }));
+    },
+
+    async searchVideos(query, { count = 10, signal } = {}) {
+      const data = await request(
+        '/res/v1/videos/search',
+        { q: query, count },
+        signal
+      );
+      return (data.results || []).map((result) => ({
+        kind: 'video',
+        title: result.title || '',
+        url: result.url,
+        thumbnail: result.thumbnail?.src || null,
+        source: result.url,
+        publisher:
+          result.video?.creator ||
+          result.video?.publisher ||
+          result.meta_url?.hostname ||
+          null,
+        duration: result.video?.duration || null,
+        date: result.page_age || result.age || null,
+      }));
+    },
+  };
+}
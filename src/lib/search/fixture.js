@@ -0,0 +1,25 @@
+import { readFile } from 'fs/promises';
+
+// Offline provider serving canned results. `fixtures` maps queries to result
+// lists, with an optional "*" entry used for any other query; it can also be
+// loaded from the JSON file at `path`.
+export function createFixtureProvider({ fixtures, path } = {}) {
+  let loaded = fixtures;
+
+  return {
+    name: 'fixture',
+
+    async search(query, { count = 10 } = {}) {
+      if (!loaded) loaded = JSON.parse(await readFile(path, 'utf8'));
+
+      return (loaded[query] || loaded['*'] || [])
+        .slice(0, count)
+        .map(({ title, link, snippet = '', date = null }) => ({
+          title,
+          link,
+          snippet,
+          date,
+        }));
+    },
+  };
+}
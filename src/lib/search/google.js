@@ -0,0 +1,63 @@
+import fetch from 'node-fetch';
+import { scopeQuery } from '@/lib/search/query';
+
+// Values of the dateRestrict parameter per focus mode freshness
+const DATE_RESTRICT = { day: 'd1', week: 'w1', month: 'm1', year: 'y1' };
+
+// Google Programmable Search (Custom Search JSON API), at most 10 results.
+// It has image search (when enabled on the engine) but no video search.
+export function createGoogleProvider({ apiKey, searchEngineId }) {
+  // GET the search endpoint and parse its JSON
+  const request = async (params, signal) => {
+    const url = new URL('https://www.googleapis.com/customsearch/v1');
+    url.searchParams.set('key', apiKey);
+    url.searchParams.set('cx', searchEngineId);
+    for (const [name, value] of Object.entries(params)) {
+      if (value) url.searchParams.set(name, String(value));
+    }
+
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(`Google returned HTTP ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'google',
+
+    async search(query, { count = 10, signal, sites, freshness } = {}) {
+      const data = await request(
+        {
+          q: scopeQuery(query, sites),
+          num: Math.min(count, 10),
+          dateRestrict: freshness && DATE_RESTRICT[freshness],
+        },
+        signal
+      );
+      return (data.items || []).map((item) => ({
+        title: item.title,
+        link: item.link,
+        snippet: item.snippet || '',
+        date: item.pagemap?.metatags?.[0]?.['article:published_time'] || null,
+      }));
+    },
+
+    async searchImages(query, { count = 10, signal } = {}) {
+      const data = await request(
+        { q: query, num: Math.min(count, 10), searchType: 'image' },
+        signal
+      );
+      return (data.items || []).map((item) => ({
+        kind: 'image',
+        title: item.title || '',
+        url: item.link,
+        thumbnail: item.image?.thumbnailLink || null,
+        source: item.image?.contextLink,
+        publisher: item.displayLink || null,
+        width: item.image?.width || null,
+        height: item.image?.height || null,
+      }));
+    },
+  };
+}
@@ -0,0 +1,168 @@
+import { createBingProvider } from '@/lib/search/bing';
+import { createBraveProvider } from '@/lib/search/brave';
+import { createFixtureProvider } from '@/lib/search/fixture';
+import { createGoogleProvider } from '@/lib/search/google';
+import { createSearxngProvider } from '@/lib/search/searxng';
+import { matchesDomain } from '@/lib/fetching/domains';
+
+// Providers available when their credentials are configured
+const PROVIDER_FACTORIES = {
+  brave: () =>
+    process.env.BRAVE_SEARCH_API_KEY &&
+    createBraveProvider({ apiKey: process.env.BRAVE_SEARCH_API_KEY }),
+  searxng: () =>
+    process.env.SEARXNG_URL &&
+    createSearxngProvider({ baseUrl: process.env.SEARXNG_URL }),
+  bing: () =>
+    process.env.BING_SEARCH_API_KEY &&
+    createBingProvider({ apiKey: process.env.BING_SEARCH_API_KEY }),
+  google: () =>
+    process.env.GOOGLE_SEARCH_API_KEY &&
+    process.env.GOOGLE_SEARCH_ENGINE_ID &&
+    createGoogleProvider({
+      apiKey: process.env.GOOGLE_SEARCH_API_KEY,
+      searchEngineId: process.env.GOOGLE_SEARCH_ENGINE_ID,
+    }),
+  fixture: () =>
+    process.env.SEARCH_FIXTURE_PATH &&
+    createFixtureProvider({ path: process.env.SEARCH_FIXTURE_PATH }),
+};
+
+const providers = new Map();
+
+// Whether `name` is one of the providers, configured or not. Names come from
+// requests, so only the factories' own keys count, never inherited ones.
+export function isSearchProviderName(name) {
+  return typeof name === 'string' && Object.hasOwn(PROVIDER_FACTORIES, name);
+}
+
+// Return the provider registered under `name`, or null when not configured
+export function getSearchProvider(name) {
+  if (!providers.has(name)) {
+    const factory = isSearchProviderName(name) && PROVIDER_FACTORIES[name];
+    providers.set(name, (factory && factory()) || null);
+  }
+  return providers.get(name);
+}
+
+// Replace a provider, e.g. with a fixture one configured by a test
+export function setSearchProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+// Configured providers in fallback order: SEARCH_PROVIDERS (comma-separated,
+// default "brave") filtered to those with credentials
+export function listSearchProviders() {
+  return (process.env.SEARCH_PROVIDERS || 'brave')
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => getSearchProvider(name));
+}
+
+// Whether a result's link is on one of `sites`, or any link when empty
+function isOnSites(link, sites) {
+  if (sites.length === 0) return true;
+  try {
+    const { hostname } = new URL(link);
+    return sites.some((site) => matchesDomain(hostname, site));
+  } catch {
+    return false;
+  }
+}
+
+// Dated results newest first, then the undated ones in their original order
+function sortByRecency(results) {
+  const time = (result) => Date.parse(result.date) || null;
+  const dated = results.filter((result) => time(result) !== null);
+  const undated = results.filter((result) => time(result) === null);
+  return [...dated.sort((a, b) => time(b) - time(a)), ...undated];
+}
+
+// Search with the preferred provider first, falling back to the next
+// configured one when a provider errors or returns nothing. An aborted
+// `signal` stops the search instead of falling back. A focus mode's `sites`,
+// `freshness` and `preferRecent` scope and order the results; results off
+// `sites` are dropped even when a provider ignores the site: operators.
+export async function searchWeb(
+  query,
+  {
+    provider,
+    count = 10,
+    signal,
+    sites = [],
+    freshness = null,
+    preferRecent = false,
+  } = {}
+) {
+  const configured = listSearchProviders();
+  const order = provider
+    ? [provider, ...configured.filter((name) => name !== provider)]
+    : configured;
+  const errors = [];
+
+  for (const name of order) {
+    const searchProvider = getSearchProvider(name);
+    if (!searchProvider) {
+      errors.push(`${name}: not configured`);
+      continue;
+    }
+
+    try {
+      const results = (
+        await searchProvider.search(query, { count, signal, sites, freshness })
+      ).filter(
+        (result) => result.title && result.link && isOnSites(result.link, sites)
+      );
+      if (results.length > 0) {
+        return {
+          provider: name,
+          results: preferRecent ? sortByRecency(results) : results,
+        };
+      }
+      errors.push(`${name}: no results`);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.log(`Search provider ${name} failed: ${error.message}`);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All search providers failed (${errors.join('; ')})`);
+}
+
+// Provider methods of each kind of media result
+const MEDIA_METHODS = { image: 'searchImages', video: 'searchVideos' };
+
+// Image or video results of `kind`, from the preferred provider first and
+// falling back like searchWeb. Providers without that kind of search are
+// skipped, and no results at all is not an error. Each result is { kind,
+// title, url, thumbnail, source, publisher } with the width and height of an
+// image, or the duration and date of a video.
+export async function searchMedia(
+  query,
+  kind,
+  { provider, count = 10, signal } = {}
+) {
+  const method = MEDIA_METHODS[kind];
+  const configured = listSearchProviders();
+  const order = provider
+    ? [provider, ...configured.filter((name) => name !== provider)]
+    : configured;
+
+  for (const name of order) {
+    const searchProvider = getSearchProvider(name);
+    if (!searchProvider?.[method]) continue;
+
+    try {
+      const results = (
+        await searchProvider[method](query, { count, signal })
+      ).filter((result) => result.thumbnail && result.source);
+      if (results.length > 0) return { provider: name, results };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.log(`Search provider ${name} failed: ${error.message}`);
+    }
+  }
+
+  return { provider: null, results: [] };
+}
@@ -0,0 +1,6 @@
+// Restrict a query to `sites` with site: operators, which Brave, Bing, Google
+// and SearXNG's general engines all understand
+export function scopeQuery(query, sites = []) {
+  if (sites.length === 0) return query;
+  return `${query} (${sites.map((site) => `site:${site}`).join(' OR ')})`;
+}
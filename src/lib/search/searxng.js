@@ -0,0 +1,78 @@
+import fetch from 'node-fetch';
+import { scopeQuery } from '@/lib/search/query';
+
+// Self-hosted SearXNG instance, with the JSON output format enabled
+export function createSearxngProvider({ baseUrl }) {
+  // GET the search endpoint and parse its JSON
+  const request = async (params, signal) => {
+    const url = new URL('/search', baseUrl);
+    url.searchParams.set('format', 'json');
+    for (const [name, value] of Object.entries(params)) {
+      if (value) url.searchParams.set(name, String(value));
+    }
+
+    const response = await fetch(url, {
+      signal,
+      headers: { Accept: 'application/json' },
+    });
+    if (!response.ok) {
+      throw new Error(`SearXNG returned HTTP ${response.status}`);
+    }
+    return response.json();
+  };
+
+  return {
+    name: 'searxng',
+
+    async search(query, { count = 10, signal, sites, freshness } = {}) {
+      const data = await request(
+        {
+          q: scopeQuery(query, sites),
+          // SearXNG's time ranges are named like the focus mode freshness
+          // values
+          time_range: freshness,
+        },
+        signal
+      );
+      return (data.results || []).slice(0, count).map((result) => ({
+        title: result.title,
+        link: result.url,
+        snippet: result.content || '',
+        date: result.publishedDate || null,
+      }));
+    },
+
+    async searchImages(query, { count = 10, signal } = {}) {
+      const data = await request({ q: query, categories: 'images' }, signal);
+      return (data.results || []).slice(0, count).map((result) => {
+        const [width, height] = (result.resolution || '')
+          .split(/\s*x\s*/)
+          .map((value) => parseInt(value, 10) || null);
+        return {
+          kind: 'image',
+          title: result.title || '',
+          url: result.img_src || null,
+          thumbnail: result.thumbnail_src || result.img_src || null,
+          source: result.url,
+          publisher: result.source || result.engine || null,
+          width: width || null,
+          height: height || null,
+        };
+      });
+    },
+
+    async searchVideos(query, { count = 10, signal } = {}) {
+      const data = await request({ q: query, categories: 'videos' }, signal);
+      return (data.results || []).slice(0, count).map((result) => ({
+        kind: 'video',
+        title: result.title || '',
+        url: result.url,
+        thumbnail: result.thumbnail || null,
+        source: result.url,
+        publisher: result.author || null,
+        duration: result.length || null,
+        date: result.publishedDate || null,
+      }));
+    },
+  };
+}
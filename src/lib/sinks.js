@@ -0,0 +1,89 @@
+// Destinations for the payloads (Query, Sources, GPT, ...) of one turn. A sink
+// exposes insert(payload) -> id, update(id, payload, delta) and close(). Rows
+// are written to `store` (see createSupabaseStore) under the turn and version
+// being generated.
+
+// Realtime transport: every payload is a message_history row and Supabase
+// Realtime forwards each insert and update to the browser
+export function createRealtimeSink({
+  threadId,
+  userId,
+  turnId,
+  version,
+  store,
+}) {
+  return {
+    async insert(payload) {
+      const [row] = await store.insertMessages([
+        {
+          payload,
+          thread_id: threadId,
+          user_id: userId,
+          turn_id: turnId,
+          version,
+        },
+      ]);
+
+      return row.id;
+    },
+
+    async update(id, payload) {
+      await store.updateMessage(id, payload);
+    },
+
+    async close() {},
+  };
+}
+
+// Server-Sent Events transport: payloads and GPT deltas are written to the
+// response as they happen, and the finished turn is saved in one insert
+export function createStreamSink({
+  threadId,
+  userId,
+  turnId,
+  version,
+  store,
+  write,
+}) {
+  const payloads = [];
+
+  return {
+    async insert(payload) {
+      const id = payloads.length;
+      payloads.push(payload);
+      write('payload', { id, payload });
+      return id;
+    },
+
+    async update(id, payload, delta) {
+      payloads[id] = payload;
+      if (delta !== undefined) {
+        write('delta', { id, delta });
+      } else {
+        write('payload', { id, payload });
+      }
+    },
+
+    // Persist the turn and hand the saved rows to the client
+    async close() {
+      if (payloads.length === 0) return;
+
+      const rows = await store.insertMessages(
+        payloads.map((payload) => ({
+          payload,
+          thread_id: threadId,
+          user_id: userId,
+          turn_id: turnId,
+          version,
+        }))
+      );
+
+      write('done', { rows });
+    },
+  };
+}
+
+// Encode one Server-Sent Event
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
@@ -0,0 +1,17 @@
+import { createClient } from '@supabase/supabase-js';
+
+let client = null;
+
+// Server-side Supabase client, created on first use so importing a module
+// does not need the Supabase settings. The service role key bypasses
+// row-level security, so every write made with it sets thread_id and user_id
+// explicitly
+export function getSupabase() {
+  if (!client) {
+    client = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_API_KEY
+    );
+  }
+  return client;
+}
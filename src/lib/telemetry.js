@@ -0,0 +1,217 @@
+import { desc, gte, sql } from 'drizzle-orm';
+import { db } from '@/db/index';
+import { queryTelemetry } from '@/db/schema';
+import { estimateCost } from '@/lib/llm/pricing';
+
+// Timing, token usage, page counts and errors of one turn, saved as a
+// query_telemetry row once the turn ends. Stage times are milliseconds from
+// the start of the turn.
+export function createTurnTelemetry({ now = () => performance.now() } = {}) {
+  const startedAt = now();
+  const stages = [];
+  const usage = [];
+  const errors = [];
+  const pages = { fetched: 0, failed: 0 };
+
+  const addError = (stage, message) => errors.push({ stage, message });
+
+  // Start timing a stage: end(extra) records its duration with any extra
+  // fields, fail(error) records the error too, elapsed() is the time so far
+  const start = (name, detail) => {
+    const begin = now();
+    const stage = {
+      name,
+      startMs: Math.round(begin - startedAt),
+      ms: null,
+      ...(detail ? { detail } : {}),
+    };
+    stages.push(stage);
+
+    const end = (extra = {}) => {
+      stage.ms = Math.round(now() - begin);
+      Object.assign(stage, extra);
+    };
+    return {
+      end,
+      // Null until the stage ends
+      get ms() {
+        return stage.ms;
+      },
+      elapsed: () => Math.round(now() - begin),
+      fail(error) {
+        end({ error: error.message });
+        addError(name, error.message);
+      },
+    };
+  };
+
+  return {
+    start,
+    addError,
+
+    // Time `run` as the stage `name`
+    async time(name, run, detail) {
+      const stage = start(name, detail);
+      try {
+        const result = await run();
+        stage.end();
+        return result;
+      } catch (error) {
+        stage.fail(error);
+        throw error;
+      }
+    },
+
+    // Token usage of an LLM call, as reported by onUsage
+    addUsage({ step, model, promptTokens, completionTokens, totalTokens }) {
+      usage.push({
+        step,
+        model,
+        promptTokens,
+        completionTokens,
+        totalTokens,
+        costUsd: estimateCost(model, { promptTokens, completionTokens }),
+      });
+    },
+
+    // Count an internet-mode page as read, or as failed with `reason`
+    countPage(link, reason) {
+      if (reason) {
+        pages.failed++;
+        addError('page', `${link}: ${reason}`);
+      } else {
+        pages.fetched++;
+      }
+    },
+
+    get totalTokens() {
+      return usage.reduce((sum, call) => sum + call.totalTokens, 0);
+    },
+
+    // Columns of the turn's query_telemetry row. The cost covers the models
+    // with a price, and is null when none of them has one.
+    summary(status) {
+      const sum = (field) =>
+        usage.reduce((total, call) => total + (call[field] || 0), 0);
+      const priced = usage.filter((call) => call.costUsd !== null);
+
+      return {
+        status,
+        durationMs: Math.round(now() - startedAt),
+        stages,
+        usage,
+        promptTokens: sum('promptTokens'),
+        completionTokens: sum('completionTokens'),
+        totalTokens: sum('totalTokens'),
+        costUsd:
+          usage.length > 0 && priced.length === 0 ? null : sum('costUsd'),
+        pagesFetched: pages.fetched,
+        pagesFailed: pages.failed,
+        errors,
+      };
+    },
+  };
+}
+
+// Totals of a group of turns
+const TOTALS = {
+  questions: sql`count(*)`.mapWith(Number),
+  promptTokens: sql`coalesce(sum(${queryTelemetry.promptTokens}), 0)`.mapWith(
+    Number
+  ),
+  completionTokens:
+    sql`coalesce(sum(${queryTelemetry.completionTokens}), 0)`.mapWith(Number),
+  totalTokens: sql`coalesce(sum(${queryTelemetry.totalTokens}), 0)`.mapWith(
+    Number
+  ),
+  costUsd: sql`coalesce(sum(${queryTelemetry.costUsd}), 0)`.mapWith(Number),
+  avgDurationMs: sql`round(avg(${queryTelemetry.durationMs}))`.mapWith(Number),
+  pagesFetched: sql`coalesce(sum(${queryTelemetry.pagesFetched}), 0)`.mapWith(
+    Number
+  ),
+  pagesFailed: sql`coalesce(sum(${queryTelemetry.pagesFailed}), 0)`.mapWith(
+    Number
+  ),
+  failed:
+    sql`count(*) filter (where ${queryTelemetry.status} = 'failed')`.mapWith(
+      Number
+    ),
+  withErrors:
+    sql`count(*) filter (where jsonb_array_length(${queryTelemetry.errors}) > 0)`.mapWith(
+      Number
+    ),
+};
+
+// Users listed on the usage page, the most expensive first
+const TOP_USERS = 50;
+
+// Postgres persistence of turn telemetry and the usage page's aggregates
+export function createDbTelemetryStore(database = db) {
+  return {
+    async save(record) {
+      await database.insert(queryTelemetry).values(record);
+    },
+
+    // Totals per UTC day, user and embedding source, average and p95
+    // duration per stage, and tokens and cost per model, since `since`
+    async summarize(since) {
+      const recent = gte(queryTelemetry.createdAt, since);
+      const day = sql`to_char(${queryTelemetry.createdAt} at time zone 'UTC', 'YYYY-MM-DD')`;
+
+      const [days, users, embeddingSources, stages, models] = await Promise.all(
+        [
+          database
+            .select({ day: day.mapWith(String), ...TOTALS })
+            .from(queryTelemetry)
+            .where(recent)
+            .groupBy(day)
+            .orderBy(desc(day)),
+          database
+            .select({ userId: queryTelemetry.userId, ...TOTALS })
+            .from(queryTelemetry)
+            .where(recent)
+            .groupBy(queryTelemetry.userId)
+            .orderBy(desc(TOTALS.costUsd), desc(TOTALS.totalTokens))
+            .limit(TOP_USERS),
+          database
+            .select({
+              embeddingSource: queryTelemetry.embeddingSource,
+              ...TOTALS,
+            })
+            .from(queryTelemetry)
+            .where(recent)
+            .groupBy(queryTelemetry.embeddingSource)
+            .orderBy(desc(TOTALS.questions)),
+          database.execute(sql`
+            select stage->>'name' as name,
+              count(*)::int as count,
+              round(avg((stage->>'ms')::numeric))::int as "avgMs",
+              round(percentile_cont(0.95) within group (order by (stage->>'ms')::float))::int as "p95Ms",
+              (count(*) filter (where stage ? 'error'))::int as errors
+            from ${queryTelemetry}, jsonb_array_elements(${queryTelemetry.stages}) as stage
+            where ${queryTelemetry.createdAt} >= ${since} and stage->>'ms' is not null
+            group by 1
+            order by 3 desc`),
+          database.execute(sql`
+            select call->>'model' as model,
+              count(*)::int as calls,
+              coalesce(sum((call->>'promptTokens')::int), 0)::int as "promptTokens",
+              coalesce(sum((call->>'completionTokens')::int), 0)::int as "completionTokens",
+              sum((call->>'costUsd')::float) as "costUsd"
+            from ${queryTelemetry}, jsonb_array_elements(${queryTelemetry.usage}) as call
+            where ${queryTelemetry.createdAt} >= ${since}
+            group by 1
+            order by 5 desc nulls last`),
+        ]
+      );
+
+      return {
+        days,
+        users,
+        embeddingSources,
+        stages: [...stages],
+        models: [...models],
+      };
+    },
+  };
+}
@@ -0,0 +1,82 @@
+import { getSupabase } from '@/lib/supabase';
+import { loadThread } from '@/lib/history';
+
+// Threads, turns and message_history rows as /api/backend reads and writes
+// them, through the service-role Supabase client by default. Writes set
+// thread_id and user_id explicitly since the service role bypasses RLS.
+export function createSupabaseStore(client = getSupabase()) {
+  return {
+    // Check that the thread exists and belongs to the user
+    async userOwnsThread(userId, threadId) {
+      const { data, error } = await client
+        .from('threads')
+        .select('id')
+        .eq('id', threadId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return Boolean(data);
+    },
+
+    // Start a turn of the thread and return its id
+    async createTurn(threadId, userId) {
+      const { data, error } = await client
+        .from('turns')
+        .insert([{ thread_id: threadId, user_id: userId }])
+        .select('id')
+        .single();
+
+      if (error) throw error;
+
+      return data.id;
+    },
+
+    // Make `version` the one shown and used as history for later turns
+    async activateVersion(turnId, version) {
+      const { error } = await client
+        .from('turns')
+        .update({ active_version: version })
+        .eq('id', turnId);
+
+      if (error) throw error;
+    },
+
+    // Bump the thread so it moves to the top of the sidebar
+    async touchThread(threadId) {
+      const { error } = await client
+        .from('threads')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', threadId);
+
+      if (error) throw error;
+    },
+
+    // Rows and active versions of the thread, see loadThread
+    loadThread(threadId) {
+      return loadThread(threadId, client);
+    },
+
+    // Insert message_history rows and return them as saved
+    async insertMessages(rows) {
+      const { data, error } = await client
+        .from('message_history')
+        .insert(rows)
+        .select('*');
+
+      if (error) throw error;
+
+      return data;
+    },
+
+    async updateMessage(id, payload) {
+      const { error } = await client
+        .from('message_history')
+        .update({ payload })
+        .eq('id', id);
+
+      if (error) throw error;
+    },
+  };
+}
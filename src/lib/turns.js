@@ -0,0 +1,51 @@
+// Turns and their versions, shared by /api/backend and the thread view.
+// Every message_history row carries the turn it belongs to (`turn_id`) and
+// the version of that turn; rows written before turns existed have none.
+
+// Sorted versions of every turn found in `rows`, by turn id
+export function turnVersions(rows) {
+  const versions = new Map();
+
+  for (const { turn_id: turnId, version } of rows) {
+    if (!turnId) continue;
+    if (!versions.has(turnId)) versions.set(turnId, []);
+    const list = versions.get(turnId);
+    if (!list.includes(version)) list.push(version);
+  }
+  for (const list of versions.values()) list.sort((a, b) => a - b);
+
+  return versions;
+}
+
+// The version to show: the preferred one when it exists, else the latest
+export function pickVersion(versions, preferred) {
+  return versions.includes(preferred)
+    ? preferred
+    : versions[versions.length - 1];
+}
+
+// Keep the rows of the chosen version of every turn. `activeVersions` maps
+// turn ids to their preferred version; rows without a turn are kept. A new
+// version is written after the later turns, so every turn is moved back to
+// where it was first asked.
+export function selectVersionRows(rows, activeVersions = {}) {
+  const versions = turnVersions(rows);
+  const firstIndex = new Map();
+  rows.forEach(({ turn_id: turnId }, index) => {
+    if (turnId && !firstIndex.has(turnId)) firstIndex.set(turnId, index);
+  });
+
+  return rows
+    .map((row, index) => ({
+      row,
+      index,
+      position: row.turn_id ? firstIndex.get(row.turn_id) : index,
+    }))
+    .filter(
+      ({ row: { turn_id: turnId, version } }) =>
+        !turnId ||
+        version === pickVersion(versions.get(turnId), activeVersions[turnId])
+    )
+    .sort((a, b) => a.position - b.position || a.index - b.index)
+    .map(({ row }) => row);
+}
@@ -0,0 +1,26 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { isAdmin } from '@/lib/auth';
+
+describe('isAdmin', () => {
+  afterEach(() => {
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  it('grants admin rights to confirmed emails listed in ADMIN_EMAILS', () => {
+    process.env.ADMIN_EMAILS = 'root@acme.test, Ops@acme.test';
+    const confirmed = (email) => ({
+      id: 'user',
+      email,
+      email_confirmed_at: '2024-05-01T08:00:00Z',
+    });
+
+    expect(isAdmin(confirmed('root@acme.test'))).toBe(true);
+    expect(isAdmin(confirmed('ops@ACME.test'))).toBe(true);
+    expect(isAdmin(confirmed('someone@acme.test'))).toBe(false);
+    // Signed up with an admin's address without confirming it
+    expect(isAdmin({ id: 'impostor', email: 'root@acme.test' })).toBe(false);
+    // API keys carry no email
+    expect(isAdmin({ id: 'user', email: null, apiKeyId: 'key' })).toBe(false);
+    expect(isAdmin(null)).toBe(false);
+  });
+});
@@ -0,0 +1,771 @@
+import http from 'node:http';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { ANSWER_SYSTEM_PROMPT } from '@/lib/answer';
+import { createBackendHandler } from '@/lib/backend';
+import { createPoliteFetch } from '@/lib/fetching';
+import { checkDomainRules } from '@/lib/fetching/domains';
+import { createDomainLimiter } from '@/lib/fetching/limiter';
+import { setProvider } from '@/lib/llm';
+import { fakeEmbedding } from '@/lib/llm/fake';
+import { createOpenAIProvider } from '@/lib/llm/openai';
+import { setSearchProvider } from '@/lib/search';
+import { createBraveProvider } from '@/lib/search/brave';
+import { createMemoryLimitStore, createRateLimiter } from '@/lib/limits';
+
+const USER_ID = 'user-1';
+const THREAD_ID = 'thread-1';
+
+const ARTICLE = `<html><head><title>Stand-ins guide</title></head><body><article>
+<h1>Stand-ins guide</h1>
+<p>Local stand-ins replace OpenAI, Brave and Supabase in the backend tests. The
+fake OpenAI server streams a fixed answer, the fake Brave server lists the
+pages of the fixture site, and the fixture site serves this article, a page too
+short to read and a page slower than the page timeout.</p>
+</article></body></html>`;
+
+// Read and parse a JSON request body
+const readJson = (req) =>
+  new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => resolve(body ? JSON.parse(body) : null));
+  });
+
+// Start `handler` on a free local port and return its base URL
+async function listen(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Fake OpenAI API: chat completions (streamed or not) and embeddings, each
+// using one token per word or text. The follow-up step replies with
+// `replies.followUp`.
+function startOpenAI(replies) {
+  const requests = [];
+
+  const server = listen(async (req, res) => {
+    const body = await readJson(req);
+    requests.push({ path: req.url, body });
+    res.setHeader('Content-Type', 'application/json');
+
+    if (req.url === '/v1/embeddings') {
+      const data = body.input.map((text, index) => {
+        const vector = fakeEmbedding(text, 1536);
+        return {
+          object: 'embedding',
+          index,
+          embedding:
+            body.encoding_format === 'base64'
+              ? Buffer.from(new Float32Array(vector).buffer).toString('base64')
+              : vector,
+        };
+      });
+      const tokens = body.input.length;
+      res.end(
+        JSON.stringify({
+          object: 'list',
+          data,
+          model: body.model,
+          usage: { prompt_tokens: tokens, total_tokens: tokens },
+        })
+      );
+      return;
+    }
+
+    const [system] = body.messages;
+    const content = system.content.includes('"follow_up"')
+      ? replies.followUp
+      : system.content.includes('rephraser')
+      ? body.messages[body.messages.length - 1].content
+      : replies.answer;
+
+    if (!body.stream) {
+      res.end(
+        JSON.stringify({
+          id: 'chatcmpl-test',
+          object: 'chat.completion',
+          created: 0,
+          model: body.model,
+          choices: [
+            {
+              index: 0,
+              message: { role: 'assistant', content },
+              finish_reason: 'stop',
+            },
+          ],
+          usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+        })
+      );
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    for (const word of content.split(/(?<= )/)) {
+      const chunk = {
+        id: 'chatcmpl-test',
+        object: 'chat.completion.chunk',
+        created: 0,
+        model: body.model,
+        choices: [{ index: 0, delta: { content: word }, finish_reason: null }],
+      };
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    }
+    if (body.stream_options?.include_usage) {
+      const completionTokens = content.split(' ').length;
+      const usage = {
+        prompt_tokens: 1,
+        completion_tokens: completionTokens,
+        total_tokens: 1 + completionTokens,
+      };
+      res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+    }
+    res.end('data: [DONE]\n\n');
+  });
+
+  return server.then((started) => ({ ...started, requests }));
+}
+
+// Fake Brave Search API listing `results` for any web search and `media`
+// for image and video searches, and recording the URL of every search
+function startBrave(results, media) {
+  const requests = [];
+
+  const server = listen((req, res) => {
+    const url = new URL(req.url, 'http://brave.test');
+    requests.push(url);
+    res.setHeader('Content-Type', 'application/json');
+    if (url.pathname === '/res/v1/images/search') {
+      res.end(JSON.stringify({ results: media().images }));
+    } else if (url.pathname === '/res/v1/videos/search') {
+      res.end(JSON.stringify({ results: media().videos }));
+    } else {
+      res.end(JSON.stringify({ web: { results: results() } }));
+    }
+  });
+
+  return server.then((started) => ({ ...started, requests }));
+}
+
+// Fixture site: an article, a short page, a page slower than the page
+// timeout and no robots.txt
+function startSite() {
+  return listen((req, res) => {
+    if (req.url === '/guide') {
+      res.setHeader('Content-Type', 'text/html');
+      res.end(ARTICLE);
+    } else if (req.url === '/short') {
+      res.setHeader('Content-Type', 'text/html');
+      res.end('<html><body><p>Too short.</p></body></html>');
+    } else if (req.url === '/slow') {
+      const timer = setTimeout(() => res.end(ARTICLE), 5000);
+      res.on('close', () => clearTimeout(timer));
+    } else {
+      res.statusCode = 404;
+      res.end('Not found');
+    }
+  });
+}
+
+// In-memory threads, turns and message_history, shaped like
+// createSupabaseStore
+function createMemoryStore() {
+  const turns = new Map();
+  const rows = [];
+
+  return {
+    rows,
+
+    async userOwnsThread(userId, threadId) {
+      return userId === USER_ID && threadId === THREAD_ID;
+    },
+
+    async createTurn(threadId) {
+      const id = `turn-${turns.size + 1}`;
+      turns.set(id, { threadId, activeVersion: 1 });
+      return id;
+    },
+
+    async activateVersion(turnId, version) {
+      turns.get(turnId).activeVersion = version;
+    },
+
+    async touchThread() {},
+
+    async loadThread(threadId) {
+      return {
+        rows: rows.filter((row) => row.thread_id === threadId),
+        activeVersions: Object.fromEntries(
+          [...turns].map(([id, turn]) => [id, turn.activeVersion])
+        ),
+      };
+    },
+
+    async insertMessages(newRows) {
+      const saved = newRows.map((row, index) => ({
+        ...row,
+        id: rows.length + index + 1,
+        created_at: new Date().toISOString(),
+      }));
+      rows.push(...saved);
+      return saved.map((row) => ({ ...row }));
+    },
+
+    async updateMessage(id, payload) {
+      rows.find((row) => row.id === id).payload = payload;
+    },
+  };
+}
+
+// Page cache that never has the page
+const noPageCache = {
+  get: async () => null,
+  touch: async () => {},
+  recordStat: async () => {},
+  save: async () => {},
+};
+
+// Parse a Server-Sent Events body into [{ event, data }]
+const parseEvents = (text) =>
+  text
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const [, event] = block.match(/^event: (.*)$/m);
+      const [, data] = block.match(/^data: (.*)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+
+const types = (rows) => rows.map((row) => row.payload.type);
+
+describe('POST /api/backend', () => {
+  const replies = {};
+  let openai;
+  let brave;
+  let site;
+  let store;
+  let retrieveCalls;
+  let telemetryRecords;
+  let clients;
+  let POST;
+
+  const post = (body, token = 'good') =>
+    POST(
+      new Request('http://localhost/api/backend', {
+        method: 'POST',
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        body: JSON.stringify({ threadId: THREAD_ID, ...body }),
+      })
+    );
+
+  beforeAll(async () => {
+    [openai, brave, site] = await Promise.all([
+      startOpenAI(replies),
+      startBrave(
+        () => [
+          { title: 'Blocked', url: 'https://blocked.test/page' },
+          { title: 'Junk', url: 'not a link' },
+          {
+            title: 'Guide',
+            url: `${site.url}/guide`,
+            description: 'Guide',
+            page_age: '2024-05-01T08:00:00',
+          },
+          { title: 'Short', url: `${site.url}/short`, description: 'Short' },
+          { title: 'Slow', url: `${site.url}/slow`, description: 'Slow' },
+          { title: 'Missing', url: `${site.url}/missing`, description: '' },
+        ],
+        () => ({
+          images: [
+            {
+              title: 'Layout diagram',
+              url: 'https://docs.test/layout',
+              source: 'docs.test',
+              thumbnail: { src: 'https://imgs.test/layout-thumb.jpg' },
+              properties: { url: 'https://docs.test/layout.png' },
+            },
+            {
+              title: 'Blocked image',
+              url: 'https://blocked.test/image',
+              thumbnail: { src: 'https://imgs.test/blocked-thumb.jpg' },
+            },
+            {
+              title: 'Script',
+              url: 'https://docs.test/script',
+              thumbnail: { src: 'javascript:alert(1)' },
+            },
+          ],
+          videos: [
+            {
+              title: 'Stand-ins in 5 minutes',
+              url: 'https://www.youtube.com/watch?v=abc123',
+              thumbnail: { src: 'https://imgs.test/video-thumb.jpg' },
+              video: { duration: '05:02', creator: 'Test channel' },
+            },
+          ],
+        })
+      ),
+      startSite(),
+    ]);
+
+    setProvider(
+      'openai',
+      createOpenAIProvider({ apiKey: 'test', baseURL: `${openai.url}/v1` })
+    );
+    setSearchProvider(
+      'brave',
+      createBraveProvider({ apiKey: 'test', baseUrl: brave.url })
+    );
+  });
+
+  afterAll(() => Promise.all([openai, brave, site].map((s) => s.close())));
+
+  beforeEach(() => {
+    replies.answer = 'Stand-ins replace the services [1]. Unknown source [9].';
+    replies.followUp = JSON.stringify({
+      follow_up: ['What is faked?', 'How fast?', 'Why?', 'Where?'],
+    });
+    openai.requests.length = 0;
+    brave.requests.length = 0;
+    store = createMemoryStore();
+    retrieveCalls = [];
+    telemetryRecords = [];
+
+    clients = {
+      authenticate: async (req) =>
+        req.headers.get('authorization') === 'Bearer good'
+          ? { id: USER_ID }
+          : null,
+      store,
+      fetch: createPoliteFetch({
+        domainRules: null,
+        limiter: createDomainLimiter({ concurrency: 4, intervalMs: 0 }),
+      }),
+      domainRules: {
+        check: async (url) =>
+          checkDomainRules([{ domain: 'blocked.test', rule: 'deny' }], url),
+      },
+      pageCache: noPageCache,
+      retrieve: async (query, options) => {
+        retrieveCalls.push({ query, options });
+        return [
+          {
+            id: 1,
+            url: 'https://docs.test/stand-ins',
+            content: 'Stand-ins replace OpenAI, Brave and Supabase.',
+            metadata: { title: 'Stand-ins' },
+            score: 0.03,
+            similarity: 0.9,
+            vectorRank: 1,
+            keywordScore: null,
+            keywordRank: null,
+          },
+        ];
+      },
+      collections: async () => [{ id: 7, name: 'Runbooks' }],
+      pageTimeoutMs: 500,
+      limits: createRateLimiter({ store: createMemoryLimitStore() }),
+      telemetry: { save: async (record) => telemetryRecords.push(record) },
+    };
+    POST = createBackendHandler(clients);
+  });
+
+  it('rejects anonymous callers and invalid requests', async () => {
+    expect((await post({ message: 'Hi' }, null)).status).toBe(401);
+    expect((await post({ message: 'Hi', threadId: 'other' })).status).toBe(404);
+    expect((await post({ message: 'Hi', threadId: null })).status).toBe(400);
+    expect((await post({ message: '' })).status).toBe(400);
+    expect(
+      (await post({ message: 'Hi', searchProvider: '__proto__' })).status
+    ).toBe(400);
+    expect(store.rows).toHaveLength(0);
+  });
+
+  it('answers from the internet and writes the payloads in order', async () => {
+    const response = await post({
+      message: 'What replaces the services?',
+      embeddingSource: 'internet',
+    });
+
+    expect(response.status).toBe(200);
+    expect(types(store.rows)).toEqual([
+      'Query',
+      'Sources',
+      'VectorCreation',
+      'Heading',
+      'GPT',
+      'FollowUp',
+    ]);
+    expect(store.rows.every((row) => row.turn_id === 'turn-1')).toBe(true);
+
+    const sources = store.rows[1].payload.content;
+    expect(sources.map(({ title }) => title)).toEqual([
+      'Guide',
+      'Short',
+      'Slow',
+      'Missing',
+      'Blocked',
+      'Junk',
+    ]);
+    expect(sources[0].snippet).toContain('Local stand-ins replace OpenAI');
+    expect(sources[0].scores.similarity).toBeGreaterThan(0);
+    expect(sources[1]).toMatchObject({
+      status: 'skipped',
+      reason: 'Not enough text on the page',
+    });
+    expect(sources[2]).toMatchObject({
+      status: 'skipped',
+      reason: 'Timed out',
+    });
+    expect(sources[3]).toMatchObject({
+      status: 'skipped',
+      reason: 'Could not fetch the page (HTTP 404)',
+    });
+    expect(sources[4]).toMatchObject({
+      status: 'blocked',
+      reason: 'Blocked domain blocked.test',
+    });
+    // A result link that is not a URL is reported instead of failing the turn
+    expect(sources[5]).toMatchObject({
+      status: 'blocked',
+      reason: 'Invalid URL',
+    });
+
+    // Only the readable page is context, and the citation of no source is
+    // dropped from the saved answer
+    const answerRequest = openai.requests.find(
+      ({ body }) => body.stream && body.model === 'gpt-4o'
+    );
+    const context = answerRequest.body.messages.at(-1).content;
+    expect(context).toContain('[1] Stand-ins guide');
+    expect(context).not.toContain('[2]');
+    expect(store.rows[4].payload).toEqual({
+      type: 'GPT',
+      content: 'Stand-ins replace the services [1]. Unknown source.',
+      model: 'gpt-4o',
+    });
+    expect(JSON.parse(store.rows[5].payload.content).follow_up).toHaveLength(4);
+  });
+
+  it('drops citations of sources that were skipped', async () => {
+    replies.answer = 'Stand-ins replace the services [1]. Too short [2].';
+
+    await post({
+      message: 'What replaces the services?',
+      embeddingSource: 'internet',
+    });
+
+    // [2] is the short page, numbered among the sources but never read
+    expect(store.rows[1].payload.content[1].status).toBe('skipped');
+    expect(store.rows[4].payload.content).toBe(
+      'Stand-ins replace the services [1]. Too short.'
+    );
+  });
+
+  it('searches and answers with the focus mode of the request', async () => {
+    await post({
+      message: 'What replaces the services?',
+      embeddingSource: 'internet',
+      focusMode: 'news',
+    });
+
+    expect(store.rows[0].payload.focusMode).toBe('news');
+    expect(brave.requests[0].searchParams.get('freshness')).toBe('pw');
+
+    const answerRequest = openai.requests.find(
+      ({ body }) => body.stream && body.model === 'gpt-4o'
+    );
+    const [system, { content: context }] = answerRequest.body.messages;
+    expect(system.content).toContain('The sources are news articles');
+    expect(context).toContain('/guide, published 2024-05-01T08:00:00)');
+
+    expect((await post({ message: 'Hi', focusMode: 'unknown' })).status).toBe(
+      400
+    );
+
+    // Knowledge-base answers keep the default instructions
+    openai.requests.length = 0;
+    await post({
+      message: 'Hi',
+      embeddingSource: 'database',
+      focusMode: 'news',
+    });
+    const databaseRequest = openai.requests.find(
+      ({ body }) => body.stream && body.model === 'gpt-4o'
+    );
+    expect(databaseRequest.body.messages[0].content).toBe(ANSWER_SYSTEM_PROMPT);
+  });
+
+  it('sends image and video results after the sources', async () => {
+    await post({
+      message: 'What replaces the services?',
+      embeddingSource: 'internet',
+      includeMedia: true,
+    });
+
+    expect(types(store.rows)).toEqual([
+      'Query',
+      'Sources',
+      'Media',
+      'VectorCreation',
+      'Heading',
+      'GPT',
+      'FollowUp',
+    ]);
+    // Blocked source pages and unsafe links are dropped
+    expect(store.rows[2].payload.content).toEqual([
+      expect.objectContaining({
+        kind: 'image',
+        title: 'Layout diagram',
+        url: 'https://docs.test/layout.png',
+        thumbnail: 'https://imgs.test/layout-thumb.jpg',
+        source: 'https://docs.test/layout',
+        publisher: 'docs.test',
+      }),
+      expect.objectContaining({
+        kind: 'video',
+        source: 'https://www.youtube.com/watch?v=abc123',
+        publisher: 'Test channel',
+        duration: '05:02',
+      }),
+    ]);
+    expect(brave.requests.map(({ pathname }) => pathname).sort()).toEqual([
+      '/res/v1/images/search',
+      '/res/v1/videos/search',
+      '/res/v1/web/search',
+    ]);
+
+    // Reusing the sources reuses the media too
+    await post({ turnId: 'turn-1', reuseSources: true });
+    expect(types(store.rows.filter(({ version }) => version === 2))).toContain(
+      'Media'
+    );
+  });
+
+  it('records the timing, tokens, cost and pages of a turn', async () => {
+    await post({
+      message: 'What replaces the services?',
+      embeddingSource: 'internet',
+    });
+
+    expect(telemetryRecords).toHaveLength(1);
+    const [record] = telemetryRecords;
+    expect(record).toMatchObject({
+      userId: USER_ID,
+      threadId: THREAD_ID,
+      turnId: 'turn-1',
+      version: 1,
+      embeddingSource: 'internet',
+      status: 'completed',
+      pagesFetched: 2,
+      pagesFailed: 2,
+    });
+    expect(record.stages.map(({ name }) => name)).toEqual([
+      'rephrase',
+      'search',
+      'embedQuery',
+      'pages',
+      'page',
+      'page',
+      'page',
+      'page',
+      'answer',
+      'followup',
+    ]);
+    expect(record.stages.every(({ ms }) => ms >= 0)).toBe(true);
+    expect(
+      record.stages.find(({ detail }) => detail?.endsWith('/slow'))
+    ).toMatchObject({ error: 'Timed out' });
+    expect(
+      record.stages.find(({ name }) => name === 'answer').firstTokenMs
+    ).toBeGreaterThanOrEqual(0);
+    expect(record.errors.map(({ message }) => message)).toEqual([
+      expect.stringContaining('/missing: Could not fetch the page (HTTP 404)'),
+      expect.stringContaining('/slow: Timed out'),
+    ]);
+
+    // Rephrase, query and page embeddings, answer and follow-ups
+    expect(record.usage.map(({ step, model }) => `${step}:${model}`)).toEqual([
+      'rephrase:gpt-4o',
+      'embed:text-embedding-3-small',
+      'embed:text-embedding-3-small',
+      'answer:gpt-4o',
+      'followup:gpt-4',
+    ]);
+    expect(record.totalTokens).toBe(
+      record.usage.reduce((sum, call) => sum + call.totalTokens, 0)
+    );
+    expect(record.costUsd).toBeGreaterThan(0);
+  });
+
+  it('answers from the knowledge bases', async () => {
+    await post({
+      message: 'What replaces the services?',
+      embeddingSource: 'database',
+      websiteIds: ['3', 'x'],
+      retrievalWeights: { vector: 1, keyword: 0 },
+    });
+
+    expect(retrieveCalls).toEqual([
+      {
+        query: 'What replaces the services?',
+        options: expect.objectContaining({
+          websiteIds: [3],
+          vectorWeight: 1,
+          keywordWeight: 0,
+        }),
+      },
+    ]);
+    expect(types(store.rows)).toEqual([
+      'Query',
+      'Sources',
+      'VectorCreation',
+      'Heading',
+      'GPT',
+      'FollowUp',
+    ]);
+    expect(store.rows[0].payload.embeddingSource).toBe('database');
+    expect(store.rows[1].payload.content).toEqual([
+      expect.objectContaining({
+        title: 'Stand-ins',
+        link: 'https://docs.test/stand-ins',
+        scores: expect.objectContaining({ similarity: 0.9 }),
+      }),
+    ]);
+    // No page is searched or fetched in database mode
+    expect(openai.requests.some(({ path }) => path === '/v1/embeddings')).toBe(
+      false
+    );
+  });
+
+  it('searches only the collections the caller can read', async () => {
+    const denied = await post({
+      message: 'How do we deploy?',
+      embeddingSource: 'database',
+      collectionIds: [7, 8],
+    });
+    expect(denied.status).toBe(404);
+    expect(retrieveCalls).toEqual([]);
+
+    await post({
+      message: 'How do we deploy?',
+      embeddingSource: 'database',
+      collectionIds: ['7'],
+    });
+    expect(retrieveCalls[0].options).toEqual(
+      expect.objectContaining({ websiteIds: [], collectionIds: [7] })
+    );
+  });
+
+  it('keeps a malformed follow-up reply without failing the turn', async () => {
+    replies.followUp = 'Sure! Here are four questions: 1. Why?';
+
+    const response = await post({
+      message: 'What replaces the services?',
+      embeddingSource: 'database',
+    });
+
+    expect(response.status).toBe(200);
+    expect(store.rows.at(-1).payload).toEqual({
+      type: 'FollowUp',
+      content: 'Sure! Here are four questions: 1. Why?',
+    });
+  });
+
+  it('streams the turn over SSE and saves it once', async () => {
+    const response = await post({
+      message: 'What replaces the services?',
+      embeddingSource: 'database',
+      transport: 'sse',
+    });
+    const events = parseEvents(await response.text());
+
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    expect(events[0]).toEqual({
+      event: 'turn',
+      data: { turnId: 'turn-1', version: 1 },
+    });
+    expect(events.filter(({ event }) => event === 'delta').length).toBe(
+      replies.answer.split(' ').length
+    );
+
+    const done = events.at(-1);
+    expect(done.event).toBe('done');
+    expect(types(done.data.rows)).toEqual([
+      'Query',
+      'Sources',
+      'VectorCreation',
+      'Heading',
+      'GPT',
+      'FollowUp',
+    ]);
+    expect(store.rows.map(({ id }) => id)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(done.data.rows.map(({ id }) => id)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it('answers 429 with retry hints before calling any service', async () => {
+    POST = createBackendHandler({
+      ...clients,
+      limits: createRateLimiter({
+        store: createMemoryLimitStore(),
+        limits: { perMinute: 1, requestsPerDay: 0, tokensPerDay: 0 },
+      }),
+    });
+
+    // Requests rejected as invalid are not counted
+    expect((await post({ message: 'Hi', threadId: 'other' })).status).toBe(404);
+    expect((await post({ turnId: 'missing' })).status).toBe(404);
+    expect((await post({ message: 'Hi', focusMode: 'unknown' })).status).toBe(
+      400
+    );
+    expect((await post({ message: 'Hi', collectionIds: [99] })).status).toBe(
+      404
+    );
+
+    const admitted = await post({ message: 'Hi', embeddingSource: 'database' });
+    expect(admitted.status).toBe(200);
+    expect(admitted.headers.get('ratelimit-remaining')).toBe('0');
+    const calls = openai.requests.length;
+    const rows = store.rows.length;
+
+    const rejected = await post({ message: 'Hi', embeddingSource: 'database' });
+    expect(rejected.status).toBe(429);
+    const retryAfter = Number(rejected.headers.get('retry-after'));
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(60);
+    expect(await rejected.json()).toEqual({
+      error: 'Rate limit exceeded',
+      limit: 'requests_per_minute',
+      retryAfter,
+    });
+    expect(openai.requests.length).toBe(calls);
+    expect(store.rows.length).toBe(rows);
+  });
+
+  it('counts the tokens of a turn towards the daily quota', async () => {
+    const limitStore = createMemoryLimitStore();
+    POST = createBackendHandler({
+      ...clients,
+      limits: createRateLimiter({
+        store: limitStore,
+        limits: { perMinute: 0, requestsPerDay: 0, tokensPerDay: 10 },
+      }),
+    });
+
+    // Query embedding, streamed answer and follow-ups
+    await post({ message: 'Hi', embeddingSource: 'database' });
+    const day = new Date(new Date().toISOString().slice(0, 10));
+    const { tokens } = await limitStore.increment(`day:${USER_ID}`, day, {});
+    expect(tokens).toBeGreaterThanOrEqual(10);
+
+    const rejected = await post({ message: 'Hi', embeddingSource: 'database' });
+    expect(rejected.status).toBe(429);
+    expect((await rejected.json()).limit).toBe('tokens_per_day');
+  });
+});
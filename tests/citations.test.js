@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { citableNumbers, removeInvalidCitations } from '@/lib/citations';
+
+describe('citations', () => {
+  it('keeps only the citations of sources that were read', () => {
+    const sources = [
+      { title: 'Guide' },
+      { title: 'Short', status: 'skipped', reason: 'Not enough text' },
+      { title: 'Docs' },
+      { title: 'Farm', status: 'blocked', reason: 'Blocked domain farm.com' },
+    ];
+
+    expect(citableNumbers(sources)).toEqual(new Set([1, 3]));
+    expect(
+      removeInvalidCitations(
+        'Read [1][3]. Skipped [2], blocked [4], unknown [5]. `items[2]`',
+        citableNumbers(sources)
+      )
+    ).toBe('Read [1][3]. Skipped, blocked, unknown. `items[2]`');
+    // A count keeps every number up to it
+    expect(removeInvalidCitations('A [2] B [3]', 2)).toBe('A [2] B');
+  });
+});
@@ -0,0 +1,205 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { afterEach, describe, expect, it } from 'vitest';
+import {
+  MAX_UPLOAD_BYTES,
+  findUserCollection,
+  findUserDocument,
+  indexDocument,
+  parseUpload,
+} from '@/lib/documents';
+
+const fixture = (name) =>
+  readFileSync(path.join(__dirname, 'fixtures', 'extract', name));
+
+const CONFIRMED_AT = '2024-05-01T08:00:00Z';
+const OWNER = {
+  id: 'owner',
+  email: 'owner@acme.test',
+  email_confirmed_at: CONFIRMED_AT,
+};
+const TEAMMATE = {
+  id: 'teammate',
+  email: 'teammate@acme.test',
+  email_confirmed_at: CONFIRMED_AT,
+};
+const STRANGER = {
+  id: 'stranger',
+  email: 'stranger@other.test',
+  email_confirmed_at: CONFIRMED_AT,
+};
+// Signed up with a team address they have not confirmed
+const IMPOSTOR = { id: 'impostor', email: 'ceo@acme.test' };
+
+// In-memory stand-in for createDbDocumentStore
+function createMemoryStore({ collections = [], documents = [] } = {}) {
+  const chunks = new Map();
+  return {
+    collections,
+    documents,
+    chunks,
+    async getCollection(id) {
+      return collections.find((collection) => collection.id === id) || null;
+    },
+    async getDocument(id) {
+      const document = documents.find((row) => row.id === id);
+      if (!document) return null;
+      const { data, ...fields } = document;
+      return fields;
+    },
+    async readDocumentFile(id) {
+      return documents.find((row) => row.id === id) || null;
+    },
+    async updateDocument(id, fields) {
+      Object.assign(
+        documents.find((row) => row.id === id),
+        fields
+      );
+    },
+    async replaceDocumentChunks(id, rows) {
+      chunks.set(id, rows);
+    },
+  };
+}
+
+const embedder = {
+  embed: async (texts) => texts.map((text) => [text.length]),
+};
+
+describe('parseUpload', () => {
+  it('accepts PDF, Markdown and text files with the type of their kind', () => {
+    expect(
+      parseUpload({
+        fileName: 'guide.pdf',
+        contentType: 'application/octet-stream',
+        data: fixture('guide.pdf'),
+      }).contentType
+    ).toBe('application/pdf');
+    // Browsers often send no type for Markdown, and any type is replaced so
+    // an upload is never served as HTML
+    expect(
+      parseUpload({
+        fileName: 'notes.md',
+        contentType: 'text/html',
+        data: fixture('notes.md'),
+      }).contentType
+    ).toBe('text/markdown; charset=utf-8');
+  });
+
+  it('rejects empty, oversized and unsupported files', () => {
+    const upload = (fileName, data, contentType = '') =>
+      parseUpload({ fileName, contentType, data }).error;
+
+    expect(upload('empty.txt', Buffer.alloc(0))).toBe('The file is empty');
+    expect(upload('big.txt', Buffer.alloc(MAX_UPLOAD_BYTES + 1))).toMatch(
+      /limited to 10 MB/
+    );
+    expect(upload('page.html', fixture('article.html'), 'text/html')).toMatch(
+      /Only PDF, Markdown and text/
+    );
+    expect(upload('logo.png', Buffer.from('png'), 'image/png')).toMatch(
+      /Only PDF, Markdown and text/
+    );
+  });
+});
+
+describe('indexDocument', () => {
+  it('embeds the chunks of a PDF with links to their pages', async () => {
+    const store = createMemoryStore({
+      documents: [
+        {
+          id: 5,
+          fileName: 'guide.pdf',
+          contentType: 'application/pdf',
+          data: fixture('guide.pdf'),
+          status: 'pending',
+        },
+      ],
+    });
+
+    const result = await indexDocument(5, { store, embedder });
+
+    const chunks = store.chunks.get(5);
+    expect(result).toEqual({
+      documentId: 5,
+      status: 'ready',
+      chunkCount: chunks.length,
+    });
+    expect(chunks.map((chunk) => chunk.url)).toEqual([
+      '/documents/5#page=1',
+      '/documents/5#page=2',
+    ]);
+    expect(chunks[0]).toMatchObject({
+      metadata: {
+        title: 'Vector Search Guide',
+        fileName: 'guide.pdf',
+        page: 1,
+      },
+      embedding: [chunks[0].content.length],
+    });
+    expect(store.documents[0]).toMatchObject({
+      status: 'ready',
+      title: 'Vector Search Guide',
+      chunkCount: 2,
+      error: null,
+    });
+  });
+
+  it('marks documents without text as failed', async () => {
+    const store = createMemoryStore({
+      documents: [
+        {
+          id: 6,
+          fileName: 'blank.txt',
+          contentType: 'text/plain; charset=utf-8',
+          data: Buffer.from('  \n '),
+        },
+      ],
+    });
+
+    expect(await indexDocument(6, { store, embedder })).toMatchObject({
+      status: 'failed',
+      error: 'No text found in the document',
+    });
+    expect(store.documents[0].status).toBe('failed');
+    expect(store.chunks.has(6)).toBe(false);
+  });
+});
+
+describe('findUserDocument', () => {
+  afterEach(() => {
+    delete process.env.TEAM_EMAIL_DOMAINS;
+  });
+
+  it('lets the team read shared documents and the uploader manage them', async () => {
+    const store = createMemoryStore({
+      collections: [
+        { id: 1, ownerId: 'owner', team: 'acme.test' },
+        { id: 2, ownerId: 'owner', team: null },
+      ],
+      documents: [
+        { id: 10, collectionId: 1, uploadedBy: 'teammate' },
+        { id: 11, collectionId: 1, uploadedBy: 'owner' },
+        { id: 12, collectionId: 2, uploadedBy: 'owner' },
+      ],
+    });
+    process.env.TEAM_EMAIL_DOMAINS = 'acme.test';
+    const canManage = async (user, documentId) =>
+      (await findUserDocument(user, documentId, store))?.canManage ?? null;
+
+    expect(await canManage(TEAMMATE, 10)).toBe(true);
+    expect(await canManage(TEAMMATE, 11)).toBe(false);
+    expect(await canManage(OWNER, 10)).toBe(true);
+    // Private collections and other teams see nothing
+    expect(await canManage(TEAMMATE, 12)).toBeNull();
+    expect(await canManage(STRANGER, 10)).toBeNull();
+    expect(await canManage(IMPOSTOR, 10)).toBeNull();
+    expect(await canManage(OWNER, 99)).toBeNull();
+    // Ids that are not numbers never reach the store
+    store.getDocument = () => {
+      throw new Error('invalid input syntax for type integer: "NaN"');
+    };
+    expect(await canManage(OWNER, parseInt('abc', 10))).toBeNull();
+    expect(await findUserCollection(OWNER, NaN, store)).toBeNull();
+  });
+});
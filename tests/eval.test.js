@@ -0,0 +1,117 @@
+import { readFile } from 'node:fs/promises';
+import { describe, expect, it } from 'vitest';
+import { formatRuns, parseGoldenSet } from '@/lib/eval';
+import { overlapJudge } from '@/lib/eval/judges';
+import { averageMetrics, scoreRetrieval } from '@/lib/eval/metrics';
+import { listCorpus } from '@/lib/eval/seed';
+
+const chunk = (url) => ({ url, content: '' });
+
+describe('retrieval metrics', () => {
+  it('scores distinct URLs at the rank of their first chunk', () => {
+    const chunks = [
+      chunk('https://docs.test/a'),
+      chunk('https://docs.test/a#install'),
+      chunk('https://docs.test/b/'),
+      chunk('https://docs.test/c'),
+    ];
+
+    const metrics = scoreRetrieval(
+      chunks,
+      ['https://docs.test/b', 'https://docs.test/d'],
+      4
+    );
+    expect(metrics.recall).toBe(0.5);
+    expect(metrics.reciprocalRank).toBe(0.5);
+    // Hit at rank 2 against an ideal of hits at ranks 1 and 2
+    expect(metrics.ndcg).toBeCloseTo(
+      1 / Math.log2(3) / (1 + 1 / Math.log2(3)),
+      10
+    );
+
+    expect(scoreRetrieval(chunks, ['https://docs.test/c'], 2)).toMatchObject({
+      recall: 0,
+      ndcg: 0,
+      reciprocalRank: 1 / 3,
+    });
+  });
+
+  it('averages metrics and skips missing values', () => {
+    expect(
+      averageMetrics([
+        { recall: 1, faithfulness: null },
+        { recall: 0.5, faithfulness: 0.8 },
+      ])
+    ).toEqual({ recall: 0.75, faithfulness: 0.8 });
+  });
+});
+
+describe('overlap judge', () => {
+  const sources = [
+    {
+      number: 1,
+      url: 'https://docs.test/a',
+      content: 'Rollbacks take seconds.',
+    },
+    {
+      number: 2,
+      url: 'https://docs.test/b',
+      content: 'Tokens expire after ninety days.',
+    },
+  ];
+  const judge = overlapJudge();
+
+  it('checks each sentence against the sources it cites', async () => {
+    const verdict = await judge({
+      answer:
+        'Rollbacks take seconds [1]. Tokens expire after ninety days [1].',
+      sources,
+    });
+    expect(verdict.faithfulness).toBe(0.5);
+    expect(verdict.reason).toContain('Tokens expire');
+
+    expect(
+      (await judge({ answer: 'Tokens expire after ninety days.', sources }))
+        .faithfulness
+    ).toBe(1);
+  });
+});
+
+describe('golden set', () => {
+  it('only expects URLs of the sample corpus', async () => {
+    const golden = parseGoldenSet(
+      JSON.parse(await readFile('eval/golden.json', 'utf8')),
+      'eval'
+    );
+    const urls = (await listCorpus(golden.corpus)).map(({ url }) => url);
+
+    for (const question of golden.questions) {
+      for (const url of question.expectedUrls) expect(urls).toContain(url);
+    }
+    expect(() => parseGoldenSet({ corpus: golden.corpus })).toThrow(
+      'no questions'
+    );
+  });
+
+  it('lines runs up with their settings', () => {
+    const table = formatRuns([
+      {
+        name: 'small-chunks',
+        createdAt: '2026-01-02T03:04:05.000Z',
+        config: {
+          chunkSize: 200,
+          chunkOverlap: 0,
+          topK: 4,
+          vectorWeight: 1,
+          keywordWeight: 1,
+        },
+        embedder: 'fake',
+        summary: { 'recall@k': 0.8, mrr: 2 / 3 },
+      },
+    ]).split('\n');
+
+    expect(table[0]).toMatch(/^run +created +chunks +k +weights/);
+    expect(table[1]).toContain('small-chunks  2026-01-02 03:04  200/0');
+    expect(table[1]).toMatch(/0\.800 +0\.667$/);
+  });
+});
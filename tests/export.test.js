@@ -0,0 +1,125 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildTranscript,
+  threadToHtml,
+  threadToJson,
+  threadToMarkdown,
+} from '@/lib/export';
+
+const THREAD = {
+  id: 'thread-1',
+  title: 'Vector search',
+  created_at: '2026-01-01T00:00:00Z',
+  updated_at: '2026-01-02T00:00:00Z',
+};
+
+let nextId = 1;
+const row = (turnId, version, type, content, extra = {}) => ({
+  id: nextId++,
+  created_at: '2026-01-01T00:00:00Z',
+  turn_id: turnId,
+  version,
+  payload: { type, content, ...extra },
+});
+
+const ROWS = [
+  row('a', 1, 'Query', 'What is pgvector?'),
+  row('a', 1, 'Sources', [
+    { title: 'pgvector [docs]', link: 'https://example.com/pgvector' },
+    { title: 'Blog', link: 'https://blog.example.com/post', status: 'skipped' },
+    { title: 'Spam', link: 'https://spam.example', status: 'blocked' },
+  ]),
+  row('a', 1, 'GPT', 'A Postgres extension [1][2]. Not [3].'),
+  row(
+    'a',
+    1,
+    'FollowUp',
+    JSON.stringify({ follow_up: ['How do I install it?'] })
+  ),
+  row('b', 1, 'Query', 'And HNSW?'),
+  row('b', 1, 'Sources', [{ title: 'HNSW', link: 'https://example.com/hnsw' }]),
+  row('b', 1, 'Media', [
+    {
+      kind: 'video',
+      title: 'HNSW explained',
+      thumbnail: 'https://img.example.com/hnsw.jpg',
+      source: 'https://videos.example.com/hnsw',
+      publisher: 'Vector talks',
+    },
+  ]),
+  row('b', 1, 'GPT', 'A graph index [1] with `items[1]`.', { stopped: true }),
+  row('a', 2, 'Query', 'What is pgvector?'),
+  row('a', 2, 'GPT', 'Regenerated answer.'),
+];
+
+describe('thread export', () => {
+  it('builds the transcript from the active versions', () => {
+    const transcript = buildTranscript(ROWS, { a: 1 });
+
+    expect(transcript.map((turn) => turn.query)).toEqual([
+      'What is pgvector?',
+      'And HNSW?',
+    ]);
+    expect(transcript[0].sources).toHaveLength(2);
+    expect(transcript[0].followUps).toEqual(['How do I install it?']);
+    expect(transcript[1].stopped).toBe(true);
+    expect(buildTranscript(ROWS)[0].answer).toBe('Regenerated answer.');
+  });
+
+  it('turns citations into footnotes numbered across the thread', () => {
+    const markdown = threadToMarkdown(THREAD, buildTranscript(ROWS, { a: 1 }));
+
+    expect(markdown).toContain('# Vector search');
+    expect(markdown).toContain('A Postgres extension[^1][^2]. Not.');
+    expect(markdown).toContain('A graph index[^3] with `items[1]`.');
+    expect(markdown).toContain(
+      '[^1]: [pgvector \\[docs\\]](<https://example.com/pgvector>)'
+    );
+    expect(markdown).toContain('[^3]: [HNSW](<https://example.com/hnsw>)');
+    expect(markdown).toContain('- How do I install it?');
+    expect(markdown).toContain(
+      '- [HNSW explained](<https://videos.example.com/hnsw>) (video, Vector talks)'
+    );
+    expect(markdown).toContain('_Stopped before the answer was complete._');
+    expect(markdown).not.toContain('spam.example');
+  });
+
+  it('renders printable HTML without raw HTML or script links', () => {
+    const html = threadToHtml(
+      { title: '<Vector> search' },
+      buildTranscript([
+        row('c', 1, 'Query', 'Question'),
+        row(
+          'c',
+          1,
+          'GPT',
+          '<script>alert(1)</script> [x](javascript:alert(1))'
+        ),
+      ])
+    );
+
+    expect(html).toContain('<title>&lt;Vector&gt; search</title>');
+    expect(html).toContain('<h2>Question</h2>');
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('javascript:');
+  });
+
+  it('renders footnotes as links in HTML', () => {
+    const html = threadToHtml(THREAD, buildTranscript(ROWS, { a: 1 }));
+
+    expect(html).toContain('href="https://example.com/pgvector"');
+    expect(html).toContain('data-footnote-ref');
+  });
+
+  it('keeps every version and its metadata in JSON', () => {
+    const json = threadToJson(THREAD, ROWS, { a: 1, b: 1 });
+
+    expect(json.thread.title).toBe('Vector search');
+    expect(json.turns).toEqual([
+      { id: 'a', activeVersion: 1 },
+      { id: 'b', activeVersion: 1 },
+    ]);
+    expect(json.messages).toHaveLength(ROWS.length);
+    expect(json.messages.at(-1)).toMatchObject({ turnId: 'a', version: 2 });
+  });
+});
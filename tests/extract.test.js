@@ -0,0 +1,195 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { describe, expect, it } from 'vitest';
+import {
+  detectContentKind,
+  extractDocument,
+  splitDocument,
+} from '@/lib/extract';
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, 'fixtures/extract', name));
+
+describe('detectContentKind', () => {
+  it('uses the content type first', () => {
+    expect(detectContentKind('text/html; charset=utf-8')).toBe('html');
+    expect(detectContentKind('application/pdf')).toBe('pdf');
+    expect(detectContentKind('text/markdown')).toBe('markdown');
+    expect(detectContentKind('text/plain')).toBe('text');
+    expect(detectContentKind('application/ld+json')).toBe('json');
+  });
+
+  it('falls back on the extension and the PDF magic bytes', () => {
+    expect(detectContentKind('', 'https://example.com/paper.pdf')).toBe('pdf');
+    expect(
+      detectContentKind('application/octet-stream', '', fixture('guide.pdf'))
+    ).toBe('pdf');
+    expect(
+      detectContentKind('text/plain', 'https://example.com/README.md')
+    ).toBe('markdown');
+  });
+
+  it('rejects binary formats it cannot read', () => {
+    expect(detectContentKind('image/png')).toBeNull();
+    expect(detectContentKind('application/zip')).toBeNull();
+  });
+});
+
+describe('extractDocument', () => {
+  it('keeps the article and drops banners, menus and sidebars', async () => {
+    const document = await extractDocument({
+      body: fixture('article.html'),
+      contentType: 'text/html',
+    });
+
+    expect(document.kind).toBe('html');
+    expect(document.title).toBe('Tuning HNSW Indexes');
+    expect(document.text).toContain('graph based approximate nearest');
+    expect(document.text).toContain('Use 100 or more when filtering');
+    for (const noise of [
+      'cookies',
+      'tracking code',
+      'Popular posts',
+      'Share on Twitter',
+      'Copyright',
+      'About',
+    ]) {
+      expect(document.text).not.toContain(noise);
+    }
+  });
+
+  it('splits HTML into sections by heading', async () => {
+    const document = await extractDocument({
+      body: fixture('article.html'),
+      contentType: 'text/html',
+    });
+
+    expect(document.sections.map((section) => section.heading)).toEqual([
+      'Tuning HNSW Indexes',
+      'Choosing ef_search',
+      'Building the index',
+    ]);
+    expect(document.sections[1].text).toContain('Start with 40');
+  });
+
+  it('finds the content of pages without article markup', async () => {
+    const document = await extractDocument({
+      body: fixture('div-soup.html'),
+      contentType: 'text/html',
+    });
+
+    expect(document.title).toBe('Release notes 4.2');
+    expect(document.sections.map((section) => section.heading)).toEqual([
+      'What changed in 4.2',
+      'Upgrading',
+    ]);
+    expect(document.text).not.toContain('Release notes 4.1');
+    expect(document.text).not.toContain('Privacy');
+  });
+
+  it('keeps the lines of preformatted blocks as fenced code', async () => {
+    const document = await extractDocument({
+      body: Buffer.from(
+        '<html><body><article><h1>Install</h1><p>Add the   index:</p>' +
+          '<pre><code>CREATE INDEX ON items\n  USING hnsw (embedding);</code></pre>' +
+          '</article></body></html>'
+      ),
+      contentType: 'text/html',
+    });
+
+    expect(document.sections[0].text).toBe(
+      'Add the index:\n```\nCREATE INDEX ON items\n  USING hnsw (embedding);\n```'
+    );
+  });
+
+  it('reads the text and title of a PDF, one section per page', async () => {
+    const document = await extractDocument({
+      body: fixture('guide.pdf'),
+      contentType: 'application/pdf',
+    });
+
+    expect(document.kind).toBe('pdf');
+    expect(document.title).toBe('Vector Search Guide');
+    expect(document.sections).toHaveLength(2);
+    expect(document.sections[0]).toMatchObject({ page: 1 });
+    expect(document.sections[0].text).toContain('Tune ef_search');
+    expect(document.sections[1].text).toContain('IVFFlat needs a training');
+  });
+
+  it('splits markdown on headings outside code blocks', async () => {
+    const document = await extractDocument({
+      body: fixture('notes.md'),
+      contentType: 'text/markdown',
+    });
+
+    expect(document.title).toBe('Retrieval notes');
+    expect(document.sections.map((section) => section.heading)).toEqual([
+      'Retrieval notes',
+      'Reciprocal rank fusion',
+      'Weights',
+    ]);
+    expect(document.sections[1].text).toContain('# not a heading');
+  });
+
+  it('passes plain text and JSON through', async () => {
+    const text = await extractDocument({
+      body: fixture('readme.txt'),
+      contentType: 'text/plain',
+    });
+    expect(text.text).toBe(
+      'Plain text stays as it is.\nSecond line of the file.'
+    );
+
+    const json = await extractDocument({
+      body: '{"name":"pgvector","stars":10}',
+      contentType: 'application/json',
+    });
+    expect(json.text).toContain('"name": "pgvector"');
+  });
+
+  it('returns null for unsupported content', async () => {
+    const document = await extractDocument({
+      body: Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+      contentType: 'image/png',
+    });
+    expect(document).toBeNull();
+  });
+});
+
+describe('splitDocument', () => {
+  it('tags every chunk with the page title and its heading', async () => {
+    const document = await extractDocument({
+      body: fixture('article.html'),
+      contentType: 'text/html',
+    });
+    const chunks = await splitDocument(
+      document,
+      new RecursiveCharacterTextSplitter({ chunkSize: 100, chunkOverlap: 0 })
+    );
+
+    expect(chunks.length).toBeGreaterThan(3);
+    expect(chunks[0].metadata).toEqual({
+      title: 'Tuning HNSW Indexes',
+      heading: 'Tuning HNSW Indexes',
+    });
+    const tip = chunks.find((chunk) => chunk.content.includes('Start with 40'));
+    expect(tip.metadata.heading).toBe('Choosing ef_search');
+  });
+
+  it('tags PDF chunks with their page', async () => {
+    const document = await extractDocument({
+      body: fixture('guide.pdf'),
+      contentType: 'application/pdf',
+    });
+    const chunks = await splitDocument(
+      document,
+      new RecursiveCharacterTextSplitter({ chunkSize: 1000, chunkOverlap: 0 })
+    );
+
+    expect(chunks.map((chunk) => chunk.metadata)).toEqual([
+      { title: 'Vector Search Guide', page: 1 },
+      { title: 'Vector Search Guide', page: 2 },
+    ]);
+  });
+});
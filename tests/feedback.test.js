@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { parseFeedback, snapshotAnswer } from '@/lib/feedback';
+
+const PAYLOADS = [
+  { type: 'Query', content: 'What is HNSW?', embeddingSource: 'database' },
+  {
+    type: 'Sources',
+    content: [
+      {
+        title: 'Indexes',
+        link: 'https://docs.example.com/indexes',
+        snippet: 'HNSW builds a graph.',
+        scores: { fused: 0.03, similarity: 0.82 },
+      },
+      {
+        title: 'Blocked',
+        link: 'https://spam.example',
+        status: 'blocked',
+        reason: 'Blocked domain spam.example',
+      },
+      {
+        title: 'Pricing',
+        link: 'https://docs.example.com/pricing',
+        snippet: 'Plans start at $10.',
+        scores: { similarity: 0.41 },
+      },
+    ],
+  },
+  { type: 'VectorCreation', content: 'Finished.' },
+  { type: 'GPT', content: 'A graph index [1].', model: 'gpt-4o' },
+];
+
+describe('answer feedback', () => {
+  it('copies the query, chunks, scores, model and answer', () => {
+    expect(snapshotAnswer(PAYLOADS, [2])).toEqual({
+      query: 'What is HNSW?',
+      embeddingSource: 'database',
+      chunks: [
+        {
+          number: 1,
+          title: 'Indexes',
+          link: 'https://docs.example.com/indexes',
+          content: 'HNSW builds a graph.',
+          cosineSimilarity: 0.82,
+          notRelevant: false,
+        },
+        {
+          number: 2,
+          title: 'Pricing',
+          link: 'https://docs.example.com/pricing',
+          content: 'Plans start at $10.',
+          cosineSimilarity: 0.41,
+          notRelevant: true,
+        },
+      ],
+      model: 'gpt-4o',
+      answer: 'A graph index [1].',
+    });
+  });
+
+  it('needs an answer to snapshot', () => {
+    expect(snapshotAnswer(PAYLOADS.slice(0, 3))).toBeNull();
+  });
+
+  it('validates ratings, comments and flagged sources', () => {
+    expect(
+      parseFeedback({
+        rating: 'down',
+        comment: '  ',
+        irrelevantSources: [3, 1, 3],
+      })
+    ).toEqual({ rating: 'down', comment: null, irrelevantSources: [1, 3] });
+    expect(parseFeedback({})).toEqual({
+      rating: null,
+      comment: null,
+      irrelevantSources: [],
+    });
+    expect(parseFeedback({ rating: 'meh' }).error).toBeDefined();
+    expect(parseFeedback({ irrelevantSources: ['1'] }).error).toBeDefined();
+  });
+});
@@ -0,0 +1,380 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  checkRobots,
+  createRobotsCache,
+  parseRobotsTxt,
+} from '@/lib/fetching/robots';
+import {
+  checkDomainRules,
+  createDomainRuleCache,
+  normalizeDomain,
+} from '@/lib/fetching/domains';
+import { createDomainLimiter } from '@/lib/fetching/limiter';
+import { FetchBlockedError, createPoliteFetch } from '@/lib/fetching';
+
+const USER_AGENT = 'Perplexity-Next-JS-Supabase/0.1';
+
+const ROBOTS_TXT = `
+# Everyone
+User-agent: *
+Disallow: /private/
+Allow: /private/public-page
+Disallow: /*.json$
+
+User-agent: perplexity-next-js-supabase
+User-agent: other-bot
+Disallow: /drafts
+Crawl-delay: 2
+`;
+
+const response = (status, body = '', headers = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  text: async () => body,
+});
+
+describe('robots.txt', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const groups = parseRobotsTxt(ROBOTS_TXT);
+
+  it('groups consecutive user-agent lines', () => {
+    expect(groups).toHaveLength(2);
+    expect(groups[1].agents).toEqual([
+      'perplexity-next-js-supabase',
+      'other-bot',
+    ]);
+    expect(groups[1].crawlDelay).toBe(2);
+  });
+
+  it('applies the group naming our user agent instead of *', () => {
+    expect(
+      checkRobots(groups, 'https://a.com/drafts/1', USER_AGENT)
+    ).toMatchObject({ allowed: false, crawlDelay: 2 });
+    expect(
+      checkRobots(groups, 'https://a.com/private/x', USER_AGENT).allowed
+    ).toBe(true);
+  });
+
+  it('lets the longest matching rule win, and supports * and $', () => {
+    const agent = 'SomeBot/1.0';
+    expect(checkRobots(groups, 'https://a.com/private/x', agent).allowed).toBe(
+      false
+    );
+    expect(
+      checkRobots(groups, 'https://a.com/private/public-page', agent).allowed
+    ).toBe(true);
+    expect(
+      checkRobots(groups, 'https://a.com/data/x.json', agent).allowed
+    ).toBe(false);
+    expect(
+      checkRobots(groups, 'https://a.com/data/x.json?v=1', agent).allowed
+    ).toBe(true);
+  });
+
+  it('caches robots.txt per origin and treats 4xx as allow-all', async () => {
+    const requested = [];
+    const robots = createRobotsCache({
+      userAgent: USER_AGENT,
+      fetch: async (url) => {
+        requested.push(url);
+        return url.startsWith('https://a.com')
+          ? response(200, ROBOTS_TXT)
+          : response(404);
+      },
+    });
+
+    expect((await robots.check('https://a.com/drafts/1')).allowed).toBe(false);
+    expect((await robots.check('https://a.com/docs')).allowed).toBe(true);
+    expect((await robots.check('https://b.com/drafts/1')).allowed).toBe(true);
+    expect(requested).toEqual([
+      'https://a.com/robots.txt',
+      'https://b.com/robots.txt',
+    ]);
+  });
+
+  it('drops expired origins and the least recently checked ones', async () => {
+    vi.useFakeTimers();
+    const requested = [];
+    const robots = createRobotsCache({
+      userAgent: USER_AGENT,
+      ttlSeconds: 60,
+      maxEntries: 2,
+      fetch: async (url) => {
+        requested.push(url);
+        return response(404);
+      },
+    });
+
+    await robots.check('https://a.com/');
+    await robots.check('https://b.com/');
+    await robots.check('https://a.com/');
+    await robots.check('https://c.com/');
+    expect(robots.size).toBe(2);
+    // b.com was checked least recently, so it was evicted and a.com was not
+    await robots.check('https://a.com/');
+    await robots.check('https://b.com/');
+    expect(requested).toEqual([
+      'https://a.com/robots.txt',
+      'https://b.com/robots.txt',
+      'https://c.com/robots.txt',
+      'https://b.com/robots.txt',
+    ]);
+
+    vi.advanceTimersByTime(61 * 1000);
+    await robots.check('https://d.com/');
+    expect(robots.size).toBe(1);
+  });
+
+  it('disallows an origin whose robots.txt fails with a server error', async () => {
+    const robots = createRobotsCache({
+      userAgent: USER_AGENT,
+      fetch: async () => response(503),
+    });
+    expect(await robots.check('https://a.com/')).toMatchObject({
+      allowed: false,
+      reason: 'robots.txt could not be read',
+    });
+  });
+});
+
+describe('domain rules', () => {
+  it('normalizes domains typed by admins', () => {
+    expect(normalizeDomain('https://www.Example.com/path')).toBe('example.com');
+    expect(normalizeDomain('docs.example.com')).toBe('docs.example.com');
+    expect(normalizeDomain('')).toBeNull();
+  });
+
+  it('blocks denied domains and their subdomains', () => {
+    const rules = [{ domain: 'contentfarm.com', rule: 'deny' }];
+    expect(
+      checkDomainRules(rules, 'https://www.contentfarm.com/a').allowed
+    ).toBe(false);
+    expect(checkDomainRules(rules, 'https://blog.contentfarm.com/a')).toEqual({
+      allowed: false,
+      reason: 'Blocked domain contentfarm.com',
+    });
+    expect(
+      checkDomainRules(rules, 'https://notcontentfarm.com/a').allowed
+    ).toBe(true);
+  });
+
+  it('only lets allowlisted domains through once an allow rule exists', () => {
+    const rules = [
+      { domain: 'python.org', rule: 'allow' },
+      { domain: 'wiki.python.org', rule: 'deny' },
+    ];
+    expect(checkDomainRules(rules, 'https://docs.python.org/3/').allowed).toBe(
+      true
+    );
+    expect(checkDomainRules(rules, 'https://wiki.python.org/').allowed).toBe(
+      false
+    );
+    expect(checkDomainRules(rules, 'https://example.com/')).toEqual({
+      allowed: false,
+      reason: 'Domain is not on the allowlist',
+    });
+  });
+
+  it('refuses links that are not URLs', () => {
+    expect(checkDomainRules([], '/relative/page')).toEqual({
+      allowed: false,
+      reason: 'Invalid URL',
+    });
+    expect(checkDomainRules([], 'http://')).toMatchObject({ allowed: false });
+  });
+
+  it('keeps the last rules read when the database fails, or blocks', async () => {
+    let query = () => Promise.reject(new Error('connection refused'));
+    const rules = createDomainRuleCache({
+      database: {
+        select: () => ({ from: () => ({ orderBy: () => query() }) }),
+      },
+    });
+
+    // Nothing read yet: an allowlist may exist, so everything is blocked
+    expect(await rules.check('https://example.com/')).toEqual({
+      allowed: false,
+      reason: 'Domain rules could not be read',
+    });
+
+    query = async () => [{ domain: 'python.org', rule: 'allow' }];
+    rules.invalidate();
+    expect((await rules.check('https://example.com/')).allowed).toBe(false);
+    expect((await rules.check('https://python.org/')).allowed).toBe(true);
+
+    query = () => Promise.reject(new Error('connection refused'));
+    rules.invalidate();
+    expect(await rules.check('https://example.com/')).toEqual({
+      allowed: false,
+      reason: 'Domain is not on the allowlist',
+    });
+    expect((await rules.check('https://python.org/')).allowed).toBe(true);
+  });
+});
+
+describe('domain limiter', () => {
+  it('caps concurrent requests per domain', async () => {
+    const limiter = createDomainLimiter({ concurrency: 2, intervalMs: 0 });
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      active--;
+    };
+
+    await Promise.all(
+      Array.from({ length: 5 }, () => limiter.schedule('a.com', task))
+    );
+    expect(peak).toBe(2);
+  });
+
+  it('spaces out requests to the same domain only', async () => {
+    const limiter = createDomainLimiter({ concurrency: 5, intervalMs: 50 });
+    const starts = {};
+    const task = (domain) => async () => {
+      (starts[domain] ||= []).push(Date.now());
+    };
+
+    await Promise.all([
+      limiter.schedule('a.com', task('a.com')),
+      limiter.schedule('a.com', task('a.com')),
+      limiter.schedule('b.com', task('b.com')),
+    ]);
+    expect(starts['a.com'][1] - starts['a.com'][0]).toBeGreaterThanOrEqual(45);
+    expect(starts['b.com'][0] - starts['a.com'][0]).toBeLessThan(45);
+  });
+
+  it('drops queued tasks whose signal aborts', async () => {
+    const limiter = createDomainLimiter({ concurrency: 1, intervalMs: 0 });
+    const ran = [];
+    let release;
+    const first = limiter.schedule(
+      'a.com',
+      () => new Promise((resolve) => (release = resolve))
+    );
+    const controller = new AbortController();
+    const second = limiter.schedule('a.com', async () => ran.push('second'), {
+      signal: controller.signal,
+    });
+    const third = limiter.schedule('a.com', async () => ran.push('third'));
+
+    controller.abort(new Error('stopped'));
+    await expect(second).rejects.toThrow('stopped');
+    release();
+    await Promise.all([first, third]);
+    expect(ran).toEqual(['third']);
+  });
+});
+
+describe('createPoliteFetch', () => {
+  const robots = {
+    check: async (url) =>
+      url.includes('/private')
+        ? { allowed: false, reason: 'Disallowed by robots.txt' }
+        : { allowed: true, crawlDelay: null },
+  };
+  const limiter = createDomainLimiter({ concurrency: 1, intervalMs: 0 });
+
+  it('sends the configured user agent', async () => {
+    let headers;
+    const politeFetch = createPoliteFetch({
+      userAgent: 'TestBot/1.0',
+      robots,
+      limiter,
+      domainRules: null,
+      fetch: async (url, init) => {
+        headers = init.headers;
+        return response(200);
+      },
+    });
+
+    await politeFetch('https://a.com/', { headers: { 'If-None-Match': 'x' } });
+    expect(headers).toEqual({
+      'If-None-Match': 'x',
+      'User-Agent': 'TestBot/1.0',
+    });
+  });
+
+  it('refuses blocked URLs without fetching them', async () => {
+    const fetched = [];
+    const politeFetch = createPoliteFetch({
+      robots,
+      limiter,
+      domainRules: {
+        check: async (url) =>
+          url.includes('farm')
+            ? { allowed: false, reason: 'Blocked domain farm.com' }
+            : { allowed: true },
+      },
+      fetch: async (url) => {
+        fetched.push(url);
+        return response(200);
+      },
+    });
+
+    await expect(politeFetch('https://farm.com/')).rejects.toMatchObject({
+      reason: 'Blocked domain farm.com',
+    });
+    await expect(politeFetch('https://a.com/private')).rejects.toBeInstanceOf(
+      FetchBlockedError
+    );
+    expect(fetched).toEqual([]);
+  });
+
+  it('checks every redirect before following it', async () => {
+    const fetched = [];
+    const redirects = {
+      'https://a.com/old': '/new',
+      'https://a.com/new': 'https://b.com/page',
+      'https://a.com/farm': 'https://farm.com/',
+      'https://a.com/hidden': 'https://b.com/private',
+      'https://a.com/loop': '/loop',
+    };
+    const politeFetch = createPoliteFetch({
+      robots,
+      limiter,
+      domainRules: {
+        check: async (url) =>
+          url.includes('farm')
+            ? { allowed: false, reason: 'Blocked domain farm.com' }
+            : { allowed: true },
+      },
+      fetch: async (url, init) => {
+        fetched.push(url);
+        expect(init.redirect).toBe('manual');
+        return redirects[url]
+          ? response(301, '', { location: redirects[url] })
+          : response(200, url);
+      },
+    });
+
+    expect(await (await politeFetch('https://a.com/old')).text()).toBe(
+      'https://b.com/page'
+    );
+    expect(fetched).toEqual([
+      'https://a.com/old',
+      'https://a.com/new',
+      'https://b.com/page',
+    ]);
+
+    await expect(politeFetch('https://a.com/farm')).rejects.toMatchObject({
+      reason: 'Blocked domain farm.com',
+    });
+    await expect(politeFetch('https://a.com/hidden')).rejects.toMatchObject({
+      reason: 'Disallowed by robots.txt',
+    });
+    await expect(politeFetch('https://a.com/loop')).rejects.toThrow(
+      'More than 5 redirects'
+    );
+    expect(fetched.filter((url) => url === 'https://a.com/loop')).toHaveLength(
+      6
+    );
+    expect(fetched).not.toContain('https://farm.com/');
+  });
+});
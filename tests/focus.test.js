@@ -0,0 +1,129 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterAll, afterEach, describe, expect, it, vi } from 'vitest';
+import { getFocusMode, listFocusModes } from '@/lib/focus';
+import {
+  getSearchProvider,
+  isSearchProviderName,
+  searchWeb,
+  setSearchProvider,
+} from '@/lib/search';
+import { createFixtureProvider } from '@/lib/search/fixture';
+import { scopeQuery } from '@/lib/search/query';
+
+describe('focus modes', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'focus-modes-'));
+  const configPath = path.join(dir, 'focus-modes.json');
+
+  // Write the config file with a modification time of its own
+  const writeConfig = (modes, mtime) => {
+    fs.writeFileSync(configPath, JSON.stringify({ modes }));
+    fs.utimesSync(configPath, mtime, mtime);
+  };
+
+  afterEach(() => vi.restoreAllMocks());
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('adds the valid custom modes of the config file', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    writeConfig(
+      [
+        {
+          id: 'postgres',
+          label: 'Postgres',
+          sites: ['https://www.postgresql.org/docs/', 'wiki.postgresql.org'],
+          prompt: 'Mention the Postgres versions.',
+        },
+        { id: 'news', label: 'Today', freshness: 'day' },
+        { id: 'Bad id', label: 'Bad' },
+        { id: 'stale', label: 'Stale', freshness: 'decade' },
+      ],
+      new Date('2024-05-01T10:00:00Z')
+    );
+
+    const modes = await listFocusModes(configPath);
+    expect(modes.map((mode) => mode.id)).toEqual([
+      'all',
+      'academic',
+      'news',
+      'forums',
+      'code',
+      'postgres',
+    ]);
+    expect(await getFocusMode('postgres', configPath)).toMatchObject({
+      sites: ['postgresql.org', 'wiki.postgresql.org'],
+      count: 10,
+      sources: 4,
+      prompt: 'Mention the Postgres versions.',
+    });
+    // A custom mode replaces the built-in one with its id
+    expect(await getFocusMode('news', configPath)).toMatchObject({
+      label: 'Today',
+      freshness: 'day',
+      prompt: '',
+    });
+    expect(console.error).toHaveBeenCalledTimes(2);
+
+    expect((await getFocusMode(undefined, configPath)).id).toBe('all');
+    expect(await getFocusMode('missing', configPath)).toBeNull();
+
+    // Edits are picked up without a restart
+    writeConfig([], new Date('2024-05-01T11:00:00Z'));
+    expect(await getFocusMode('postgres', configPath)).toBeNull();
+    expect((await getFocusMode('news', configPath)).freshness).toBe('week');
+  });
+
+  it('scopes web search results to the sites of a mode', async () => {
+    const search = vi.fn(
+      createFixtureProvider({
+        fixtures: {
+          '*': [
+            { title: 'Old', link: 'https://docs.test/old', date: '2023-01-02' },
+            { title: 'Off site', link: 'https://blog.test/post' },
+            { title: 'Undated', link: 'https://api.docs.test/undated' },
+            { title: 'New', link: 'https://docs.test/new', date: '2024-05-01' },
+          ],
+        },
+      }).search
+    );
+    setSearchProvider('brave', { name: 'brave', search });
+
+    const { results } = await searchWeb('hnsw', {
+      sites: ['docs.test'],
+      freshness: 'month',
+      preferRecent: true,
+    });
+
+    expect(search).toHaveBeenCalledWith('hnsw', {
+      count: 10,
+      signal: undefined,
+      sites: ['docs.test'],
+      freshness: 'month',
+    });
+    expect(results.map((result) => result.title)).toEqual([
+      'New',
+      'Old',
+      'Undated',
+    ]);
+    expect(scopeQuery('hnsw', ['docs.test', 'wiki.test'])).toBe(
+      'hnsw (site:docs.test OR site:wiki.test)'
+    );
+  });
+
+  it('only knows its own provider names', async () => {
+    expect(isSearchProviderName('searxng')).toBe(true);
+    for (const name of ['__proto__', 'constructor', 'toString']) {
+      expect(isSearchProviderName(name)).toBe(false);
+      expect(getSearchProvider(name)).toBeNull();
+    }
+
+    // An inherited name falls back to the configured providers
+    setSearchProvider('brave', {
+      name: 'brave',
+      search: async () => [{ title: 'Hit', link: 'https://docs.test/hit' }],
+    });
+    const { provider } = await searchWeb('hnsw', { provider: 'constructor' });
+    expect(provider).toBe('brave');
+  });
+});
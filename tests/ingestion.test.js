@@ -0,0 +1,172 @@
+import { readFile } from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { ingestWebsite } from '@/lib/ingestion';
+
+const SITE_DIR = path.join(__dirname, 'fixtures', 'site');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.xml': 'application/xml',
+};
+
+// Serve tests/fixtures/site, with {{origin}} in the sitemap replaced by the
+// server's origin. Missing files (missing.html, robots.txt) answer 404.
+async function startSite() {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const file = pathname === '/' ? '/index.html' : pathname;
+    try {
+      const body = await readFile(path.join(SITE_DIR, path.normalize(file)));
+      res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)]);
+      res.end(body.toString().replaceAll('{{origin}}', origin));
+    } catch {
+      res.statusCode = 404;
+      res.end('Not found');
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url: origin,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// In-memory stand-in for createDbStore
+function createMemoryStore() {
+  const store = {
+    jobs: [],
+    pages: [],
+    embeddings: new Map(),
+    async createJob(fields) {
+      const job = { id: store.jobs.length + 1, status: 'pending', ...fields };
+      store.jobs.push(job);
+      return job;
+    },
+    async updateJob(jobId, fields) {
+      Object.assign(store.jobs[jobId - 1], fields);
+    },
+    async recordPage(jobId, page) {
+      store.pages.push({ jobId, ...page });
+    },
+    async upsertPageEmbeddings(websiteId, url, chunks) {
+      store.embeddings.set(url, { websiteId, chunks });
+    },
+  };
+  return store;
+}
+
+// Stub embedder: one-dimensional vectors holding the text length
+const embedder = {
+  model: 'stub',
+  embed: async (texts) => texts.map((text) => [text.length]),
+};
+
+describe('ingestWebsite', () => {
+  let site;
+  const intervalMs = process.env.FETCH_DOMAIN_INTERVAL_MS;
+
+  beforeAll(async () => {
+    // No politeness delay between requests to the local site
+    process.env.FETCH_DOMAIN_INTERVAL_MS = '0';
+    site = await startSite();
+  });
+
+  afterAll(async () => {
+    if (intervalMs === undefined) delete process.env.FETCH_DOMAIN_INTERVAL_MS;
+    else process.env.FETCH_DOMAIN_INTERVAL_MS = intervalMs;
+    await site.close();
+  });
+
+  it('crawls the site from its seed URL and embeds its pages', async () => {
+    const store = createMemoryStore();
+
+    const result = await ingestWebsite({
+      websiteId: 1,
+      seedUrl: `${site.url}/`,
+      embedder,
+      store,
+    });
+
+    expect(result).toMatchObject({
+      status: 'completed',
+      pagesDiscovered: 4,
+      pagesProcessed: 2,
+      pagesFailed: 1,
+    });
+    // Same-origin links only, without their fragments
+    expect(store.pages.map(({ url, status }) => [url, status])).toEqual([
+      [`${site.url}/`, 'skipped'],
+      [`${site.url}/guide.html`, 'embedded'],
+      [`${site.url}/faq.html`, 'embedded'],
+      [`${site.url}/missing.html`, 'failed'],
+    ]);
+    expect(store.pages[0].error).toBe('Insufficient content');
+    expect(store.pages[3].error).toBe('HTTP 404');
+
+    expect([...store.embeddings.keys()]).toEqual([
+      `${site.url}/guide.html`,
+      `${site.url}/faq.html`,
+    ]);
+    const { websiteId, chunks } = store.embeddings.get(
+      `${site.url}/guide.html`
+    );
+    expect(websiteId).toBe(1);
+    expect(chunks.map((chunk) => chunk.metadata)).toEqual([
+      { title: 'Installing widgets', heading: 'Installing widgets' },
+      { title: 'Installing widgets', heading: 'Configuration' },
+    ]);
+    expect(chunks[1].content).toContain('freezes its settings');
+    expect(chunks[1].embedding).toEqual([chunks[1].content.length]);
+    expect(result.chunksEmbedded).toBe(
+      chunks.length + store.embeddings.get(`${site.url}/faq.html`).chunks.length
+    );
+
+    expect(store.jobs[0]).toMatchObject({
+      websiteId: 1,
+      status: 'completed',
+      pagesFailed: 1,
+    });
+  });
+
+  it('only visits the pages listed in the sitemap', async () => {
+    const store = createMemoryStore();
+
+    const result = await ingestWebsite({
+      websiteId: 2,
+      sitemapUrl: `${site.url}/sitemap.xml`,
+      embedder,
+      store,
+    });
+
+    expect(result).toMatchObject({
+      status: 'completed',
+      pagesDiscovered: 2,
+      pagesProcessed: 1,
+      pagesFailed: 1,
+    });
+    expect(
+      store.pages.map(({ url, status, error }) => [url, status, error])
+    ).toEqual([
+      [`${site.url}/guide.html`, 'embedded', undefined],
+      [`${site.url}/missing.html`, 'failed', 'HTTP 404'],
+    ]);
+  });
+
+  it('fails the job when the sitemap cannot be read', async () => {
+    const store = createMemoryStore();
+
+    const result = await ingestWebsite({
+      websiteId: 3,
+      sitemapUrl: `${site.url}/missing-sitemap.xml`,
+      embedder,
+      store,
+    });
+
+    expect(result).toMatchObject({ status: 'failed', pagesProcessed: 0 });
+    expect(result.error).toMatch(/returned HTTP 404/);
+    expect(store.jobs[0].status).toBe('failed');
+  });
+});
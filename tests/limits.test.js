@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryLimitStore, createRateLimiter } from '@/lib/limits';
+
+const USER = { id: 'user-1' };
+
+// Limiter on an in-memory store with a clock the test moves
+function createLimiter(limits) {
+  const clock = { now: new Date('2024-05-01T10:00:30Z') };
+  const limiter = createRateLimiter({
+    store: createMemoryLimitStore(),
+    limits: { perMinute: 0, requestsPerDay: 0, tokensPerDay: 0, ...limits },
+    now: () => clock.now,
+  });
+  return { limiter, clock };
+}
+
+describe('rate limits and quotas', () => {
+  it('limits the requests of each client per minute', async () => {
+    const { limiter, clock } = createLimiter({ perMinute: 2 });
+
+    expect((await limiter.admit(USER)).headers).toEqual({
+      'RateLimit-Limit': '2',
+      'RateLimit-Remaining': '1',
+      'RateLimit-Reset': '30',
+    });
+    expect((await limiter.admit(USER)).allowed).toBe(true);
+    expect(await limiter.admit(USER)).toMatchObject({
+      allowed: false,
+      limit: 'requests_per_minute',
+      retryAfter: 30,
+      headers: { 'Retry-After': '30', 'RateLimit-Remaining': '0' },
+    });
+
+    // Each API key is a client of its own
+    expect((await limiter.admit({ ...USER, apiKeyId: 'key-1' })).allowed).toBe(
+      true
+    );
+
+    clock.now = new Date('2024-05-01T10:01:00Z');
+    expect((await limiter.admit(USER)).allowed).toBe(true);
+  });
+
+  it('shares the daily request quota between the clients of a user', async () => {
+    const { limiter, clock } = createLimiter({ requestsPerDay: 2 });
+
+    expect((await limiter.admit(USER)).allowed).toBe(true);
+    expect((await limiter.admit({ ...USER, apiKeyId: 'key-1' })).allowed).toBe(
+      true
+    );
+    expect(await limiter.admit({ ...USER, apiKeyId: 'key-2' })).toMatchObject({
+      allowed: false,
+      limit: 'requests_per_day',
+      retryAfter: 14 * 3600 - 30,
+    });
+    expect((await limiter.admit({ id: 'user-2' })).allowed).toBe(true);
+
+    // Quotas reset at midnight UTC
+    clock.now = new Date('2024-05-02T00:00:00Z');
+    expect((await limiter.admit(USER)).allowed).toBe(true);
+  });
+
+  it('rejects requests once the tokens of the day reach the quota', async () => {
+    const { limiter } = createLimiter({ tokensPerDay: 100 });
+
+    expect((await limiter.admit(USER)).allowed).toBe(true);
+    await limiter.recordTokens(USER.id, 60);
+    expect((await limiter.admit(USER)).allowed).toBe(true);
+    await limiter.recordTokens(USER.id, 40);
+    expect(await limiter.admit(USER)).toMatchObject({
+      allowed: false,
+      limit: 'tokens_per_day',
+      error: 'Daily token quota exceeded',
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getCachedPage } from '@/lib/pageCache';
+
+const URL = 'https://docs.test/guide';
+const TTL_MS = 60 * 60 * 1000;
+
+// In-memory stand-in for createDbPageCacheStore, with entries expiring after
+// TTL_MS
+function createMemoryStore() {
+  const store = {
+    pages: new Map(),
+    stats: { hits: 0, misses: 0, revalidations: 0 },
+    async get(url) {
+      return store.pages.get(url) || null;
+    },
+    async save({ url, ...fields }) {
+      store.pages.set(url, {
+        id: store.pages.get(url)?.id || store.pages.size + 1,
+        hitCount: 0,
+        ...fields,
+        expiresAt: new Date(Date.now() + TTL_MS),
+      });
+    },
+    async touch(id, { revalidated }) {
+      const page = [...store.pages.values()].find((entry) => entry.id === id);
+      page.hitCount++;
+      if (revalidated) page.expiresAt = new Date(Date.now() + TTL_MS);
+    },
+    async recordStat(counter) {
+      store.stats[counter]++;
+    },
+  };
+  return store;
+}
+
+// Fake server for one page: answers 304 when the conditional headers match
+// its current version
+function createFakeServer({ content, etag, lastModified }) {
+  const server = {
+    page: { content, etag, lastModified },
+    requests: [],
+    async fetchPage(url, headers) {
+      server.requests.push({ url, headers });
+      const { page } = server;
+      if (
+        (headers['If-None-Match'] && headers['If-None-Match'] === page.etag) ||
+        (headers['If-Modified-Since'] &&
+          headers['If-Modified-Since'] === page.lastModified)
+      ) {
+        return { notModified: true };
+      }
+      return { notModified: false, ...page };
+    },
+  };
+  return server;
+}
+
+describe('getCachedPage', () => {
+  let store;
+  let server;
+  let embedded;
+  const options = (chunkConfig = 'v1') => ({
+    fetchPage: server.fetchPage,
+    splitPage: async (page) =>
+      page.content.split('\n\n').map((content) => ({ content, metadata: {} })),
+    embedTexts: async (texts) => {
+      embedded.push(...texts);
+      return texts.map((text) => [text.length]);
+    },
+    chunkConfig,
+    store,
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    store = createMemoryStore();
+    server = createFakeServer({
+      content: 'Install widgets.\n\nConfigure widgets.',
+      etag: '"v1"',
+      lastModified: 'Thu, 01 Jan 2026 00:00:00 GMT',
+    });
+    embedded = [];
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('fetches and embeds a page once, then serves it while fresh', async () => {
+    const miss = await getCachedPage(URL, options());
+    expect(miss.cache).toBe('miss');
+    expect(miss.chunks).toEqual([
+      { content: 'Install widgets.', metadata: {}, embedding: [16] },
+      { content: 'Configure widgets.', metadata: {}, embedding: [18] },
+    ]);
+    expect(server.requests[0].headers).toEqual({});
+
+    vi.advanceTimersByTime(TTL_MS - 1000);
+    const hit = await getCachedPage(URL, options());
+    expect(hit).toEqual({
+      content: miss.content,
+      chunks: miss.chunks,
+      cache: 'hit',
+    });
+
+    expect(server.requests).toHaveLength(1);
+    expect(embedded).toHaveLength(2);
+    expect(store.pages.get(URL).hitCount).toBe(1);
+    expect(store.stats).toEqual({ hits: 1, misses: 1, revalidations: 0 });
+  });
+
+  it('revalidates a stale entry and keeps it on a 304', async () => {
+    await getCachedPage(URL, options());
+
+    vi.advanceTimersByTime(TTL_MS + 1000);
+    const revalidated = await getCachedPage(URL, options());
+    expect(revalidated.cache).toBe('revalidated');
+    expect(server.requests[1].headers).toEqual({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Thu, 01 Jan 2026 00:00:00 GMT',
+    });
+
+    // The 304 pushed the expiry back, so the next request is a hit
+    vi.advanceTimersByTime(TTL_MS - 1000);
+    expect((await getCachedPage(URL, options())).cache).toBe('hit');
+
+    expect(server.requests).toHaveLength(2);
+    expect(embedded).toHaveLength(2);
+    expect(store.stats).toEqual({ hits: 1, misses: 1, revalidations: 1 });
+  });
+
+  it('replaces a stale entry when the page changed', async () => {
+    await getCachedPage(URL, options());
+    server.page = {
+      content: 'Install widgets.\n\nWidgets now need a licence key.',
+      etag: '"v2"',
+      lastModified: 'Fri, 02 Jan 2026 00:00:00 GMT',
+    };
+
+    vi.advanceTimersByTime(TTL_MS + 1000);
+    const refreshed = await getCachedPage(URL, options());
+    expect(refreshed.cache).toBe('miss');
+    expect(refreshed.chunks.map((chunk) => chunk.content)).toEqual([
+      'Install widgets.',
+      'Widgets now need a licence key.',
+    ]);
+    expect(store.pages.get(URL)).toMatchObject({
+      etag: '"v2"',
+      lastModified: 'Fri, 02 Jan 2026 00:00:00 GMT',
+      content: server.page.content,
+    });
+
+    // The new version is served fresh
+    expect((await getCachedPage(URL, options())).cache).toBe('hit');
+    expect(store.stats).toEqual({ hits: 1, misses: 2, revalidations: 0 });
+  });
+
+  it('rebuilds the chunks of a fresh entry made with another chunk config', async () => {
+    await getCachedPage(URL, options('v1'));
+
+    const rebuilt = await getCachedPage(URL, options('v2'));
+    expect(rebuilt.cache).toBe('miss');
+    // Chunks from other settings are not revalidated: no conditional headers
+    expect(server.requests[1].headers).toEqual({});
+    expect(embedded).toHaveLength(4);
+    expect(store.pages.get(URL).chunkConfig).toBe('v2');
+
+    expect((await getCachedPage(URL, options('v2'))).cache).toBe('hit');
+    expect(store.stats).toEqual({ hits: 1, misses: 2, revalidations: 0 });
+  });
+});
@@ -0,0 +1,130 @@
+import { PGlite } from '@electric-sql/pglite';
+import { vector } from '@electric-sql/pglite/vector';
+import { drizzle } from 'drizzle-orm/pglite';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { searchWebpageEmbeddings } from '@/lib/retrieval';
+
+const DIMENSIONS = 16;
+
+// Chunks per website of the fixture: website 4 holds a small share of the
+// table, where filtering after the index scan loses rows
+const WEBSITE_SIZES = { 1: 150, 2: 100, 3: 40, 4: 6 };
+
+// Seeded pseudo-random numbers (mulberry32), so the fixture never changes
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const next = random(42);
+const randomVector = () =>
+  Array.from({ length: DIMENSIONS }, () => next() * 2 - 1);
+
+// The ranking database mode used before it moved into Postgres: cosine
+// similarity of every chunk of the website, computed in JavaScript
+function cosineSimilarity(vecA, vecB) {
+  const dotProduct = vecA.reduce((sum, a, idx) => sum + a * vecB[idx], 0);
+  const magnitudeA = Math.sqrt(vecA.reduce((sum, val) => sum + val * val, 0));
+  const magnitudeB = Math.sqrt(vecB.reduce((sum, val) => sum + val * val, 0));
+  return dotProduct / (magnitudeA * magnitudeB);
+}
+
+function rankInMemory(rows, queryEmbedding, { websiteIds, limit }) {
+  return rows
+    .filter((row) => !websiteIds?.length || websiteIds.includes(row.websiteId))
+    .map((row) => ({
+      id: row.id,
+      similarity: cosineSimilarity(queryEmbedding, row.embedding),
+    }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+describe('searchWebpageEmbeddings', () => {
+  let client;
+  let database;
+  const rows = [];
+
+  beforeAll(async () => {
+    client = await PGlite.create({ extensions: { vector } });
+    await client.exec(`
+      CREATE EXTENSION vector;
+      CREATE TABLE "Document" ("id" serial PRIMARY KEY, "collectionId" integer NOT NULL);
+      CREATE TABLE "WebpageEmbedding" (
+        "id" serial PRIMARY KEY,
+        "websiteId" integer,
+        "documentId" integer,
+        "url" text NOT NULL,
+        "content" text NOT NULL,
+        "metadata" jsonb,
+        "embedding" vector(${DIMENSIONS}) NOT NULL
+      );
+      CREATE INDEX ON "WebpageEmbedding" USING hnsw ("embedding" vector_cosine_ops);
+    `);
+
+    for (const [websiteId, size] of Object.entries(WEBSITE_SIZES)) {
+      for (let i = 0; i < size; i++) {
+        const row = {
+          id: rows.length + 1,
+          websiteId: Number(websiteId),
+          embedding: randomVector(),
+        };
+        rows.push(row);
+        await client.query(
+          `INSERT INTO "WebpageEmbedding" ("websiteId", "url", "content", "embedding")
+           VALUES ($1, $2, $3, $4)`,
+          [
+            row.websiteId,
+            `https://site-${websiteId}.test/${i}`,
+            `Chunk ${i}`,
+            JSON.stringify(row.embedding),
+          ]
+        );
+      }
+    }
+    // Make the planner use the HNSW index on this small table, as it would on
+    // a large one
+    await client.exec('SET enable_seqscan = off');
+
+    database = drizzle(client);
+  });
+
+  afterAll(() => client.close());
+
+  it.each([
+    ['every website', undefined],
+    ['one website', [2]],
+    ['a website with a small share of the table', [4]],
+    ['several websites', [3, 4]],
+  ])(
+    'ranks %s like the previous in-memory cosine ranking',
+    async (_, websiteIds) => {
+      for (let query = 0; query < 5; query++) {
+        const queryEmbedding = randomVector();
+        const limit = 5;
+
+        const ranked = await searchWebpageEmbeddings(queryEmbedding, {
+          websiteIds,
+          limit,
+          database,
+        });
+
+        const expected = rankInMemory(rows, queryEmbedding, {
+          websiteIds,
+          limit,
+        });
+        expect(ranked.map((row) => row.id)).toEqual(
+          expected.map((row) => row.id)
+        );
+        ranked.forEach((row, index) =>
+          expect(row.similarity).toBeCloseTo(expected[index].similarity, 5)
+        );
+      }
+    }
+  );
+});
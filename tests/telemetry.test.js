@@ -0,0 +1,71 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { estimateCost } from '@/lib/llm/pricing';
+import { createTurnTelemetry } from '@/lib/telemetry';
+
+describe('turn telemetry', () => {
+  afterEach(() => {
+    delete process.env.LLM_PRICES;
+  });
+
+  it('estimates the cost of a call from the price of its model', () => {
+    expect(
+      estimateCost('gpt-4o', { promptTokens: 1000, completionTokens: 100 })
+    ).toBeCloseTo(0.0035);
+    expect(estimateCost('llama3.1', { promptTokens: 1000 })).toBeNull();
+
+    process.env.LLM_PRICES = '{"llama3.1": {"input": 1, "output": 2}}';
+    expect(
+      estimateCost('llama3.1', { promptTokens: 1e6, completionTokens: 1e6 })
+    ).toBe(3);
+  });
+
+  it('times stages and sums the usage of the turn', async () => {
+    let clock = 0;
+    const telemetry = createTurnTelemetry({ now: () => clock });
+
+    await telemetry.time('search', async () => {
+      clock += 120;
+    });
+    await expect(
+      telemetry.time('rephrase', async () => {
+        clock += 30;
+        throw new Error('Rate limited');
+      })
+    ).rejects.toThrow('Rate limited');
+    telemetry.addUsage({
+      step: 'answer',
+      model: 'gpt-4o',
+      promptTokens: 1000,
+      completionTokens: 100,
+      totalTokens: 1100,
+    });
+    telemetry.addUsage({
+      step: 'followup',
+      model: 'llama3.1',
+      promptTokens: 50,
+      completionTokens: 10,
+      totalTokens: 60,
+    });
+    telemetry.countPage('https://a.test');
+    telemetry.countPage('https://b.test', 'Timed out');
+
+    expect(telemetry.summary('completed')).toMatchObject({
+      status: 'completed',
+      durationMs: 150,
+      stages: [
+        { name: 'search', startMs: 0, ms: 120 },
+        { name: 'rephrase', startMs: 120, ms: 30, error: 'Rate limited' },
+      ],
+      promptTokens: 1050,
+      completionTokens: 110,
+      totalTokens: 1160,
+      costUsd: 0.0035,
+      pagesFetched: 1,
+      pagesFailed: 1,
+      errors: [
+        { stage: 'rephrase', message: 'Rate limited' },
+        { stage: 'page', message: 'https://b.test: Timed out' },
+      ],
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { pickVersion, selectVersionRows, turnVersions } from '@/lib/turns';
+
+const row = (id, turnId, version, type) => ({
+  id,
+  turn_id: turnId,
+  version,
+  payload: { type, content: `${type} ${turnId} v${version}` },
+});
+
+// Turn a asked, turn b asked, then turn a regenerated twice
+const ROWS = [
+  row(1, 'a', 1, 'Query'),
+  row(2, 'a', 1, 'GPT'),
+  row(3, 'b', 1, 'Query'),
+  row(4, 'b', 1, 'GPT'),
+  row(5, 'a', 2, 'Query'),
+  row(6, 'a', 2, 'GPT'),
+  row(7, 'a', 3, 'Query'),
+];
+
+const ids = (rows) => rows.map(({ id }) => id);
+
+describe('turn versions', () => {
+  it('lists the sorted versions of every turn', () => {
+    const versions = turnVersions([...ROWS].reverse());
+
+    expect(versions.get('a')).toEqual([1, 2, 3]);
+    expect(versions.get('b')).toEqual([1]);
+  });
+
+  it('falls back on the latest version', () => {
+    expect(pickVersion([1, 2, 3], 2)).toBe(2);
+    expect(pickVersion([1, 2, 3], 7)).toBe(3);
+    expect(pickVersion([1, 2, 3], undefined)).toBe(3);
+  });
+
+  it('shows the chosen version in the place the turn was asked', () => {
+    expect(ids(selectVersionRows(ROWS))).toEqual([7, 3, 4]);
+    expect(ids(selectVersionRows(ROWS, { a: 2 }))).toEqual([5, 6, 3, 4]);
+    expect(ids(selectVersionRows(ROWS, { a: 1, b: 1 }))).toEqual([1, 2, 3, 4]);
+  });
+
+  it('keeps rows written before turns existed', () => {
+    const legacy = { id: 0, turn_id: null, payload: { type: 'Query' } };
+
+    expect(ids(selectVersionRows([legacy, ...ROWS], { a: 1 }))).toEqual([
+      0, 1, 2, 3, 4,
+    ]);
+  });
+});